@@ -0,0 +1,296 @@
+import { AuthService } from '../shared/auth.js';
+import { DataService } from '../shared/data-service.js';
+import { ActivitiesService } from '../shared/activities-service.js';
+import { AnalyticsService } from '../shared/analytics-service.js';
+import { bootstrapProtectedPage } from '../shared/app-shell.js';
+
+if (!AuthService.requireAuth()) {
+  throw new Error('Unauthorized');
+}
+
+const ENGAGEMENT_LIMIT = 10;
+const DATA_KEYS = ['activities', 'companies', 'contacts', 'history_companies', 'history_contacts'];
+
+let data = null;
+let reports = {};
+let refreshTimer = null;
+
+function $(id) { return document.getElementById(id); }
+
+function escapeHtml(str) {
+  return (str ?? '').toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// ============= FILTERS =============
+function applyPreset() {
+  const weeks = parseInt($('rangePreset').value, 10);
+  if (!weeks) return;
+  const to = new Date();
+  const from = new Date();
+  from.setDate(from.getDate() - weeks * 7 + 1);
+  $('rangeFrom').value = AnalyticsService.dayKey(from);
+  $('rangeTo').value = AnalyticsService.dayKey(to);
+}
+
+function currentRange() {
+  const from = new Date(`${$('rangeFrom').value}T00:00`);
+  const to = new Date(`${$('rangeTo').value}T23:59:59.999`);
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
+function renderUserFilter() {
+  const select = $('userFilter');
+  const current = select.value;
+  const users = [...new Set(data.activities.map(a => a.createdBy).filter(Boolean))].sort();
+  select.innerHTML = '<option value="">Wszyscy</option>' +
+    users.map(u => `<option value="${escapeHtml(u)}">${escapeHtml(u === AuthService.getUserEmail() ? `${u} (Ty)` : u)}</option>`).join('');
+  select.value = users.includes(current) ? current : '';
+}
+
+// ============= DATA =============
+async function loadData() {
+  $('analyticsLoading').style.display = 'block';
+  try {
+    data = await AnalyticsService.loadData();
+    renderUserFilter();
+    renderAll();
+  } catch (err) {
+    console.error('Błąd ładowania danych analityki:', err);
+    $('analyticsLoading').textContent = 'Nie udało się załadować danych. Sprawdź konsolę.';
+    return;
+  }
+  $('analyticsLoading').style.display = 'none';
+}
+
+function applyFreshData(key, value) {
+  if (!data || !DATA_KEYS.includes(key)) return;
+
+  const field = { history_companies: 'companyHistory', history_contacts: 'contactHistory' }[key] || key;
+  data[field] = value;
+  // Kilka kluczy odświeża się naraz - przeliczamy raporty raz
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => {
+    renderUserFilter();
+    renderAll();
+  }, 200);
+}
+
+// ============= REPORTS =============
+function renderAll() {
+  const range = currentRange();
+  const activities = AnalyticsService.filterActivities(data.activities, { user: $('userFilter').value });
+
+  reports = {
+    activitiesByWeek: AnalyticsService.activitiesByWeek(activities, range),
+    completionRate: AnalyticsService.completionRate(activities, range),
+    overdueTrend: AnalyticsService.overdueTrend(activities, range),
+    newRecordsByMonth: AnalyticsService.newRecordsByMonth(data, range),
+    accountEngagement: AnalyticsService.accountEngagement(data, activities, range)
+  };
+
+  renderKpis(activities, range);
+  renderStackedBars($('chart-activitiesByWeek'), reports.activitiesByWeek);
+  renderLine($('chart-completionRate'), reports.completionRate.rows.map(r => [r[0], r[3] === '' ? null : r[3]]), { color: '#16a34a', max: 100, suffix: '%' });
+  renderLine($('chart-overdueTrend'), reports.overdueTrend.rows, { color: '#dc2626' });
+  renderStackedBars($('chart-newRecordsByMonth'), reports.newRecordsByMonth);
+
+  const engaged = reports.accountEngagement.rows;
+  renderRanking($('chart-engagementTop'), engaged.slice(0, ENGAGEMENT_LIMIT), engaged);
+  renderRanking($('chart-engagementBottom'), engaged.slice(-ENGAGEMENT_LIMIT).reverse(), engaged);
+}
+
+function renderKpis(activities, range) {
+  const inRange = activities.filter(a => AnalyticsService.inRange(a.date, range));
+  const stats = ActivitiesService.computeActivityStats(inRange);
+  const overdueNow = ActivitiesService.computeActivityStats(activities).overdue;
+  const created = reports.newRecordsByMonth.rows.reduce((sum, r) => sum + r[1] + r[2], 0);
+  const rate = reports.completionRate.overall;
+
+  const tiles = [
+    { label: 'Aktywności w okresie', value: stats.total },
+    { label: 'Ukończone', value: stats.byStatus.completed },
+    { label: 'Skuteczność', value: rate === null ? '—' : `${rate}%` },
+    { label: 'Zaległe teraz', value: overdueNow, warn: overdueNow > 0 },
+    { label: 'Nowe firmy i kontakty', value: created }
+  ];
+
+  $('kpiGrid').innerHTML = tiles.map(t => `
+    <div class="kpi-tile ${t.warn ? 'warn' : ''}">
+      <div class="kpi-value">${escapeHtml(t.value)}</div>
+      <div class="kpi-label">${escapeHtml(t.label)}</div>
+    </div>
+  `).join('');
+}
+
+// ============= CHARTS (SVG) =============
+const CHART = { width: 640, height: 220, pad: { top: 12, right: 12, bottom: 28, left: 36 } };
+
+function niceMax(value) {
+  if (value <= 5) return 5;
+  const step = Math.pow(10, Math.floor(Math.log10(value)));
+  return Math.ceil(value / step) * step;
+}
+
+function axisLabel(key) {
+  // 2026-03-09 → 09.03, 2026-03 → 03.2026
+  const parts = key.split('-');
+  return parts.length === 3 ? `${parts[2]}.${parts[1]}` : `${parts[1]}.${parts[0]}`;
+}
+
+function gridLines(max, suffix = '') {
+  const { width, height, pad } = CHART;
+  const plotHeight = height - pad.top - pad.bottom;
+  return [0, 0.5, 1].map(f => {
+    const y = pad.top + plotHeight * (1 - f);
+    return `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y}" y2="${y}" class="chart-grid" />
+      <text x="${pad.left - 6}" y="${y + 4}" class="chart-axis" text-anchor="end">${Math.round(max * f)}${suffix}</text>`;
+  }).join('');
+}
+
+function xLabels(keys, xOf) {
+  // Przy wielu punktach podpisujemy co n-ty, żeby etykiety się nie nakładały
+  const every = Math.ceil(keys.length / 12);
+  return keys.map((key, i) => i % every ? '' :
+    `<text x="${xOf(i)}" y="${CHART.height - 8}" class="chart-axis" text-anchor="middle">${escapeHtml(axisLabel(key))}</text>`
+  ).join('');
+}
+
+function emptyChart(container) {
+  container.innerHTML = '<div class="muted chart-empty">Brak danych w wybranym okresie.</div>';
+}
+
+/**
+ * Słupki skumulowane - kolumny raportu między pierwszą (etykieta) a serią z report.series
+ */
+function renderStackedBars(container, report) {
+  const { width, height, pad } = CHART;
+  const series = report.series;
+  const totals = report.rows.map(r => series.reduce((sum, s, i) => sum + r[i + 1], 0));
+  if (!totals.some(Boolean)) return emptyChart(container);
+
+  const max = niceMax(Math.max(...totals));
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const slot = plotWidth / report.rows.length;
+  const barWidth = Math.max(4, slot * 0.6);
+  const xOf = i => pad.left + slot * i + slot / 2;
+
+  const bars = report.rows.map((row, i) => {
+    let y = pad.top + plotHeight;
+    return series.map((s, j) => {
+      const value = row[j + 1];
+      if (!value) return '';
+      const h = value / max * plotHeight;
+      y -= h;
+      return `<rect x="${xOf(i) - barWidth / 2}" y="${y}" width="${barWidth}" height="${h}" fill="${s.color}"><title>${escapeHtml(`${row[0]} · ${s.label}: ${value}`)}</title></rect>`;
+    }).join('');
+  }).join('');
+
+  container.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" class="chart-svg" role="img">
+      ${gridLines(max)}${bars}${xLabels(report.rows.map(r => r[0]), xOf)}
+    </svg>
+    <div class="chart-legend">
+      ${series.map(s => `<span><i style="background:${s.color}"></i>${escapeHtml(s.label)}</span>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Linia dla par [etykieta, wartość]; null = brak punktu (przerwa w linii)
+ */
+function renderLine(container, points, { color, max = null, suffix = '' }) {
+  const { width, height, pad } = CHART;
+  const values = points.map(p => p[1]).filter(v => v !== null);
+  if (!values.length) return emptyChart(container);
+
+  const top = max ?? niceMax(Math.max(...values));
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const xOf = i => pad.left + (points.length > 1 ? plotWidth * i / (points.length - 1) : plotWidth / 2);
+  const yOf = v => pad.top + plotHeight * (1 - v / top);
+
+  let path = '';
+  points.forEach(([, v], i) => {
+    if (v === null) return;
+    path += `${path && points[i - 1] && points[i - 1][1] !== null ? 'L' : 'M'}${xOf(i)},${yOf(v)} `;
+  });
+  const dots = points.map(([key, v], i) => v === null ? '' :
+    `<circle cx="${xOf(i)}" cy="${yOf(v)}" r="3" fill="${color}"><title>${escapeHtml(`${key}: ${v}${suffix}`)}</title></circle>`
+  ).join('');
+
+  container.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" class="chart-svg" role="img">
+      ${gridLines(top, suffix)}
+      <path d="${path}" fill="none" stroke="${color}" stroke-width="2" />
+      ${dots}${xLabels(points.map(p => p[0]), xOf)}
+    </svg>
+  `;
+}
+
+function renderRanking(container, rows, all) {
+  if (!rows.length) return emptyChart(container);
+  const max = Math.max(1, ...all.map(r => r[3]));
+
+  container.innerHTML = `<ol class="ranking">${rows.map(([name, activities, notes, score, last]) => `
+    <li>
+      <div class="ranking-head">
+        <span class="ranking-name">${escapeHtml(name)}</span>
+        <span class="ranking-score">${score}</span>
+      </div>
+      <div class="ranking-bar"><i style="width:${Math.round(score / max * 100)}%"></i></div>
+      <div class="ranking-meta">${activities} akt. · ${notes} notatek · ${last ? `ostatnio ${escapeHtml(last)}` : 'brak kontaktu'}</div>
+    </li>
+  `).join('')}</ol>`;
+}
+
+// ============= EXPORT =============
+function exportReport(name) {
+  const report = reports[name];
+  if (!report) return;
+
+  const csv = AnalyticsService.toCsv(report);
+  const filename = `analityka_${name}_${$('rangeFrom').value}_${$('rangeTo').value}.csv`;
+  // BOM - poprawne polskie znaki w Excelu
+  const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ============= INIT =============
+async function init() {
+  await bootstrapProtectedPage({ logoAction: 'dashboard' });
+
+  applyPreset();
+  $('rangePreset').addEventListener('change', () => {
+    applyPreset();
+    if (data) renderAll();
+  });
+  ['rangeFrom', 'rangeTo'].forEach(id => $(id).addEventListener('change', () => {
+    if (!$('rangeFrom').value || !$('rangeTo').value) return;
+    $('rangePreset').value = '';
+    if (data) renderAll();
+  }));
+  $('userFilter').addEventListener('change', () => {
+    if (data) renderAll();
+  });
+  document.querySelectorAll('button[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => exportReport(btn.dataset.export));
+  });
+
+  await loadData();
+  DataService.onCacheUpdate(applyFreshData);
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,419 @@
+import { CONFIG } from '../shared/config.js';
+import { AuthService } from '../shared/auth.js';
+import { DataService } from '../shared/data-service.js';
+import { CrmError } from '../shared/errors.js';
+import { ConflictDialog } from '../shared/conflict-dialog.js';
+import { UndoManager } from '../shared/undo-manager.js';
+import { bootstrapProtectedPage } from '../shared/app-shell.js';
+
+if (!AuthService.requireAuth()) {
+  throw new Error('Unauthorized');
+}
+
+let stages = [];
+let deals = [];
+let companies = [];
+let contacts = [];
+let editingDeal = null;
+let searchQuery = '';
+let ownerFilter = '';
+
+const DEAL_CONFLICT_FIELDS = [
+  { key: 'name', label: 'Nazwa' },
+  { key: 'stageId', label: 'Etap', format: id => stageName(id) },
+  { key: 'value', label: 'Wartość' },
+  { key: 'currency', label: 'Waluta' },
+  { key: 'expectedCloseDate', label: 'Planowane zamknięcie' },
+  { key: 'owner', label: 'Opiekun' },
+  { key: 'notes', label: 'Notatki' }
+];
+
+// Deale z etapem, którego już nie ma, lądują w osobnej kolumnie
+const NO_STAGE = '__none__';
+
+function $(id) { return document.getElementById(id); }
+
+function escapeHtml(str) {
+  return (str ?? '').toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function showStatus(message, type) {
+  const msg = document.createElement('div');
+  msg.className = 'status-message' + (type ? ' ' + type : '');
+  msg.textContent = message;
+  document.body.appendChild(msg);
+  setTimeout(() => msg.remove(), 3200);
+}
+
+function stageName(id) {
+  return (stages.find(s => s.id === id) || {}).name || '—';
+}
+
+function companyName(id) {
+  return (companies.find(c => c.id === id) || {}).name || '—';
+}
+
+function formatMoney(value, currency) {
+  try {
+    return new Intl.NumberFormat('pl-PL', { style: 'currency', currency, maximumFractionDigits: 0 }).format(value || 0);
+  } catch (_) {
+    return `${value || 0} ${currency}`;
+  }
+}
+
+function formatDate(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return isNaN(date) ? iso : date.toLocaleDateString('pl-PL');
+}
+
+// ============= DATA =============
+async function loadData() {
+  $('pipelineLoading').style.display = 'block';
+
+  try {
+    [stages, deals, companies, contacts] = await Promise.all([
+      DataService.loadPipelineStages(),
+      DataService.loadDeals(),
+      DataService.loadCompanies(),
+      DataService.loadContacts()
+    ]);
+    renderOwnerFilter();
+    renderBoard();
+  } catch (err) {
+    console.error('Błąd ładowania pipeline:', err);
+    showStatus('Nie udało się załadować deali', 'error');
+  } finally {
+    $('pipelineLoading').style.display = 'none';
+  }
+}
+
+function applyFreshData(key, value) {
+  // Otwarty formularz pracuje na własnej kopii deala - tablice podmieniamy po jego zamknięciu
+  if (editingDeal) return;
+
+  switch (key) {
+    case 'deals': deals = value; break;
+    case 'pipeline_stages': stages = value; break;
+    case 'companies': companies = value; break;
+    case 'contacts': contacts = value; break;
+    default: return;
+  }
+
+  renderOwnerFilter();
+  renderBoard();
+}
+
+// ============= BOARD =============
+function visibleDeals() {
+  const query = searchQuery.toLowerCase();
+  return deals.filter(deal => {
+    if (ownerFilter && deal.owner !== ownerFilter) return false;
+    if (!query) return true;
+    return deal.name.toLowerCase().includes(query) || companyName(deal.companyId).toLowerCase().includes(query);
+  });
+}
+
+function renderOwnerFilter() {
+  const select = $('ownerFilter');
+  const owners = [...new Set(deals.map(d => d.owner).filter(Boolean))].sort();
+  if (ownerFilter && !owners.includes(ownerFilter)) owners.push(ownerFilter);
+
+  select.innerHTML = '<option value="">Wszyscy opiekunowie</option>' +
+    owners.map(o => `<option value="${escapeHtml(o)}">${escapeHtml(o)}</option>`).join('');
+  select.value = ownerFilter;
+}
+
+function columnTotals(list) {
+  const totals = {};
+  list.forEach(deal => { totals[deal.currency] = (totals[deal.currency] || 0) + (deal.value || 0); });
+  return Object.keys(totals).map(currency => formatMoney(totals[currency], currency)).join(' · ') || formatMoney(0, CONFIG.PIPELINE.DEFAULT_CURRENCY);
+}
+
+function renderBoard() {
+  const board = $('pipelineBoard');
+  $('pipelineEmpty').style.display = stages.length ? 'none' : 'block';
+  $('addDealBtn').disabled = !stages.length;
+
+  const list = visibleDeals();
+  const stageIds = new Set(stages.map(s => s.id));
+  const columns = stages.map(stage => ({ stage, deals: list.filter(d => d.stageId === stage.id) }));
+  const orphans = list.filter(d => !stageIds.has(d.stageId));
+  if (orphans.length) {
+    columns.push({ stage: { id: NO_STAGE, name: 'Bez etapu', color: '#94a3b8', kind: 'open' }, deals: orphans });
+  }
+
+  board.innerHTML = columns.map(({ stage, deals: stageDeals }) => `
+    <section class="pipeline-column ${stage.kind !== 'open' ? 'closed' : ''}" data-stage-id="${escapeHtml(stage.id)}">
+      <header class="pipeline-column-header" style="border-top-color:${escapeHtml(stage.color)}">
+        <div class="pipeline-column-title">
+          <span>${escapeHtml(stage.name)}</span>
+          <span class="pipeline-count">${stageDeals.length}</span>
+        </div>
+        <div class="pipeline-column-total">${escapeHtml(columnTotals(stageDeals))}</div>
+      </header>
+      <div class="pipeline-cards">
+        ${stageDeals.map(renderCard).join('') || '<div class="pipeline-empty-column">Upuść tutaj</div>'}
+      </div>
+    </section>
+  `).join('');
+
+  board.querySelectorAll('.deal-card').forEach(card => {
+    card.addEventListener('click', () => openDealModal(deals.find(d => d.id === card.dataset.id)));
+    card.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', card.dataset.id);
+      e.dataTransfer.effectAllowed = 'move';
+      card.classList.add('dragging');
+    });
+    card.addEventListener('dragend', () => card.classList.remove('dragging'));
+  });
+
+  board.querySelectorAll('.pipeline-column').forEach(column => {
+    if (column.dataset.stageId === NO_STAGE) return;
+    column.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      column.classList.add('drag-over');
+    });
+    column.addEventListener('dragleave', (e) => {
+      if (!column.contains(e.relatedTarget)) column.classList.remove('drag-over');
+    });
+    column.addEventListener('drop', (e) => {
+      e.preventDefault();
+      column.classList.remove('drag-over');
+      moveDeal(e.dataTransfer.getData('text/plain'), column.dataset.stageId);
+    });
+  });
+}
+
+function renderCard(deal) {
+  const overdue = deal.expectedCloseDate && new Date(deal.expectedCloseDate) < new Date(new Date().toDateString());
+  return `
+    <article class="deal-card" draggable="true" data-id="${escapeHtml(deal.id)}">
+      <div class="deal-card-name">${escapeHtml(deal.name)}</div>
+      <div class="deal-card-company">${escapeHtml(companyName(deal.companyId))}</div>
+      <div class="deal-card-meta">
+        <span class="deal-card-value">${escapeHtml(formatMoney(deal.value, deal.currency))}</span>
+        ${deal.expectedCloseDate ? `<span class="deal-card-date ${overdue ? 'overdue' : ''}">📅 ${escapeHtml(formatDate(deal.expectedCloseDate))}</span>` : ''}
+      </div>
+      ${deal.owner ? `<div class="deal-card-owner">${escapeHtml(deal.owner)}</div>` : ''}
+    </article>
+  `;
+}
+
+/**
+ * Zmiana etapu po upuszczeniu karty - widok zmienia się od razu, błąd zapisu go cofa
+ */
+async function moveDeal(id, stageId) {
+  const index = deals.findIndex(d => d.id === id);
+  if (index === -1 || deals[index].stageId === stageId) return;
+
+  const previous = deals[index];
+  const updated = { ...previous, stageId };
+  deals[index] = updated;
+  renderBoard();
+
+  try {
+    await ConflictDialog.save(updated, DEAL_CONFLICT_FIELDS, d => DataService.saveDeal(d, true));
+    showStatus(`${updated.name} → ${stageName(updated.stageId)}`, 'success');
+  } catch (err) {
+    console.error('Błąd zmiany etapu:', err);
+    const current = deals.findIndex(d => d.id === id);
+    if (current !== -1) deals[current] = previous;
+    showStatus(err instanceof CrmError ? err.message : 'Nie udało się zmienić etapu', 'error');
+  }
+  renderBoard();
+}
+
+// ============= DEAL MODAL =============
+function fillSelect(select, options, selected) {
+  select.innerHTML = options.map(o =>
+    `<option value="${escapeHtml(o.value)}" ${o.value === selected ? 'selected' : ''}>${escapeHtml(o.label)}</option>`
+  ).join('');
+}
+
+function renderContactOptions(companyId, selectedIds) {
+  const list = contacts.filter(c => c.companyId === companyId);
+  $('dealContacts').innerHTML = list.map(c =>
+    `<option value="${escapeHtml(c.id)}" ${selectedIds.includes(c.id) ? 'selected' : ''}>${escapeHtml(c.name)}</option>`
+  ).join('');
+}
+
+function openDealModal(deal = null) {
+  editingDeal = deal ? { ...deal } : { id: null };
+
+  const sortedCompanies = [...companies].sort((a, b) => a.name.localeCompare(b.name, 'pl'));
+  fillSelect($('dealCompany'), [{ value: '', label: '— wybierz firmę —' }, ...sortedCompanies.map(c => ({ value: c.id, label: c.name }))], deal ? deal.companyId : '');
+  fillSelect($('dealStage'), stages.map(s => ({ value: s.id, label: s.name })), deal ? deal.stageId : (stages[0] || {}).id);
+  fillSelect($('dealCurrency'), CONFIG.PIPELINE.CURRENCIES.map(c => ({ value: c, label: c })), deal ? deal.currency : CONFIG.PIPELINE.DEFAULT_CURRENCY);
+
+  $('dealModalTitle').textContent = deal ? 'Edytuj deal' : 'Nowy deal';
+  $('dealName').value = deal ? deal.name : '';
+  $('dealValue').value = deal ? String(deal.value) : '0';
+  $('dealCloseDate').value = deal ? deal.expectedCloseDate : '';
+  $('dealOwner').value = deal ? deal.owner : (AuthService.getUserEmail() || '');
+  $('dealNotes').value = deal ? deal.notes : '';
+  renderContactOptions(deal ? deal.companyId : '', deal ? deal.contactIds : []);
+  $('deleteDealBtn').style.display = deal ? '' : 'none';
+
+  $('dealStageHistory').style.display = 'none';
+  if (deal) renderStageHistory(deal);
+
+  $('dealModal').classList.add('active');
+  $('dealModal').setAttribute('aria-hidden', 'false');
+  $('dealName').focus();
+}
+
+function closeDealModal() {
+  $('dealModal').classList.remove('active');
+  $('dealModal').setAttribute('aria-hidden', 'true');
+  $('dealForm').reset();
+  editingDeal = null;
+}
+
+/**
+ * Historia etapów - wpisy historii firmy z meta.dealId tego deala
+ */
+async function renderStageHistory(deal) {
+  const box = $('dealStageHistory');
+  let entries = [];
+  try {
+    entries = (await DataService.loadCompanyHistory(deal.companyId)).filter(entry => {
+      try {
+        return JSON.parse(entry.meta || '{}').dealId === deal.id;
+      } catch (_) {
+        return false;
+      }
+    });
+  } catch (err) {
+    console.warn('Nie udało się załadować historii etapów:', err);
+  }
+  if (!editingDeal || editingDeal.id !== deal.id || !entries.length) return;
+
+  entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  box.innerHTML = `
+    <div class="deal-history-title">Historia etapów</div>
+    <ul>
+      ${entries.map(entry => {
+        const change = DataService.historyChanges(entry).find(c => c.field === 'stageId') || {};
+        return `<li>
+          <span class="deal-history-date">${escapeHtml(DataService.formatDateTime(entry.timestamp))}</span>
+          ${change.from ? `${escapeHtml(change.from)} → ` : ''}<b>${escapeHtml(change.to || '—')}</b>
+          <span class="muted">· ${escapeHtml(entry.user)}</span>
+        </li>`;
+      }).join('')}
+    </ul>
+  `;
+  box.style.display = 'block';
+}
+
+async function handleSaveDeal(e) {
+  e.preventDefault();
+
+  const name = ($('dealName').value || '').trim();
+  const companyId = $('dealCompany').value;
+  if (!name || !companyId) {
+    alert('Podaj nazwę deala i wybierz firmę.');
+    return;
+  }
+
+  const isUpdate = !!editingDeal.id;
+  const deal = {
+    ...editingDeal,
+    // Id nadajemy od razu - deal zapisany offline musi mieć je przed odtworzeniem kolejki
+    id: editingDeal.id || DataService.generateId(),
+    name,
+    companyId,
+    contactIds: Array.from($('dealContacts').selectedOptions).map(o => o.value),
+    value: parseFloat($('dealValue').value) || 0,
+    currency: $('dealCurrency').value,
+    expectedCloseDate: $('dealCloseDate').value,
+    owner: ($('dealOwner').value || '').trim(),
+    stageId: $('dealStage').value,
+    notes: ($('dealNotes').value || '').trim()
+  };
+
+  try {
+    await ConflictDialog.save(deal, DEAL_CONFLICT_FIELDS, d => DataService.saveDeal(d, isUpdate));
+
+    const index = deals.findIndex(d => d.id === deal.id);
+    if (index === -1) {
+      deals.push(deal);
+    } else {
+      deals[index] = deal;
+    }
+    closeDealModal();
+    renderOwnerFilter();
+    renderBoard();
+    showStatus(isUpdate ? 'Deal zaktualizowany' : 'Deal dodany', 'success');
+  } catch (err) {
+    console.error('Błąd zapisu deala:', err);
+    showStatus(err instanceof CrmError ? err.message : 'Nie udało się zapisać deala', 'error');
+  }
+}
+
+async function handleDeleteDeal() {
+  if (!editingDeal || !editingDeal.id) return;
+  if (!confirm(`Przenieść deal „${editingDeal.name}" do kosza?`)) return;
+
+  const id = editingDeal.id;
+  try {
+    await DataService.deleteDeal(id);
+    deals = deals.filter(d => d.id !== id);
+    closeDealModal();
+    renderBoard();
+  } catch (err) {
+    console.error('Błąd usuwania deala:', err);
+    showStatus(err instanceof CrmError ? err.message : 'Nie udało się usunąć deala', 'error');
+  }
+}
+
+async function reloadAfterUndo() {
+  try {
+    deals = await DataService.loadDeals();
+    renderOwnerFilter();
+    renderBoard();
+  } catch (err) {
+    console.warn('Nie udało się odświeżyć deali po cofnięciu:', err);
+  }
+}
+
+// ============= INIT =============
+async function init() {
+  await bootstrapProtectedPage({ logoAction: 'dashboard' });
+
+  $('addDealBtn').addEventListener('click', () => openDealModal());
+  $('closeDealModalBtn').addEventListener('click', closeDealModal);
+  $('cancelDealBtn').addEventListener('click', closeDealModal);
+  $('deleteDealBtn').addEventListener('click', handleDeleteDeal);
+  $('dealModal').addEventListener('click', (e) => {
+    if (e.target === $('dealModal')) closeDealModal();
+  });
+  $('dealForm').addEventListener('submit', handleSaveDeal);
+  $('dealCompany').addEventListener('change', () => {
+    const selected = Array.from($('dealContacts').selectedOptions).map(o => o.value);
+    renderContactOptions($('dealCompany').value, selected);
+  });
+
+  $('dealSearch').addEventListener('input', () => {
+    searchQuery = $('dealSearch').value.trim();
+    renderBoard();
+  });
+  $('ownerFilter').addEventListener('change', () => {
+    ownerFilter = $('ownerFilter').value;
+    renderBoard();
+  });
+
+  await loadData();
+  DataService.onCacheUpdate(applyFreshData);
+  UndoManager.onChange(({ action }) => {
+    if (action === 'undone') reloadAfterUndo();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -5,6 +5,12 @@
         import { ActivitiesService } from '../shared/activities-service.js';
         import { bootstrapProtectedPage } from '../shared/app-shell.js';
         import { CustomFieldsUI } from '../shared/custom-fields-ui.js';
+        import { CrmError, DeleteBlockedError } from '../shared/errors.js';
+        import { ConflictDialog } from '../shared/conflict-dialog.js';
+        import { RecurrenceUI } from '../shared/recurrence-ui.js';
+        import { ReminderUI } from '../shared/reminder-ui.js';
+        import { UndoManager } from '../shared/undo-manager.js';
+        import { EventBus } from '../shared/event-bus.js';
 
         // ============= AUTH GUARD =============
         if (!AuthService.requireAuth()) {
@@ -30,6 +36,25 @@
 
         let editingCompanyIndex = null;
         let editingContactIndex = null;
+
+        // Pola porównywane w dialogu konfliktu zapisu (yours vs. theirs)
+        const COMPANY_CONFLICT_FIELDS = [
+            { key: 'name', label: 'Nazwa' },
+            { key: 'domain', label: 'Domena' },
+            { key: 'website', label: 'Strona WWW' },
+            { key: 'industry', label: 'Branża' },
+            { key: 'phone', label: 'Telefon' },
+            { key: 'city', label: 'Miasto' },
+            { key: 'country', label: 'Kraj' },
+            { key: 'notes', label: 'Notatki' }
+        ];
+        const CONTACT_CONFLICT_FIELDS = [
+            { key: 'name', label: 'Imię i nazwisko' },
+            { key: 'companyId', label: 'Firma', format: id => (companies.find(c => c.id === id) || {}).name || id },
+            { key: 'position', label: 'Stanowisko' },
+            { key: 'email', label: 'Email' },
+            { key: 'phone', label: 'Telefon' }
+        ];
         let currentCompanyId = null;
         let currentContactId = null;
         let currentSearchTerm = '';
@@ -52,6 +77,9 @@
         let customFieldsDefinitions = [];
         let companyCustomFields = [];
         let contactCustomFields = [];
+        // Wartości pól własnych na listach: entityId -> { [key]: value }
+        let companyFieldValues = {};
+        let contactFieldValues = {};
 
         
 // Export & Selection variables
@@ -67,6 +95,12 @@ let selectedCompanyIds = [];
 
                 // Load data
                 await loadData();
+                DataService.onCacheUpdate(applyFreshData);
+                UndoManager.onChange(({ action }) => {
+                    if (action === 'undone') reloadAfterUndo();
+                });
+                // Historia otwartego rekordu odświeża się po każdym wpisie (notatka, zmiana pól, aktywność)
+                EventBus.on('history:logged', ({ entityType, entityId }) => scheduleHistoryRefresh(entityType, entityId));
                 // Load custom fields
                 await loadCustomFieldsDefinitions();
                 // Initialize AI
@@ -129,6 +163,70 @@ let selectedCompanyIds = [];
             }
         }
 
+        // Kilka wpisów z jednej operacji (np. aktywność firmy i kontaktu) = jedno przeładowanie
+        const historyRefreshTimers = {};
+        function scheduleHistoryRefresh(entityType, entityId) {
+            const currentId = entityType === 'company' ? currentCompanyId : currentContactId;
+            if (currentId !== entityId || historyRefreshTimers[entityType]) return;
+
+            historyRefreshTimers[entityType] = setTimeout(async () => {
+                delete historyRefreshTimers[entityType];
+                if (entityType === 'company') {
+                    await loadCompanyHistory();
+                    if (currentCompanyId === entityId) renderCompanyHistory(entityId);
+                } else {
+                    await loadContactHistory();
+                    if (currentContactId === entityId) renderContactHistory(entityId);
+                }
+            }, 0);
+        }
+
+        // Cofnięcie zmienia dane poza bieżącym widokiem - przeładuj listy i otwarte szczegóły
+        async function reloadAfterUndo() {
+            await loadData();
+            if (currentCompanyId && document.getElementById('companyDetailView').classList.contains('active')) {
+                viewCompanyDetail(currentCompanyId);
+            }
+            if (currentContactId && document.getElementById('contactDetailView').classList.contains('active')) {
+                viewContactDetail(currentContactId);
+            }
+        }
+
+        // Dane z trwałego cache są od razu na ekranie - gdy arkusz zwróci coś innego, odśwież widok
+        function applyFreshData(key, value) {
+            // W trakcie edycji nie podmieniamy tablic - indeks edytowanego rekordu by się rozjechał
+            if (editingCompanyIndex !== null || editingContactIndex !== null) return;
+
+            switch (key) {
+                case 'companies': companies = value; break;
+                case 'contacts': contacts = value; break;
+                case 'tags_companies': companyTags = value; break;
+                case 'tags_contacts': contactTags = value; break;
+                case 'company_tag_relations': companyTagRelations = value; break;
+                case 'contact_tag_relations': contactTagRelations = value; break;
+                case 'history_companies': companyHistory = value; break;
+                case 'history_contacts': contactHistory = value; break;
+                case 'activities': companyActivities = value; contactActivities = value; break;
+                case 'customFieldValues':
+                    // Widoki szczegółów czytają wartości z indeksu w cache, listy - z kolumn
+                    companyFieldValues = DataService.customFieldValuesOf(value, 'company');
+                    contactFieldValues = DataService.customFieldValuesOf(value, 'contact');
+                    break;
+                case 'versions': break; // zakładka Wersje czyta z cache
+                default: return;
+            }
+
+            renderCompanies();
+            renderAllContacts();
+            renderTagFilterDropdowns();
+            if (currentCompanyId && document.getElementById('companyDetailView').classList.contains('active')) {
+                viewCompanyDetail(currentCompanyId);
+            }
+            if (currentContactId && document.getElementById('contactDetailView').classList.contains('active')) {
+                viewContactDetail(currentContactId);
+            }
+        }
+
         async function loadCompanies() {
             const loading = document.getElementById('companiesLoading');
             const grid = document.getElementById('companiesGrid');
@@ -283,6 +381,7 @@ let selectedCompanyIds = [];
                                 <th>Miasto</th>
                                 <th>Telefon</th>
                                 <th>Kontakty</th>
+                                ${customFieldHeaders(companyCustomFields)}
                                 <th style="width: 100px;">Akcje</th>
                             </tr>
                         </thead>
@@ -303,6 +402,7 @@ let selectedCompanyIds = [];
                                         <td>${company.city ? escapeHtml(company.city) : '-'}</td>
                                         <td>${company.phone ? escapeHtml(company.phone) : '-'}</td>
                                         <td>👥 ${companyContacts.length}</td>
+                                        ${customFieldCells(companyCustomFields, companyFieldValues[company.id])}
                                         <td onclick="event.stopPropagation()">
                                             <div class="actions-cell">
                                                 <button class="icon-btn" onclick="editCompany(${idx})" title="Edytuj">✏️</button>
@@ -410,6 +510,7 @@ let selectedCompanyIds = [];
                                 <th>Stanowisko</th>
                                 <th>Email</th>
                                 <th>Telefon</th>
+                                ${customFieldHeaders(contactCustomFields)}
                                 <th style="width: 100px;">Akcje</th>
                             </tr>
                         </thead>
@@ -430,6 +531,7 @@ let selectedCompanyIds = [];
                                         <td>${contact.position ? escapeHtml(contact.position) : '-'}</td>
                                         <td>${contact.email ? escapeHtml(contact.email) : '-'}</td>
                                         <td>${contact.phone ? escapeHtml(contact.phone) : '-'}</td>
+                                        ${customFieldCells(contactCustomFields, contactFieldValues[contact.id])}
                                         <td onclick="event.stopPropagation()">
                                             <div class="actions-cell">
                                                 <button class="icon-btn" onclick="editContact(${index})" title="Edytuj">✏️</button>
@@ -795,12 +897,13 @@ async function saveCompany(e) {
         
             const company = {
                 id: editingCompanyIndex !== null ? companies[editingCompanyIndex].id : DataService.generateId(),
+                version: editingCompanyIndex !== null ? companies[editingCompanyIndex].version : 0,
                 name, industry, website, phone, city, country, domain, notes,
                 tags: tagsIds
             };
 
             try {
-                await DataService.saveCompany(company, editingCompanyIndex);
+                await ConflictDialog.save(company, COMPANY_CONFLICT_FIELDS, c => DataService.saveCompany(c, editingCompanyIndex !== null));
 
 // Zapisz custom fields
                 try {
@@ -811,7 +914,6 @@ async function saveCompany(e) {
                     
                 if (editingCompanyIndex !== null) {
                     companies[editingCompanyIndex] = company;
-                    await DataService.logCompanyHistory(company.id, 'event', 'Firma zaktualizowana');
                     showStatus('Firma zaktualizowana', 'success');
                 } else {
                     companies.push(company);
@@ -825,26 +927,17 @@ async function saveCompany(e) {
                 await loadCompanyHistory();
             } catch (err) {
                 console.error('Błąd zapisu firmy:', err);
-                showStatus('Błąd zapisu firmy', 'error');
+                showStatus(errorText(err, 'Błąd zapisu firmy'), 'error');
             }
         }
 
         async function deleteCompany(index) {
-            if (!confirm('Czy na pewno chcesz usunąć tę firmę?')) return;
+            const companyId = companies[index].id;
+            const text = await confirmDeleteText('company', companyId, 'Czy na pewno chcesz usunąć tę firmę? Trafi do kosza (Ustawienia → Kosz), skąd można ją przywrócić.');
+            if (!text || !confirm(text)) return;
             try {
-                const companyId = companies[index].id;
-                await DataService.logCompanyHistory(companyId, 'event', 'Firma usunięta');
-                await DataService.deleteCompany(index);
-
-                const detachPromises = [];
-                contacts.forEach((contact, cIndex) => {
-                    if (contact.companyId === companyId) {
-                        contact.companyId = '';
-                        detachPromises.push(DataService.saveContact(contact, cIndex));
-                        DataService.logContactHistory(contact.id, 'event', `Kontakt odpięty od usuniętej firmy`);
-                    }
-                });
-                if (detachPromises.length) await Promise.all(detachPromises);
+                await DataService.logCompanyHistory(companyId, 'event', 'Firma usunięta (kosz)');
+                await DataService.deleteCompany(companyId);
 
                 companies.splice(index, 1);
                 renderCompanies();
@@ -854,7 +947,7 @@ async function saveCompany(e) {
                 await loadCompanyHistory();
             } catch (err) {
                 console.error('Błąd usuwania firmy:', err);
-                showStatus('Błąd usuwania firmy', 'error');
+                showStatus(errorText(err, 'Błąd usuwania firmy'), 'error');
             }
         }
 
@@ -1025,12 +1118,13 @@ async function saveCompany(e) {
                     
                 const contact = {
                     id: editingContactIndex !== null ? contacts[editingContactIndex].id : DataService.generateId(),
+                    version: editingContactIndex !== null ? contacts[editingContactIndex].version : 0,
                     companyId: selectedCompanyId || '',
                     name, position, email, phone,
                     tags: tagsIds
                 };
 
-                await DataService.saveContact(contact, editingContactIndex);
+                await ConflictDialog.save(contact, CONTACT_CONFLICT_FIELDS, c => DataService.saveContact(c, editingContactIndex !== null));
 
                     // Zapisz custom fields
                 try {
@@ -1041,7 +1135,6 @@ async function saveCompany(e) {
 
                 if (editingContactIndex !== null) {
                     contacts[editingContactIndex] = contact;
-                    await DataService.logContactHistory(contact.id, 'event', 'Kontakt zaktualizowany');
                     showStatus('Kontakt zaktualizowany', 'success');
                 } else {
                     contacts.push(contact);
@@ -1061,17 +1154,18 @@ async function saveCompany(e) {
                 await loadContactHistory();
             } catch (err) {
                 console.error('Błąd zapisu kontaktu:', err);
-                showStatus('Błąd zapisu kontaktu', 'error');
+                showStatus(errorText(err, 'Błąd zapisu kontaktu'), 'error');
             }
         }
 
         async function deleteContact(index) {
-            if (!confirm('Czy na pewno chcesz usunąć ten kontakt?')) return;
+            const contact = contacts[index];
+            const text = await confirmDeleteText('contact', contact.id, 'Czy na pewno chcesz usunąć ten kontakt? Trafi do kosza (Ustawienia → Kosz), skąd można go przywrócić.');
+            if (!text || !confirm(text)) return;
             try {
-                const contact = contacts[index];
-                await DataService.logContactHistory(contact.id, 'event', 'Kontakt usunięty');
+                await DataService.logContactHistory(contact.id, 'event', 'Kontakt usunięty (kosz)');
                 if (contact.companyId) await DataService.logCompanyHistory(contact.companyId, 'event', `Kontakt "${contact.name}" usunięty`);
-                await DataService.deleteContact(index);
+                await DataService.deleteContact(contact.id);
 
                 contacts.splice(index, 1);
                 renderAllContacts();
@@ -1085,7 +1179,7 @@ async function saveCompany(e) {
                 await loadContactHistory();
             } catch (err) {
                 console.error('Błąd usuwania kontaktu:', err);
-                showStatus('Błąd usuwania kontaktu', 'error');
+                showStatus(errorText(err, 'Błąd usuwania kontaktu'), 'error');
             }
         }
 
@@ -1149,6 +1243,12 @@ async function saveCompany(e) {
                 renderCompanyActivities(companyId);
                 return;
             }
+
+            // Dla scope 'versions' - zapisane wersje rekordu
+            if (scope === 'versions') {
+                renderVersions('company', companyId);
+                return;
+            }
             
             // Dla scope 'notes' lub 'full'
             const all = companyHistory.filter(h => h.companyId === companyId).sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
@@ -1168,6 +1268,7 @@ async function saveCompany(e) {
                         <span class="history-item-meta">${DataService.formatDateTime(entry.timestamp)}${entry.user ? ' • ' + escapeHtml(formatUserName(entry.user)) : ''}</span>
                     </div>
                     <div class="history-item-body">${escapeHtml(entry.content || '')}</div>
+                    ${renderHistoryChanges(entry)}
                 </div>
             `).join('');
         }
@@ -1190,6 +1291,12 @@ async function saveCompany(e) {
                 renderContactActivities(contactId);
                 return;
             }
+
+            // Dla scope 'versions' - zapisane wersje rekordu
+            if (scope === 'versions') {
+                renderVersions('contact', contactId);
+                return;
+            }
             
             // Dla scope 'notes' lub 'full'
             const all = contactHistory.filter(h => h.contactId === contactId).sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
@@ -1209,6 +1316,7 @@ async function saveCompany(e) {
                         <span class="history-item-meta">${DataService.formatDateTime(entry.timestamp)}${entry.user ? ' • ' + escapeHtml(formatUserName(entry.user)) : ''}</span>
                     </div>
                     <div class="history-item-body">${escapeHtml(entry.content || '')}</div>
+                    ${renderHistoryChanges(entry)}
                 </div>
             `).join('');
         }
@@ -1224,11 +1332,15 @@ async function saveCompany(e) {
             
             // Pobierz notatki (tylko type==='note', bez events)
             const notes = companyHistory.filter(h => h.companyId === companyId && h.type === 'note');
+
+            // Zdarzenia z różnicą pól (kto i co zmienił)
+            const changes = companyHistory.filter(h => h.companyId === companyId && h.type === 'event' && DataService.historyChanges(h).length);
             
             // Połącz i sortuj chronologicznie
             const combined = [
                 ...activities.map(a => ({ ...a, itemType: 'activity' })),
-                ...notes.map(n => ({ ...n, itemType: 'note' }))
+                ...notes.map(n => ({ ...n, itemType: 'note' })),
+                ...changes.map(c => ({ ...c, itemType: 'change' }))
             ].sort((a, b) => {
                 const dateA = a.itemType === 'activity' ? a.date : a.timestamp;
                 const dateB = b.itemType === 'activity' ? b.date : b.timestamp;
@@ -1256,7 +1368,7 @@ async function saveCompany(e) {
                                 <span class="activity-status ${item.status}">${formatted.statusLabel}</span>
                             </div>
                             <div class="activity-item-title">${escapeHtml(formatted.title)}</div>
-                            <div class="activity-item-date">${formatted.formattedDate}</div>
+                            <div class="activity-item-date">${formatted.formattedDate}${formatted.recurrenceLabel ? ` <span class="recurrence-badge">🔁 ${escapeHtml(formatted.recurrenceLabel)}</span>` : ''}</div>
                             ${formatted.notes ? `<div class="activity-item-notes">${escapeHtml(formatted.notes)}</div>` : ''}
                             <div class="activity-item-actions">
                                 ${item.status === 'planned' ? `<button onclick="completeActivity('${item.id}')">✓ Ukończ</button>` : ''}
@@ -1264,6 +1376,17 @@ async function saveCompany(e) {
                             </div>
                         </div>
                     `;
+                } else if (item.itemType === 'change') {
+                    // Render zmiany pól
+                    return `
+                        <div class="history-item event">
+                            <div class="history-item-header">
+                                <span class="history-item-type">ZMIANA</span>
+                                <span class="history-item-meta">${DataService.formatDateTime(item.timestamp)}${item.user ? ' • ' + escapeHtml(formatUserName(item.user)) : ''}</span>
+                            </div>
+                            ${renderHistoryChanges(item)}
+                        </div>
+                    `;
                 } else {
                     // Render notatki
                     return `
@@ -1291,11 +1414,15 @@ async function saveCompany(e) {
             
             // Pobierz notatki (tylko type==='note', bez events)
             const notes = contactHistory.filter(h => h.contactId === contactId && h.type === 'note');
+
+            // Zdarzenia z różnicą pól (kto i co zmienił)
+            const changes = contactHistory.filter(h => h.contactId === contactId && h.type === 'event' && DataService.historyChanges(h).length);
             
             // Połącz i sortuj chronologicznie
             const combined = [
                 ...activities.map(a => ({ ...a, itemType: 'activity' })),
-                ...notes.map(n => ({ ...n, itemType: 'note' }))
+                ...notes.map(n => ({ ...n, itemType: 'note' })),
+                ...changes.map(c => ({ ...c, itemType: 'change' }))
             ].sort((a, b) => {
                 const dateA = a.itemType === 'activity' ? a.date : a.timestamp;
                 const dateB = b.itemType === 'activity' ? b.date : b.timestamp;
@@ -1323,7 +1450,7 @@ async function saveCompany(e) {
                                 <span class="activity-status ${item.status}">${formatted.statusLabel}</span>
                             </div>
                             <div class="activity-item-title">${escapeHtml(formatted.title)}</div>
-                            <div class="activity-item-date">${formatted.formattedDate}</div>
+                            <div class="activity-item-date">${formatted.formattedDate}${formatted.recurrenceLabel ? ` <span class="recurrence-badge">🔁 ${escapeHtml(formatted.recurrenceLabel)}</span>` : ''}</div>
                             ${formatted.notes ? `<div class="activity-item-notes">${escapeHtml(formatted.notes)}</div>` : ''}
                             <div class="activity-item-actions">
                                 ${item.status === 'planned' ? `<button onclick="completeActivity('${item.id}')">✓ Ukończ</button>` : ''}
@@ -1331,6 +1458,17 @@ async function saveCompany(e) {
                             </div>
                         </div>
                     `;
+                } else if (item.itemType === 'change') {
+                    // Render zmiany pól
+                    return `
+                        <div class="history-item event">
+                            <div class="history-item-header">
+                                <span class="history-item-type">ZMIANA</span>
+                                <span class="history-item-meta">${DataService.formatDateTime(item.timestamp)}${item.user ? ' • ' + escapeHtml(formatUserName(item.user)) : ''}</span>
+                            </div>
+                            ${renderHistoryChanges(item)}
+                        </div>
+                    `;
                 } else {
                     // Render notatki
                     return `
@@ -1374,18 +1512,11 @@ async function saveCompany(e) {
             }
 
             try {
+                // Widok historii odświeża subskrypcja 'history:logged'
                 if (entityType === 'company') {
                     await DataService.logCompanyHistory(entityId, 'note', content);
-                    if (currentCompanyId === entityId) {
-                        await loadCompanyHistory();
-                        renderCompanyHistory(entityId);
-                    }
                 } else if (entityType === 'contact') {
                     await DataService.logContactHistory(entityId, 'note', content);
-                    if (currentContactId === entityId) {
-                        await loadContactHistory();
-                        renderContactHistory(entityId);
-                    }
                 }
                 showStatus('Notatka dodana', 'success');
                 closeNoteModal();
@@ -1439,6 +1570,30 @@ async function saveCompany(e) {
             setTimeout(() => msg.remove(), 3200);
         }
 
+        // Treść potwierdzenia usunięcia z podglądem CONFIG.DELETE_RULES; null = usunięcie zablokowane
+        async function confirmDeleteText(type, id, question) {
+            let effects = [];
+            try {
+                effects = await DataService.previewDelete(type, id);
+            } catch (err) {
+                console.warn('Podgląd powiązanych danych niedostępny:', err);
+                return question;
+            }
+
+            if (effects.some(e => e.rule === 'block')) {
+                showStatus(errorText(new DeleteBlockedError(type, id, effects), 'Usunięcie zablokowane'), 'error');
+                return null;
+            }
+            if (!effects.length) return question;
+            // Reguły działają dopiero przy trwałym usunięciu - do tego czasu powiązane dane zostają bez zmian
+            return `${question}\n\nPowiązane dane pozostaną bez zmian, dopóki rekord jest w koszu. Przy trwałym usunięciu z kosza:\n${DataService.formatDeleteEffects(effects, true)}`;
+        }
+
+        // Błędy warstwy danych (adresowanie, konflikty) mają własny komunikat - pokaż go zamiast ogólnego
+        function errorText(err, fallback) {
+            return err instanceof CrmError ? err.message : fallback;
+        }
+
         function escapeHtml(text) {
             const div = document.createElement('div');
             div.textContent = text == null ? '' : text;
@@ -1449,6 +1604,123 @@ async function saveCompany(e) {
         /**
          * Konwertuje email na display name jeśli to jest aktualny użytkownik
          */
+        /**
+         * Wersje rekordu (stan sprzed każdego zapisu) z przyciskiem przywrócenia
+         */
+        async function renderVersions(entityType, entityId) {
+            const prefix = entityType === 'company' ? 'company' : 'contact';
+            const list = document.getElementById(`${prefix}HistoryList`);
+            const empty = document.getElementById(`${prefix}HistoryEmpty`);
+            if (!list || !empty) return;
+
+            let versions = [];
+            try {
+                versions = await DataService.loadVersions(entityType, entityId);
+            } catch (error) {
+                console.warn('Nie udało się załadować wersji:', error);
+            }
+
+            // Użytkownik mógł w międzyczasie przejść do innej zakładki lub rekordu
+            const scope = entityType === 'company' ? currentCompanyHistoryScope : currentContactHistoryScope;
+            const currentId = entityType === 'company' ? currentCompanyId : currentContactId;
+            if (scope !== 'versions' || currentId !== entityId) return;
+
+            if (versions.length === 0) {
+                list.innerHTML = '';
+                empty.style.display = 'block';
+                empty.querySelector('h3').textContent = 'Brak wersji';
+                empty.querySelector('p').textContent = 'Wersje powstają przy każdym zapisie zmian rekordu.';
+                return;
+            }
+
+            const fields = entityType === 'company' ? COMPANY_CONFLICT_FIELDS : CONTACT_CONFLICT_FIELDS;
+            const fieldsDefs = entityType === 'company' ? companyCustomFields : contactCustomFields;
+
+            empty.style.display = 'none';
+            list.innerHTML = versions.map(version => {
+                const rows = fields
+                    .filter(field => version.record[field.key])
+                    .map(field => {
+                        const value = field.format ? field.format(version.record[field.key]) : version.record[field.key];
+                        return `<li><span class="history-change-field">${escapeHtml(field.label)}:</span> ${escapeHtml(value)}</li>`;
+                    });
+                Object.entries(version.customFields || {}).forEach(([key, value]) => {
+                    const text = Array.isArray(value) ? value.join(', ') : (value ?? '').toString();
+                    if (!text) return;
+                    const def = fieldsDefs.find(f => f.key === key);
+                    rows.push(`<li><span class="history-change-field">${escapeHtml(def ? def.name : key)}:</span> ${escapeHtml(text)}</li>`);
+                });
+
+                return `
+                    <div class="history-item event">
+                        <div class="history-item-header">
+                            <span class="history-item-type">WERSJA ${version.version || ''}</span>
+                            <span class="history-item-meta">${DataService.formatDateTime(version.timestamp)}${version.user ? ' • ' + escapeHtml(formatUserName(version.user)) : ''}</span>
+                        </div>
+                        <ul class="history-changes">${rows.join('')}</ul>
+                        <div class="activity-item-actions">
+                            <button onclick="restoreVersion('${entityType}', '${version.id}')">↺ Przywróć</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        async function restoreVersion(entityType, versionId) {
+            const collection = entityType === 'company' ? companies : contacts;
+            const entityId = entityType === 'company' ? currentCompanyId : currentContactId;
+            const index = collection.findIndex(item => item.id === entityId);
+            if (index === -1) return;
+
+            try {
+                const version = (await DataService.loadVersions(entityType, entityId)).find(v => v.id === versionId);
+                if (!version) {
+                    showStatus('Nie znaleziono wersji', 'error');
+                    return;
+                }
+
+                collection[index] = await DataService.restoreVersion(entityType, collection[index], version);
+                showStatus('Przywrócono wersję', 'success');
+
+                if (entityType === 'company') {
+                    renderCompanies();
+                    await loadCompanyHistory();
+                    viewCompanyDetail(entityId);
+                } else {
+                    renderAllContacts();
+                    await loadContactHistory();
+                    viewContactDetail(entityId);
+                }
+            } catch (err) {
+                console.error('Błąd przywracania wersji:', err);
+                showStatus(errorText(err, 'Nie udało się przywrócić wersji'), 'error');
+            }
+        }
+
+        /**
+         * Różnica pól z wpisu historii jako lista "pole: stara → nowa"
+         */
+        function renderHistoryChanges(entry) {
+            const changes = DataService.historyChanges(entry);
+            if (changes.length === 0) return '';
+
+            const format = (change, value) => {
+                if (change.field === 'companyId' && value) {
+                    value = (companies.find(c => c.id === value) || {}).name || value;
+                }
+                if (!value) return '—';
+                return value.length > 80 ? value.slice(0, 80) + '…' : value;
+            };
+
+            return `
+                <ul class="history-changes">
+                    ${changes.map(change => `
+                        <li><span class="history-change-field">${escapeHtml(change.label || change.field)}:</span> ${escapeHtml(format(change, change.from))} → ${escapeHtml(format(change, change.to))}</li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
         function formatUserName(userName) {
             if (!userName) return '';
             
@@ -1505,6 +1777,8 @@ async function saveCompany(e) {
                 .toISOString()
                 .slice(0, 16);
             document.getElementById('activityDate').value = localDateTime;
+            RecurrenceUI.mount(document.getElementById('activityRecurrence'), null, 'activityRec_');
+            ReminderUI.mountFields(document.getElementById('activityReminders'));
             
             // Show/hide contact selector
             const contactSelectorGroup = document.getElementById('activityContactSelectorGroup');
@@ -1562,7 +1836,9 @@ async function saveCompany(e) {
                     notes,
                     companyId,
                     contactId,
-                    status: 'planned'
+                    status: 'planned',
+                    recurrence: RecurrenceUI.collect(document.getElementById('activityRecurrence')),
+                    reminders: ReminderUI.collectFields(document.getElementById('activityReminders'))
                 });
                 
                 showStatus('Aktywność dodana', 'success');
@@ -1616,7 +1892,7 @@ async function saveCompany(e) {
                                 <span class="activity-status ${activity.status}">${formatted.statusLabel}</span>
                             </div>
                             <div class="activity-item-title">${escapeHtml(formatted.title)}</div>
-                            <div class="activity-item-date">${formatted.formattedDate}</div>
+                            <div class="activity-item-date">${formatted.formattedDate}${formatted.recurrenceLabel ? ` <span class="recurrence-badge">🔁 ${escapeHtml(formatted.recurrenceLabel)}</span>` : ''}</div>
                             ${formatted.notes ? `<div class="activity-item-notes">${escapeHtml(formatted.notes)}</div>` : ''}
                             <div class="activity-item-actions">
                                 ${activity.status === 'planned' ? `<button onclick="completeActivity('${activity.id}')">✓ Ukończ</button>` : ''}
@@ -1655,7 +1931,7 @@ async function saveCompany(e) {
                                 <span class="activity-status ${activity.status}">${formatted.statusLabel}</span>
                             </div>
                             <div class="activity-item-title">${escapeHtml(formatted.title)}</div>
-                            <div class="activity-item-date">${formatted.formattedDate}</div>
+                            <div class="activity-item-date">${formatted.formattedDate}${formatted.recurrenceLabel ? ` <span class="recurrence-badge">🔁 ${escapeHtml(formatted.recurrenceLabel)}</span>` : ''}</div>
                             ${formatted.notes ? `<div class="activity-item-notes">${escapeHtml(formatted.notes)}</div>` : ''}
                             <div class="activity-item-actions">
                                 ${activity.status === 'planned' ? `<button onclick="completeActivity('${activity.id}')">✓ Ukończ</button>` : ''}
@@ -1682,10 +1958,20 @@ async function saveCompany(e) {
         }
 
         async function deleteActivity(activityId) {
-            if (!confirm('Czy na pewno chcesz usunąć tę aktywność?')) return;
+            const activity = companyActivities.find(a => a.id === activityId);
+            let scope = 'this';
+            if (activity && activity.seriesId) {
+                scope = await RecurrenceUI.askScope({
+                    title: 'Usuwanie aktywności cyklicznej',
+                    intro: 'Usunąć tylko to wystąpienie, czy także wszystkie kolejne (seria się zakończy)?'
+                });
+                if (!scope) return;
+            } else if (!confirm('Czy na pewno chcesz usunąć tę aktywność?')) {
+                return;
+            }
             
             try {
-                await ActivitiesService.deleteActivity(activityId);
+                await ActivitiesService.deleteActivity(activityId, scope);
                 showStatus('Aktywność usunięta', 'success');
                 
                 await loadActivitiesData();
@@ -1791,7 +2077,6 @@ async function saveCompanyTag(event) {
     event.preventDefault();
     
     const tagId = document.getElementById('companyTagId').value;
-    const rowIndex = document.getElementById('companyTagRowIndex').value;
     
     const tag = {
         id: tagId || DataService.generateId(),
@@ -1801,7 +2086,7 @@ async function saveCompanyTag(event) {
     };
     
     try {
-        await DataService.saveCompanyTag(tag, rowIndex ? parseInt(rowIndex) : null);
+        await DataService.saveCompanyTag(tag, !!tagId);
         showStatus(tagId ? 'Etykieta zaktualizowana' : 'Etykieta dodana', 'success');
         
         // Reload
@@ -1821,14 +2106,12 @@ async function saveCompanyTag(event) {
 function resetCompanyTagForm() {
     document.getElementById('companyTagForm').reset();
     document.getElementById('companyTagId').value = '';
-    document.getElementById('companyTagRowIndex').value = '';
     document.getElementById('companyTagSubmitText').textContent = 'Dodaj etykietę';
     selectColor('company', '#3b82f6');
 }
 
-function editCompanyTag(tag, rowIndex) {
+function editCompanyTag(tag) {
     document.getElementById('companyTagId').value = tag.id;
-    document.getElementById('companyTagRowIndex').value = rowIndex;
     document.getElementById('companyTagName').value = tag.name;
     document.getElementById('companyTagDescription').value = tag.description || '';
     document.getElementById('companyTagSubmitText').textContent = 'Zapisz zmiany';
@@ -1841,13 +2124,13 @@ function editCompanyTag(tag, rowIndex) {
     });
 }
 
-async function deleteCompanyTag(tagId, rowIndex) {
-    if (!confirm('Czy na pewno chcesz usunąć tę etykietę? Zostanie ona usunięta ze wszystkich firm.')) {
+async function deleteCompanyTag(tagId) {
+    if (!confirm('Czy na pewno chcesz usunąć tę etykietę? Trafi do kosza i zniknie ze wszystkich firm do czasu przywrócenia.')) {
         return;
     }
     
     try {
-        await DataService.deleteCompanyTag(rowIndex);
+        await DataService.deleteCompanyTag(tagId);
         showStatus('Etykieta usunięta', 'success');
         
         // Clear filter if deleted tag was active
@@ -1878,7 +2161,7 @@ function renderCompanyTagsList() {
         return;
     }
     
-    container.innerHTML = companyTags.map((tag, index) => `
+    container.innerHTML = companyTags.map(tag => `
         <div class="tag-list-item">
             <div class="tag-list-item-left">
                 <div class="tag-list-item-color" style="background-color: ${tag.color}"></div>
@@ -1888,13 +2171,13 @@ function renderCompanyTagsList() {
                 </div>
             </div>
             <div class="tag-list-item-actions">
-                <button class="tag-action-btn" onclick='editCompanyTag(${JSON.stringify(tag)}, ${index})' title="Edytuj">
+                <button class="tag-action-btn" onclick='editCompanyTag(${JSON.stringify(tag)})' title="Edytuj">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                         <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                     </svg>
                 </button>
-                <button class="tag-action-btn" onclick="deleteCompanyTag('${tag.id}', ${index})" title="Usuń">
+                <button class="tag-action-btn" onclick="deleteCompanyTag('${tag.id}')" title="Usuń">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <polyline points="3 6 5 6 21 6"></polyline>
                         <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
@@ -1911,7 +2194,6 @@ async function saveContactTag(event) {
     event.preventDefault();
     
     const tagId = document.getElementById('contactTagId').value;
-    const rowIndex = document.getElementById('contactTagRowIndex').value;
     
     const tag = {
         id: tagId || DataService.generateId(),
@@ -1921,7 +2203,7 @@ async function saveContactTag(event) {
     };
     
     try {
-        await DataService.saveContactTag(tag, rowIndex ? parseInt(rowIndex) : null);
+        await DataService.saveContactTag(tag, !!tagId);
         showStatus(tagId ? 'Etykieta zaktualizowana' : 'Etykieta dodana', 'success');
         
         // Reload
@@ -1941,14 +2223,12 @@ async function saveContactTag(event) {
 function resetContactTagForm() {
     document.getElementById('contactTagForm').reset();
     document.getElementById('contactTagId').value = '';
-    document.getElementById('contactTagRowIndex').value = '';
     document.getElementById('contactTagSubmitText').textContent = 'Dodaj etykietę';
     selectColor('contact', '#3b82f6');
 }
 
-function editContactTag(tag, rowIndex) {
+function editContactTag(tag) {
     document.getElementById('contactTagId').value = tag.id;
-    document.getElementById('contactTagRowIndex').value = rowIndex;
     document.getElementById('contactTagName').value = tag.name;
     document.getElementById('contactTagDescription').value = tag.description || '';
     document.getElementById('contactTagSubmitText').textContent = 'Zapisz zmiany';
@@ -1961,13 +2241,13 @@ function editContactTag(tag, rowIndex) {
     });
 }
 
-async function deleteContactTag(tagId, rowIndex) {
-    if (!confirm('Czy na pewno chcesz usunąć tę etykietę? Zostanie ona usunięta ze wszystkich kontaktów.')) {
+async function deleteContactTag(tagId) {
+    if (!confirm('Czy na pewno chcesz usunąć tę etykietę? Trafi do kosza i zniknie ze wszystkich kontaktów do czasu przywrócenia.')) {
         return;
     }
     
     try {
-        await DataService.deleteContactTag(rowIndex);
+        await DataService.deleteContactTag(tagId);
         showStatus('Etykieta usunięta', 'success');
         
         // Clear filter if deleted tag was active
@@ -1998,7 +2278,7 @@ function renderContactTagsList() {
         return;
     }
     
-    container.innerHTML = contactTags.map((tag, index) => `
+    container.innerHTML = contactTags.map(tag => `
         <div class="tag-list-item">
             <div class="tag-list-item-left">
                 <div class="tag-list-item-color" style="background-color: ${tag.color}"></div>
@@ -2008,13 +2288,13 @@ function renderContactTagsList() {
                 </div>
             </div>
             <div class="tag-list-item-actions">
-                <button class="tag-action-btn" onclick='editContactTag(${JSON.stringify(tag)}, ${index})' title="Edytuj">
+                <button class="tag-action-btn" onclick='editContactTag(${JSON.stringify(tag)})' title="Edytuj">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                         <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                     </svg>
                 </button>
-                <button class="tag-action-btn" onclick="deleteContactTag('${tag.id}', ${index})" title="Usuń">
+                <button class="tag-action-btn" onclick="deleteContactTag('${tag.id}')" title="Usuń">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <polyline points="3 6 5 6 21 6"></polyline>
                         <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
@@ -2435,7 +2715,7 @@ async function removeTagFromDetail(entityId, tagId, type) {
 
 async function removeTagFromEntity(entityId, tagId, type) {
     try {
-        // Reload relations from sheet to get accurate row indices
+        // Reload relations from sheet - relacja mogła zostać już usunięta w innej sesji
         let allRelationsFromSheet;
         if (type === 'company') {
             allRelationsFromSheet = await DataService.loadCompanyTagRelations(null, false);
@@ -2453,14 +2733,10 @@ async function removeTagFromEntity(entityId, tagId, type) {
             return;
         }
         
-        // Row index is position in array (0-based)
-        // DataService will add +2 for header row
-        const rowIndex = allRelationsFromSheet.indexOf(relation);
-        
         if (type === 'company') {
-            await DataService.removeTagFromCompany(relation.id, rowIndex);
+            await DataService.removeTagFromCompany(relation.id);
         } else {
-            await DataService.removeTagFromContact(relation.id, rowIndex);
+            await DataService.removeTagFromContact(relation.id);
         }
         
         // Reload local cache
@@ -2842,6 +3118,7 @@ async function loadTagsData() {
         window.openActivityModal = openActivityModal;
         window.completeActivity = completeActivity;
         window.deleteActivity = deleteActivity;
+        window.restoreVersion = restoreVersion;
 
         // Export & selection functions
         window.toggleExportDropdown = toggleExportDropdown;
@@ -3460,7 +3737,7 @@ async function saveAiResponseAsNote() {
             const existing = (company.notes || '').trim();
             company.notes = existing ? `${existing}\n\n---\n${enrichmentBlock}` : enrichmentBlock;
 
-            await DataService.saveCompany(company, idx);
+            await DataService.saveCompany(company, true);
 
             // Odśwież dane i widok szczegółów
             companies = await DataService.loadCompanies(false);
@@ -3648,6 +3925,36 @@ async function loadCustomFieldsDefinitions() {
         companyCustomFields = [];
         contactCustomFields = [];
     }
+
+    // Kolumny pól własnych w widoku listy - po kolei, drugi odczyt trafia w indeks z cache
+    try {
+        companyFieldValues = await DataService.loadCustomFieldValuesFor('company');
+        contactFieldValues = await DataService.loadCustomFieldValuesFor('contact');
+    } catch (error) {
+        console.warn('Nie udało się załadować wartości custom fields:', error);
+        companyFieldValues = {};
+        contactFieldValues = {};
+    }
+    renderCompanies();
+    renderAllContacts();
+}
+
+function listCustomFields(defs) {
+    return defs
+        .filter(def => def.enabled)
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+function customFieldHeaders(defs) {
+    return listCustomFields(defs).map(def => `<th>${escapeHtml(def.name)}</th>`).join('');
+}
+
+function customFieldCells(defs, values = {}) {
+    return listCustomFields(defs).map(def => {
+        const v = values[def.key];
+        const empty = v === undefined || v === null || v === '';
+        return `<td>${empty ? '-' : escapeHtml(CustomFieldsUI.valueToString(def, v))}</td>`;
+    }).join('');
 }
 
 async function renderCompanyCustomFields(companyId = null) {
@@ -3665,7 +3972,7 @@ async function renderCompanyCustomFields(companyId = null) {
     let values = {};
     if (companyId) {
         try {
-            const result = await DataService.loadCustomFieldValues('company', companyId, false);
+            const result = await DataService.loadCustomFieldValues('company', companyId);
             values = result.values || {};
         } catch (error) {
             console.warn('Nie udało się załadować wartości custom fields:', error);
@@ -3690,7 +3997,7 @@ async function renderContactCustomFields(contactId = null) {
     let values = {};
     if (contactId) {
         try {
-            const result = await DataService.loadCustomFieldValues('contact', contactId, false);
+            const result = await DataService.loadCustomFieldValues('contact', contactId);
             values = result.values || {};
         } catch (error) {
             console.warn('Nie udało się załadować wartości custom fields:', error);
@@ -3723,6 +4030,7 @@ async function saveCompanyCustomFieldValues(companyId, values) {
     
     try {
         await DataService.saveCustomFieldValues('company', companyId, values);
+        companyFieldValues = { ...companyFieldValues, [companyId]: values };
         console.log('✓ Custom fields firmy zapisane');
     } catch (error) {
         console.error('Błąd zapisu custom fields firmy:', error);
@@ -3737,6 +4045,7 @@ async function saveContactCustomFieldValues(contactId, values) {
     
     try {
         await DataService.saveCustomFieldValues('contact', contactId, values);
+        contactFieldValues = { ...contactFieldValues, [contactId]: values };
         console.log('✓ Custom fields kontaktu zapisane');
     } catch (error) {
         console.error('Błąd zapisu custom fields kontaktu:', error);
@@ -3753,7 +4062,7 @@ async function renderCompanyDetailCustomFields(companyId) {
     }
     
     try {
-        const result = await DataService.loadCustomFieldValues('company', companyId, false);
+        const result = await DataService.loadCustomFieldValues('company', companyId);
         const values = result.values || {};
         
         const customFieldsHtml = CustomFieldsUI.detailRows(companyCustomFields, values);
@@ -3782,7 +4091,7 @@ async function renderContactDetailCustomFields(contactId) {
     }
     
     try {
-        const result = await DataService.loadCustomFieldValues('contact', contactId, false);
+        const result = await DataService.loadCustomFieldValues('contact', contactId);
         const values = result.values || {};
         
         const customFieldsHtml = CustomFieldsUI.detailRows(contactCustomFields, values);
@@ -1,5 +1,10 @@
 import { AuthService } from '../shared/auth.js';
 import { DataService } from '../shared/data-service.js';
+import { MaintenanceService } from '../shared/maintenance-service.js';
+import { SchemaService } from '../shared/schema.js';
+import { MigrationService } from '../shared/migrations.js';
+import { IntegrityService } from '../shared/integrity-service.js';
+import { CrmError, DeleteBlockedError } from '../shared/errors.js';
 import { bootstrapProtectedPage } from '../shared/app-shell.js';
 
 if (!AuthService.requireAuth()) {
@@ -8,7 +13,13 @@ if (!AuthService.requireAuth()) {
 
 let allFields = [];
 let currentFilter = 'company'; // company | contact | both
-let editingRowIndex = null;
+let editingField = null;
+let trash = null;
+let currentTrashType = 'company';
+let integrityReport = null;
+let stages = null;
+let stageDealCounts = {};
+let editingStage = null;
 
 function $(id) { return document.getElementById(id); }
 
@@ -21,7 +32,7 @@ function normalizeKey(key) {
 }
 
 function showSection(sectionKey) {
-  const sections = ['customFields', 'pipeline', 'ai'];
+  const sections = ['customFields', 'pipeline', 'trash', 'maintenance', 'ai'];
   sections.forEach(k => {
     const el = $(`section-${k}`);
     if (!el) return;
@@ -31,6 +42,13 @@ function showSection(sectionKey) {
   document.querySelectorAll('.settings-nav button[data-section]').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.section === sectionKey);
   });
+
+  if (sectionKey === 'trash' && !trash) {
+    loadTrash();
+  }
+  if (sectionKey === 'pipeline' && !stages) {
+    loadStages();
+  }
 }
 
 function openModal() {
@@ -43,8 +61,8 @@ function closeModal() {
   $('fieldModal').setAttribute('aria-hidden', 'true');
   $('fieldForm').reset();
   $('fieldOptions').value = '';
-  $('fieldRowIndex').value = '';
-  editingRowIndex = null;
+  $('fieldId').value = '';
+  editingField = null;
 }
 
 function parseOptionsFromTextarea() {
@@ -84,8 +102,8 @@ function renderTable() {
       <td>${Number.isFinite(f.order) ? f.order : 0}</td>
       <td>
         <div class="row-actions">
-          <button type="button" data-action="edit" data-row="${f.rowIndex}" title="Edytuj">✏️</button>
-          <button type="button" data-action="delete" data-row="${f.rowIndex}" title="Usuń">🗑️</button>
+          <button type="button" data-action="edit" data-id="${escapeHtml(f.id)}" title="Edytuj">✏️</button>
+          <button type="button" data-action="delete" data-id="${escapeHtml(f.id)}" title="Usuń">🗑️</button>
         </div>
       </td>
     </tr>
@@ -94,8 +112,7 @@ function renderTable() {
   tbody.querySelectorAll('button[data-action]').forEach(btn => {
     btn.addEventListener('click', async () => {
       const action = btn.dataset.action;
-      const rowIndex = parseInt(btn.dataset.row, 10);
-      const field = allFields.find(x => x.rowIndex === rowIndex);
+      const field = allFields.find(x => x.id === btn.dataset.id);
       if (!field) return;
 
       if (action === 'edit') {
@@ -146,8 +163,8 @@ async function loadCustomFields() {
 
 function openCreate() {
   $('fieldModalTitle').textContent = 'Dodaj pole';
-  editingRowIndex = null;
-  $('fieldRowIndex').value = '';
+  editingField = null;
+  $('fieldId').value = '';
   $('fieldName').value = '';
   $('fieldKey').value = '';
   $('fieldEntityType').value = currentFilter === 'both' ? 'both' : currentFilter;
@@ -161,8 +178,8 @@ function openCreate() {
 
 function openEdit(field) {
   $('fieldModalTitle').textContent = 'Edytuj pole';
-  editingRowIndex = field.rowIndex;
-  $('fieldRowIndex').value = String(field.rowIndex);
+  editingField = field;
+  $('fieldId').value = field.id;
   $('fieldName').value = field.name || '';
   $('fieldKey').value = field.key || '';
   $('fieldEntityType').value = field.entityType || 'both';
@@ -179,7 +196,7 @@ async function deleteField(field) {
   if (!ok) return;
 
   try {
-    await DataService.deleteCustomField(field.rowIndex);
+    await DataService.deleteCustomField(field.id);
     await loadCustomFields();
   } catch (err) {
     console.error('Błąd usuwania pola:', err);
@@ -205,13 +222,15 @@ async function handleSaveField(e) {
   }
 
   // Unique key check
-  const dup = allFields.find(f => f.key === key && f.rowIndex !== editingRowIndex);
+  const dup = allFields.find(f => f.key === key && f.id !== editingField?.id);
   if (dup) {
     alert(`Klucz „${key}" już istnieje (pole: ${dup.name}). Wybierz unikalny klucz.`);
     return;
   }
 
   const payload = {
+    id: editingField?.id,
+    createdAt: editingField?.createdAt,
     entityType,
     key,
     name,
@@ -223,7 +242,7 @@ async function handleSaveField(e) {
   };
 
   try {
-    await DataService.saveCustomField(payload, editingRowIndex);
+    await DataService.saveCustomField(payload, !!editingField);
     closeModal();
     await loadCustomFields();
   } catch (err) {
@@ -232,6 +251,410 @@ async function handleSaveField(e) {
   }
 }
 
+// ============= PIPELINE STAGES =============
+const STAGE_KINDS = { open: 'W toku', won: 'Wygrany', lost: 'Przegrany' };
+
+async function loadStages() {
+  const tbody = $('stagesTbody');
+  tbody.innerHTML = '<tr><td colspan="5" class="muted">Ładowanie…</td></tr>';
+
+  try {
+    const [loadedStages, deals] = await Promise.all([
+      DataService.loadPipelineStages(),
+      DataService.loadDeals()
+    ]);
+    stages = loadedStages;
+    stageDealCounts = {};
+    deals.forEach(d => { stageDealCounts[d.stageId] = (stageDealCounts[d.stageId] || 0) + 1; });
+    renderStages();
+  } catch (err) {
+    console.error('Błąd ładowania etapów:', err);
+    tbody.innerHTML = '<tr><td colspan="5" class="muted">Nie udało się załadować etapów. Sprawdź, czy arkusze <code>PipelineStages</code> i <code>Deals</code> istnieją.</td></tr>';
+  }
+}
+
+function renderStages() {
+  const tbody = $('stagesTbody');
+  $('defaultStagesBtn').style.display = stages.length ? 'none' : '';
+
+  if (!stages.length) {
+    tbody.innerHTML = '<tr><td colspan="5" class="muted">Brak etapów. Dodaj własne albo utwórz domyślny lejek.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = stages.map(stage => `
+    <tr>
+      <td><span class="stage-dot" style="background:${escapeHtml(stage.color)}"></span><b>${escapeHtml(stage.name)}</b></td>
+      <td>${escapeHtml(STAGE_KINDS[stage.kind] || stage.kind)}</td>
+      <td>${stage.order}</td>
+      <td>${stageDealCounts[stage.id] || 0}</td>
+      <td>
+        <div class="row-actions">
+          <button type="button" data-action="edit" data-id="${escapeHtml(stage.id)}" title="Edytuj">✏️</button>
+          <button type="button" data-action="delete" data-id="${escapeHtml(stage.id)}" title="Usuń">🗑️</button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+
+  tbody.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const stage = stages.find(x => x.id === btn.dataset.id);
+      if (!stage) return;
+
+      if (btn.dataset.action === 'edit') {
+        openStageModal(stage);
+      } else {
+        await deleteStage(stage);
+      }
+    });
+  });
+}
+
+function openStageModal(stage = null) {
+  editingStage = stage;
+  const nextOrder = stages && stages.length ? stages[stages.length - 1].order + 10 : 10;
+  $('stageModalTitle').textContent = stage ? 'Edytuj etap' : 'Dodaj etap';
+  $('stageName').value = stage ? stage.name : '';
+  $('stageKind').value = stage ? stage.kind : 'open';
+  $('stageOrder').value = String(stage ? stage.order : nextOrder);
+  $('stageColor').value = stage ? stage.color : '#64748b';
+  $('stageModal').classList.add('active');
+  $('stageModal').setAttribute('aria-hidden', 'false');
+}
+
+function closeStageModal() {
+  $('stageModal').classList.remove('active');
+  $('stageModal').setAttribute('aria-hidden', 'true');
+  $('stageForm').reset();
+  editingStage = null;
+}
+
+async function handleSaveStage(e) {
+  e.preventDefault();
+
+  const name = ($('stageName').value || '').trim();
+  if (!name) {
+    alert('Podaj nazwę etapu.');
+    return;
+  }
+
+  const payload = {
+    id: editingStage?.id,
+    createdAt: editingStage?.createdAt,
+    name,
+    kind: $('stageKind').value,
+    order: parseInt(($('stageOrder').value || '0'), 10) || 0,
+    color: $('stageColor').value
+  };
+
+  try {
+    await DataService.savePipelineStage(payload, !!editingStage);
+    closeStageModal();
+    await loadStages();
+  } catch (err) {
+    console.error('Błąd zapisu etapu:', err);
+    alert('Nie udało się zapisać etapu. Sprawdź konsolę.');
+  }
+}
+
+async function deleteStage(stage) {
+  if (!confirm(`Usunąć etap „${stage.name}"?`)) return;
+
+  try {
+    await DataService.deletePipelineStage(stage.id);
+    await loadStages();
+    showStatus('Etap usunięty', 'success');
+  } catch (err) {
+    console.error('Błąd usuwania etapu:', err);
+    alert(err instanceof CrmError ? err.message : 'Nie udało się usunąć etapu. Sprawdź konsolę.');
+  }
+}
+
+async function createDefaultStages() {
+  $('defaultStagesBtn').disabled = true;
+  try {
+    await DataService.createDefaultPipelineStages();
+    await loadStages();
+    showStatus('Utworzono domyślne etapy', 'success');
+  } catch (err) {
+    console.error('Błąd tworzenia etapów:', err);
+    alert('Nie udało się utworzyć etapów. Sprawdź konsolę.');
+  } finally {
+    $('defaultStagesBtn').disabled = false;
+  }
+}
+
+// ============= TRASH =============
+async function loadTrash() {
+  const tbody = $('trashTbody');
+  tbody.innerHTML = '<tr><td colspan="4" class="muted">Ładowanie…</td></tr>';
+
+  try {
+    trash = await DataService.loadTrash();
+    renderTrash();
+  } catch (err) {
+    console.error('Błąd ładowania kosza:', err);
+    tbody.innerHTML = '<tr><td colspan="4" class="muted">Nie udało się załadować kosza. Sprawdź konsolę.</td></tr>';
+  }
+}
+
+function renderTrash() {
+  const tbody = $('trashTbody');
+  const items = (trash && trash[currentTrashType]) || [];
+
+  if (!items.length) {
+    tbody.innerHTML = '<tr><td colspan="4" class="muted">Kosz jest pusty.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = items.map(item => `
+    <tr>
+      <td><b>${escapeHtml(item.name || item.title || item.id)}</b></td>
+      <td>${escapeHtml(DataService.formatDateTime(item.deletedAt))}</td>
+      <td>${escapeHtml(item.deletedBy || '—')}</td>
+      <td>
+        <div class="row-actions">
+          <button type="button" data-action="restore" data-id="${escapeHtml(item.id)}" title="Przywróć">♻️</button>
+          <button type="button" data-action="purge" data-id="${escapeHtml(item.id)}" title="Usuń trwale">🗑️</button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+
+  tbody.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const item = items.find(x => x.id === btn.dataset.id);
+      if (!item) return;
+
+      if (btn.dataset.action === 'restore') {
+        await restoreTrashItem(item);
+      } else {
+        await purgeTrashItem(item);
+      }
+    });
+  });
+}
+
+async function restoreTrashItem(item) {
+  try {
+    await DataService.restoreFromTrash(currentTrashType, item.id);
+    await logTrashEvent(item, 'przywrócona z kosza', 'przywrócony z kosza');
+    showStatus(`Przywrócono: ${item.name || item.title || item.id}`, 'success');
+    await loadTrash();
+  } catch (err) {
+    console.error('Błąd przywracania:', err);
+    showStatus('Nie udało się przywrócić rekordu', 'error');
+  }
+}
+
+async function purgeTrashItem(item) {
+  const name = item.name || item.title || item.id;
+  let question = `Usunąć trwale „${name}"? Tej operacji nie można cofnąć.`;
+
+  try {
+    const effects = await DataService.previewDelete(currentTrashType, item.id);
+    if (effects.some(e => e.rule === 'block')) {
+      showStatus(new DeleteBlockedError(currentTrashType, item.id, effects).message, 'error');
+      return;
+    }
+    if (effects.length) {
+      question += `\n\nPowiązane dane:\n${DataService.formatDeleteEffects(effects)}`;
+    }
+  } catch (err) {
+    console.warn('Podgląd powiązanych danych niedostępny:', err);
+  }
+
+  if (!confirm(question)) return;
+
+  try {
+    await DataService.purgeFromTrash(currentTrashType, item.id);
+    // Historii nie uzupełniamy - przy regule cascade wpis byłby od razu osierocony
+    showStatus('Rekord usunięty trwale', 'success');
+    await loadTrash();
+  } catch (err) {
+    console.error('Błąd trwałego usuwania:', err);
+    showStatus(err instanceof CrmError ? err.message : 'Nie udało się usunąć rekordu', 'error');
+  }
+}
+
+async function logTrashEvent(item, companyText, contactText) {
+  if (currentTrashType === 'company') {
+    await DataService.logCompanyHistory(item.id, 'event', `Firma ${companyText}`);
+  } else if (currentTrashType === 'contact') {
+    await DataService.logContactHistory(item.id, 'event', `Kontakt ${contactText}`);
+  }
+}
+
+// ============= MAINTENANCE =============
+async function compactSheets() {
+  const ok = confirm('Usunąć puste wiersze ze wszystkich arkuszy? Pozycje rekordów w Google Sheets się zmienią.');
+  if (!ok) return;
+
+  const btn = $('compactSheetsBtn');
+  const tbody = $('compactionTbody');
+  btn.disabled = true;
+  tbody.innerHTML = '<tr><td colspan="3" class="muted">Kompaktowanie…</td></tr>';
+
+  try {
+    const report = await MaintenanceService.compactAll();
+    renderCompactionReport(report);
+
+    // Cache DataService jest już wyczyszczony - odśwież dane tej strony
+    trash = null;
+    await loadCustomFields();
+
+    const removed = report.reduce((sum, r) => sum + r.removed, 0);
+    showStatus(removed ? `Usunięto ${removed} pustych wierszy` : 'Arkusze nie wymagały porządkowania', 'success');
+  } catch (err) {
+    console.error('Błąd kompaktowania:', err);
+    tbody.innerHTML = '<tr><td colspan="3" class="muted">Kompaktowanie nie powiodło się. Sprawdź konsolę.</td></tr>';
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderCompactionReport(report) {
+  $('compactionTbody').innerHTML = report.map(r => {
+    if (r.error) {
+      return `
+        <tr>
+          <td><code>${escapeHtml(r.sheet)}</code></td>
+          <td colspan="2" class="muted">Pominięto: ${escapeHtml(r.error)}</td>
+        </tr>`;
+    }
+
+    const moved = r.moved.length
+      ? `<details>
+           <summary>${r.moved.length}</summary>
+           ${r.moved.slice(0, 50).map(m => `<div class="muted"><code>${escapeHtml(m.id || '(bez id)')}</code>: wiersz ${m.from} → ${m.to}</div>`).join('')}
+           ${r.moved.length > 50 ? `<div class="muted">… i ${r.moved.length - 50} więcej</div>` : ''}
+         </details>`
+      : '0';
+
+    return `
+      <tr>
+        <td><code>${escapeHtml(r.sheet)}</code></td>
+        <td>${r.removed}</td>
+        <td>${moved}</td>
+      </tr>`;
+  }).join('');
+}
+
+async function checkSchema() {
+  const btn = $('checkSchemaBtn');
+  const box = $('schemaReport');
+  btn.disabled = true;
+  box.textContent = 'Sprawdzanie…';
+
+  try {
+    const report = await SchemaService.ensureSchema();
+    SchemaService.logReport(report);
+    report.migration = await MigrationService.migrate();
+    renderSchemaReport(report);
+  } catch (err) {
+    console.error('Błąd sprawdzania schematu:', err);
+    box.textContent = err instanceof CrmError ? err.message : 'Nie udało się sprawdzić schematu. Sprawdź konsolę.';
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderSchemaReport(report) {
+  const lines = [
+    ...report.created.map(sheet => `✅ Utworzono arkusz <code>${escapeHtml(sheet)}</code>`),
+    ...report.headersWritten.map(h => `✅ <code>${escapeHtml(h.sheet)}</code>: dopisano nagłówki ${h.columns.map(c => `<code>${escapeHtml(c)}</code>`).join(', ')}`),
+    ...report.mismatches.map(m => m.expected
+      ? `⚠️ <code>${escapeHtml(m.sheet)}!${m.column}1</code>: „${escapeHtml(m.actual)}", oczekiwano <code>${escapeHtml(m.expected)}</code>`
+      : `⚠️ <code>${escapeHtml(m.sheet)}!${m.column}1</code>: „${escapeHtml(m.actual)}" - kolumna spoza schematu`),
+    ...report.errors.map(e => `❌ <code>${escapeHtml(e.sheet)}</code>: ${escapeHtml(e.error)}`),
+    ...report.migration.applied.map(m => `✅ Migracja ${m.version}: ${escapeHtml(m.description)}`)
+  ];
+
+  const version = `Wersja schematu: arkusz <b>${report.migration.to}</b>, aplikacja <b>${DataService.SCHEMA_VERSION}</b>`;
+
+  $('schemaReport').innerHTML = `<div>${version}</div>` + (lines.length
+    ? lines.map(l => `<div>${l}</div>`).join('')
+    : '<div>✅ Wszystkie arkusze zgodne ze schematem.</div>');
+}
+
+async function scanIntegrity() {
+  const btn = $('scanIntegrityBtn');
+  btn.disabled = true;
+  $('integrityTbody').innerHTML = '<tr><td colspan="4" class="muted">Skanowanie…</td></tr>';
+
+  try {
+    integrityReport = await IntegrityService.scan();
+    renderIntegrityReport();
+  } catch (err) {
+    console.error('Błąd skanu spójności:', err);
+    $('integrityTbody').innerHTML = '<tr><td colspan="4" class="muted">Skan nie powiódł się. Sprawdź konsolę.</td></tr>';
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderIntegrityReport() {
+  const tbody = $('integrityTbody');
+  const rows = Object.entries(IntegrityService.CATEGORIES)
+    .map(([type, category]) => ({ type, category, issues: integrityReport.categories[type] }))
+    .filter(r => r.issues.length);
+
+  const errors = integrityReport.errors.map(e => `
+    <tr>
+      <td colspan="4" class="muted">Pominięto arkusz <code>${escapeHtml(e.sheet)}</code>: ${escapeHtml(e.error)}</td>
+    </tr>`).join('');
+
+  if (!rows.length) {
+    tbody.innerHTML = '<tr><td colspan="4" class="muted">✅ Nie znaleziono problemów.</td></tr>' + errors;
+    return;
+  }
+
+  tbody.innerHTML = rows.map(({ type, category, issues }) => `
+    <tr>
+      <td><b>${escapeHtml(category.label)}</b></td>
+      <td>${issues.length}</td>
+      <td>
+        <details>
+          <summary>Pokaż</summary>
+          ${issues.slice(0, 50).map(i => `<div class="muted"><code>${escapeHtml(i.sheet)}!${i.row}</code> ${escapeHtml(i.text)}</div>`).join('')}
+          ${issues.length > 50 ? `<div class="muted">… i ${issues.length - 50} więcej</div>` : ''}
+        </details>
+      </td>
+      <td>
+        <div class="row-actions">
+          ${category.fix
+            ? `<button type="button" data-integrity-fix="${type}" title="${escapeHtml(category.fixLabel)}">🛠️</button> <span class="muted">${escapeHtml(category.fixLabel)}</span>`
+            : '<span class="muted">Wymaga ręcznej poprawy</span>'}
+        </div>
+      </td>
+    </tr>`).join('') + errors;
+
+  tbody.querySelectorAll('button[data-integrity-fix]').forEach(btn => {
+    btn.addEventListener('click', () => fixIntegrity(btn.getAttribute('data-integrity-fix')));
+  });
+}
+
+async function fixIntegrity(type) {
+  const category = IntegrityService.CATEGORIES[type];
+  const issues = integrityReport.categories[type];
+  if (!confirm(`${category.fixLabel}: ${issues.length} poz. w kategorii „${category.label}"?`)) return;
+
+  try {
+    const result = await IntegrityService.fix(type, issues);
+    showStatus(result.skipped.length
+      ? `Naprawiono ${result.fixed}, pominięto ${result.skipped.length} (szczegóły w konsoli)`
+      : `Naprawiono ${result.fixed}`, result.skipped.length ? 'error' : 'success');
+
+    // Numery wierszy w raporcie są już nieaktualne - skanujemy ponownie
+    trash = null;
+    await scanIntegrity();
+  } catch (err) {
+    console.error('Błąd naprawy spójności:', err);
+    showStatus(err instanceof CrmError ? err.message : 'Nie udało się naprawić danych', 'error');
+  }
+}
+
 // ============= PROFILE MODAL =============
 function openProfileModal() {
   const email = AuthService.getUserEmail();
@@ -308,6 +731,20 @@ async function init() {
     });
   });
 
+  // Tabs (trash)
+  document.querySelectorAll('.tab[data-trash-type]').forEach(tab => {
+    tab.addEventListener('click', () => {
+      currentTrashType = tab.dataset.trashType;
+      document.querySelectorAll('.tab[data-trash-type]').forEach(t => t.classList.toggle('active', t === tab));
+      renderTrash();
+    });
+  });
+
+  // Maintenance
+  $('compactSheetsBtn').addEventListener('click', compactSheets);
+  $('checkSchemaBtn').addEventListener('click', checkSchema);
+  $('scanIntegrityBtn').addEventListener('click', scanIntegrity);
+
   // Modal controls - Custom Fields
   $('addFieldBtn').addEventListener('click', openCreate);
   $('closeFieldModalBtn').addEventListener('click', closeModal);
@@ -317,6 +754,16 @@ async function init() {
   });
   $('fieldForm').addEventListener('submit', handleSaveField);
 
+  // Modal controls - Pipeline stages
+  $('addStageBtn').addEventListener('click', () => openStageModal());
+  $('defaultStagesBtn').addEventListener('click', createDefaultStages);
+  $('closeStageModalBtn').addEventListener('click', closeStageModal);
+  $('cancelStageBtn').addEventListener('click', closeStageModal);
+  $('stageModal').addEventListener('click', (e) => {
+    if (e.target === $('stageModal')) closeStageModal();
+  });
+  $('stageForm').addEventListener('submit', handleSaveStage);
+
   // Profile modal controls
   if ($('profileBtn')) {
     $('profileBtn').addEventListener('click', openProfileModal);
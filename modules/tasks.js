@@ -0,0 +1,533 @@
+import { CONFIG } from '../shared/config.js';
+import { AuthService } from '../shared/auth.js';
+import { DataService } from '../shared/data-service.js';
+import { ActivitiesService } from '../shared/activities-service.js';
+import { CrmError } from '../shared/errors.js';
+import { ConflictDialog } from '../shared/conflict-dialog.js';
+import { RecurrenceUI } from '../shared/recurrence-ui.js';
+import { ReminderUI } from '../shared/reminder-ui.js';
+import { UndoManager } from '../shared/undo-manager.js';
+import { bootstrapProtectedPage } from '../shared/app-shell.js';
+
+if (!AuthService.requireAuth()) {
+  throw new Error('Unauthorized');
+}
+
+const STATUSES = CONFIG.ACTIVITIES.STATUSES;
+
+let activities = [];
+let companies = [];
+let contacts = [];
+let editingTask = null;
+let selectedIds = new Set();
+let sortKey = 'date';
+let sortDir = 1; // 1 rosnąco, -1 malejąco
+
+const TASK_CONFLICT_FIELDS = [
+  { key: 'title', label: 'Tytuł' },
+  { key: 'date', label: 'Termin', format: iso => ActivitiesService.formatDate(iso) },
+  { key: 'status', label: 'Status', format: s => ActivitiesService.getStatusLabel(s) },
+  { key: 'companyId', label: 'Firma', format: id => companyName(id) },
+  { key: 'contactId', label: 'Kontakt', format: id => contactName(id) },
+  { key: 'notes', label: 'Notatki' }
+];
+
+function $(id) { return document.getElementById(id); }
+
+function escapeHtml(str) {
+  return (str ?? '').toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function showStatus(message, type) {
+  const msg = document.createElement('div');
+  msg.className = 'status-message' + (type ? ' ' + type : '');
+  msg.textContent = message;
+  document.body.appendChild(msg);
+  setTimeout(() => msg.remove(), 3200);
+}
+
+function companyName(id) {
+  return (companies.find(c => c.id === id) || {}).name || '';
+}
+
+function contactName(id) {
+  return (contacts.find(c => c.id === id) || {}).name || '';
+}
+
+function fillSelect(select, options, selected = '') {
+  select.innerHTML = options.map(o =>
+    `<option value="${escapeHtml(o.value)}" ${o.value === selected ? 'selected' : ''}>${escapeHtml(o.label)}</option>`
+  ).join('');
+}
+
+// datetime-local pracuje na czasie lokalnym, arkusz trzyma ISO (UTC)
+function toLocalInput(iso) {
+  const date = iso ? new Date(iso) : new Date();
+  if (isNaN(date.getTime())) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// ============= DATA =============
+async function loadData() {
+  try {
+    [activities, companies, contacts] = await Promise.all([
+      DataService.loadActivities(),
+      DataService.loadCompanies(),
+      DataService.loadContacts()
+    ]);
+    renderFilterOptions();
+    renderTable();
+  } catch (err) {
+    console.error('Błąd ładowania zadań:', err);
+    $('tasksTbody').innerHTML = '<tr><td colspan="9" class="muted">Nie udało się załadować zadań. Sprawdź konsolę.</td></tr>';
+  }
+}
+
+// Serie cykliczne dostają wystąpienia z przesuwającego się horyzontu
+async function scheduleRecurring() {
+  try {
+    const created = await ActivitiesService.materializeUpcoming();
+    if (created.length) await reloadActivities();
+  } catch (err) {
+    console.warn('Nie udało się uzupełnić serii cyklicznych:', err);
+  }
+}
+
+function applyFreshData(key, value) {
+  if (editingTask) return;
+
+  switch (key) {
+    case 'activities': activities = value; break;
+    case 'companies': companies = value; break;
+    case 'contacts': contacts = value; break;
+    default: return;
+  }
+
+  renderFilterOptions();
+  renderTable();
+}
+
+// ============= FILTERS =============
+function renderFilterOptions() {
+  const keep = (select) => select.value;
+
+  const type = keep($('filterType'));
+  fillSelect($('filterType'), [
+    { value: '', label: 'Wszystkie' },
+    ...Object.values(ActivitiesService.getActivityTypes()).map(t => ({ value: t.id, label: `${t.icon} ${t.label}` }))
+  ], type);
+
+  const company = keep($('filterCompany'));
+  fillSelect($('filterCompany'), [
+    { value: '', label: 'Wszystkie' },
+    ...[...companies].sort((a, b) => a.name.localeCompare(b.name, 'pl')).map(c => ({ value: c.id, label: c.name }))
+  ], company);
+
+  renderContactFilter();
+
+  const author = keep($('filterAuthor'));
+  const authors = [...new Set(activities.map(a => a.createdBy).filter(Boolean))].sort();
+  fillSelect($('filterAuthor'), [
+    { value: '', label: 'Wszyscy' },
+    ...authors.map(a => ({ value: a, label: a === AuthService.getUserEmail() ? `${a} (Ty)` : a }))
+  ], author);
+}
+
+// Lista kontaktów zawęża się do wybranej firmy
+function renderContactFilter() {
+  const companyId = $('filterCompany').value;
+  const current = $('filterContact').value;
+  const list = contacts
+    .filter(c => !companyId || c.companyId === companyId)
+    .sort((a, b) => a.name.localeCompare(b.name, 'pl'));
+  fillSelect($('filterContact'), [
+    { value: '', label: 'Wszystkie' },
+    ...list.map(c => ({ value: c.id, label: c.name }))
+  ], list.some(c => c.id === current) ? current : '');
+}
+
+function currentFilters() {
+  const dateFrom = $('filterDateFrom').value;
+  const dateTo = $('filterDateTo').value;
+  return {
+    type: $('filterType').value,
+    status: $('filterStatus').value,
+    dateFrom: dateFrom ? new Date(`${dateFrom}T00:00`).toISOString() : '',
+    dateTo: dateTo ? new Date(`${dateTo}T23:59:59.999`).toISOString() : '',
+    companyId: $('filterCompany').value,
+    contactId: $('filterContact').value,
+    createdBy: $('filterAuthor').value
+  };
+}
+
+function clearFilters() {
+  $('filterStatus').value = STATUSES.PLANNED;
+  ['filterType', 'filterDateFrom', 'filterDateTo', 'filterCompany', 'filterContact', 'filterAuthor'].forEach(id => { $(id).value = ''; });
+  renderContactFilter();
+  renderTable();
+}
+
+/**
+ * Zadania w każdym statusie + pozostałe aktywności, dopóki są zaplanowane
+ */
+function visibleTasks() {
+  const scope = activities.filter(a => a.type === 'TASK' || a.status === STATUSES.PLANNED);
+  const filtered = ActivitiesService.applyFilters(scope, currentFilters());
+
+  const sortValue = (a) => {
+    switch (sortKey) {
+      case 'company': return companyName(a.companyId);
+      case 'contact': return contactName(a.contactId);
+      default: return (a[sortKey] || '').toString();
+    }
+  };
+  return filtered.sort((a, b) => sortDir * sortValue(a).localeCompare(sortValue(b), 'pl'));
+}
+
+// ============= TABLE =============
+function renderTable() {
+  const tbody = $('tasksTbody');
+  const list = visibleTasks();
+  const now = new Date().toISOString();
+
+  // Zaznaczenie dotyczy tylko widocznych wierszy
+  const visibleIds = new Set(list.map(a => a.id));
+  selectedIds = new Set([...selectedIds].filter(id => visibleIds.has(id)));
+
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted', th.dataset.sort === sortKey);
+    th.dataset.dir = th.dataset.sort === sortKey ? (sortDir > 0 ? '▲' : '▼') : '';
+  });
+
+  if (!list.length) {
+    tbody.innerHTML = '<tr><td colspan="9" class="muted">Brak zadań dla wybranych filtrów.</td></tr>';
+    renderBulkBar(list);
+    return;
+  }
+
+  tbody.innerHTML = list.map(activity => {
+    const formatted = ActivitiesService.formatActivity(activity);
+    const planned = activity.status === STATUSES.PLANNED;
+    const overdue = planned && activity.date < now;
+    return `
+      <tr class="${overdue ? 'overdue' : ''} ${planned ? '' : 'done'}">
+        <td><input type="checkbox" data-select="${escapeHtml(activity.id)}" ${selectedIds.has(activity.id) ? 'checked' : ''} /></td>
+        <td class="task-date">${escapeHtml(formatted.formattedDate)}</td>
+        <td><b>${escapeHtml(activity.title)}</b>${formatted.recurrenceLabel ? ` <span class="recurrence-badge" title="${escapeHtml(formatted.recurrenceLabel)}">🔁</span>` : ''}${formatted.remindersLabel ? ` <span class="recurrence-badge" title="Przypomnienie: ${escapeHtml(formatted.remindersLabel)}">🔔</span>` : ''}${activity.notes ? `<div class="task-notes">${escapeHtml(activity.notes)}</div>` : ''}</td>
+        <td><span class="task-type" style="border-color:${formatted.typeColor}">${formatted.typeIcon} ${escapeHtml(formatted.typeLabel)}</span></td>
+        <td>${escapeHtml(companyName(activity.companyId) || '—')}</td>
+        <td>${escapeHtml(contactName(activity.contactId) || '—')}</td>
+        <td>${escapeHtml(activity.createdBy || '—')}</td>
+        <td><span class="task-status ${escapeHtml(activity.status)}">${escapeHtml(formatted.statusLabel)}</span></td>
+        <td>
+          <div class="row-actions">
+            ${planned ? `<button type="button" data-action="complete" data-id="${escapeHtml(activity.id)}" title="Ukończ">✓</button>` : ''}
+            <button type="button" data-action="edit" data-id="${escapeHtml(activity.id)}" title="Edytuj">✏️</button>
+            <button type="button" data-action="delete" data-id="${escapeHtml(activity.id)}" title="Usuń">🗑️</button>
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  tbody.querySelectorAll('input[data-select]').forEach(box => {
+    box.addEventListener('change', () => {
+      if (box.checked) {
+        selectedIds.add(box.dataset.select);
+      } else {
+        selectedIds.delete(box.dataset.select);
+      }
+      renderBulkBar(list);
+    });
+  });
+
+  tbody.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const activity = activities.find(a => a.id === btn.dataset.id);
+      if (!activity) return;
+
+      if (btn.dataset.action === 'complete') {
+        await completeTask(activity);
+      } else if (btn.dataset.action === 'edit') {
+        openTaskModal(activity);
+      } else {
+        await deleteTask(activity);
+      }
+    });
+  });
+
+  renderBulkBar(list);
+}
+
+function renderBulkBar(list) {
+  const count = selectedIds.size;
+  $('bulkBar').style.display = count ? 'flex' : 'none';
+  $('bulkCount').textContent = `Zaznaczono: ${count}`;
+  $('selectAll').checked = count > 0 && count === list.length;
+  $('selectAll').indeterminate = count > 0 && count < list.length;
+}
+
+function toggleSort(key) {
+  if (sortKey === key) {
+    sortDir = -sortDir;
+  } else {
+    sortKey = key;
+    sortDir = 1;
+  }
+  renderTable();
+}
+
+// ============= ACTIONS =============
+function replaceActivity(updated) {
+  const index = activities.findIndex(a => a.id === updated.id);
+  if (index !== -1) activities[index] = updated;
+}
+
+async function completeTask(activity) {
+  try {
+    replaceActivity(await ActivitiesService.completeActivity(activity.id));
+    if (activity.seriesId) await reloadActivities();
+    renderTable();
+    showStatus('Zadanie ukończone', 'success');
+  } catch (err) {
+    console.error('Błąd ukończenia zadania:', err);
+    showStatus('Błąd: ' + err.message, 'error');
+  }
+}
+
+async function deleteTask(activity) {
+  let scope = 'this';
+  if (activity.seriesId) {
+    scope = await RecurrenceUI.askScope({
+      title: 'Usuwanie zadania cyklicznego',
+      intro: `Usunąć tylko to wystąpienie „${activity.title}", czy także wszystkie kolejne (seria się zakończy)?`
+    });
+    if (!scope) return;
+  } else if (!confirm(`Usunąć „${activity.title}"?`)) {
+    return;
+  }
+
+  try {
+    await ActivitiesService.deleteActivity(activity.id, scope);
+    activities = activities.filter(a => a.id !== activity.id);
+    selectedIds.delete(activity.id);
+    if (scope === 'future') await reloadActivities();
+    renderTable();
+    showStatus('Zadanie usunięte', 'success');
+  } catch (err) {
+    console.error('Błąd usuwania zadania:', err);
+    showStatus('Błąd: ' + err.message, 'error');
+  }
+}
+
+async function bulkReschedule() {
+  const day = $('bulkDate').value;
+  if (!day) {
+    alert('Wybierz nowy dzień.');
+    return;
+  }
+
+  $('bulkRescheduleBtn').disabled = true;
+  try {
+    const { updated, failed } = await ActivitiesService.rescheduleActivities([...selectedIds], day);
+    updated.forEach(replaceActivity);
+    selectedIds = new Set(failed.map(f => f.id));
+    renderTable();
+    showStatus(failed.length ? `Przełożono ${updated.length}, błędy: ${failed.length}` : `Przełożono: ${updated.length}`, failed.length ? 'error' : 'success');
+  } catch (err) {
+    console.error('Błąd przekładania zadań:', err);
+    showStatus('Błąd: ' + err.message, 'error');
+  } finally {
+    $('bulkRescheduleBtn').disabled = false;
+  }
+}
+
+async function bulkComplete() {
+  const planned = [...selectedIds]
+    .map(id => activities.find(a => a.id === id))
+    .filter(a => a && a.status === STATUSES.PLANNED);
+  if (!planned.length) return;
+
+  $('bulkCompleteBtn').disabled = true;
+  let failed = 0;
+  for (const activity of planned) {
+    try {
+      replaceActivity(await ActivitiesService.completeActivity(activity.id));
+      selectedIds.delete(activity.id);
+    } catch (err) {
+      console.warn('Nie ukończono zadania:', activity.id, err);
+      failed++;
+    }
+  }
+  $('bulkCompleteBtn').disabled = false;
+  if (planned.some(a => a.seriesId)) await reloadActivities();
+  renderTable();
+  showStatus(failed ? `Nie ukończono: ${failed}` : `Ukończono: ${planned.length}`, failed ? 'error' : 'success');
+}
+
+// ============= TASK MODAL =============
+function renderTaskContactOptions(companyId, selected) {
+  const list = contacts
+    .filter(c => !companyId || c.companyId === companyId)
+    .sort((a, b) => a.name.localeCompare(b.name, 'pl'));
+  fillSelect($('taskContact'), [{ value: '', label: '— brak —' }, ...list.map(c => ({ value: c.id, label: c.name }))], selected);
+}
+
+function openTaskModal(activity = null) {
+  editingTask = activity ? { ...activity } : { id: null };
+
+  fillSelect($('taskType'), Object.values(ActivitiesService.getActivityTypes()).map(t => ({ value: t.id, label: `${t.icon} ${t.label}` })),
+    activity ? activity.type : 'TASK');
+  fillSelect($('taskCompany'), [
+    { value: '', label: '— brak —' },
+    ...[...companies].sort((a, b) => a.name.localeCompare(b.name, 'pl')).map(c => ({ value: c.id, label: c.name }))
+  ], activity ? activity.companyId : $('filterCompany').value);
+  renderTaskContactOptions($('taskCompany').value, activity ? activity.contactId : $('filterContact').value);
+
+  $('taskModalTitle').textContent = activity ? 'Edytuj zadanie' : 'Nowe zadanie';
+  $('taskTitle').value = activity ? activity.title : '';
+  $('taskDate').value = toLocalInput(activity ? activity.date : null);
+  $('taskNotes').value = activity ? activity.notes : '';
+  RecurrenceUI.mount($('taskRecurrence'), activity ? activity.recurrence : null, 'taskRec_');
+  ReminderUI.mountFields($('taskReminders'), activity ? activity.reminders : []);
+
+  $('taskModal').classList.add('active');
+  $('taskModal').setAttribute('aria-hidden', 'false');
+  $('taskTitle').focus();
+}
+
+function closeTaskModal() {
+  $('taskModal').classList.remove('active');
+  $('taskModal').setAttribute('aria-hidden', 'true');
+  $('taskForm').reset();
+  editingTask = null;
+}
+
+async function handleSaveTask(e) {
+  e.preventDefault();
+
+  let companyId = $('taskCompany').value;
+  const contactId = $('taskContact').value;
+  // Kontakt bez wybranej firmy - zadanie trafia też do historii jego firmy
+  if (!companyId && contactId) {
+    companyId = (contacts.find(c => c.id === contactId) || {}).companyId || '';
+  }
+
+  const fields = {
+    type: $('taskType').value,
+    title: ($('taskTitle').value || '').trim(),
+    date: new Date($('taskDate').value).toISOString(),
+    notes: ($('taskNotes').value || '').trim(),
+    companyId,
+    contactId,
+    recurrence: RecurrenceUI.collect($('taskRecurrence')),
+    reminders: ReminderUI.collectFields($('taskReminders'))
+  };
+
+  let scope = 'this';
+  if (editingTask.seriesId) {
+    scope = await RecurrenceUI.askScope({
+      title: 'Edycja zadania cyklicznego',
+      intro: 'Zapisać zmiany tylko w tym wystąpieniu, czy także we wszystkich kolejnych? Zmiana reguły powtarzania działa tylko dla opcji „To i przyszłe”.'
+    });
+    if (!scope) return;
+  }
+
+  try {
+    if (editingTask.id) {
+      const task = { ...editingTask, ...fields };
+      const saved = await ConflictDialog.save(task, TASK_CONFLICT_FIELDS, t => ActivitiesService.updateActivity(t.id, t, scope));
+      replaceActivity(saved);
+      if (saved.seriesId || editingTask.seriesId) await reloadActivities();
+      showStatus('Zadanie zaktualizowane', 'success');
+    } else {
+      const created = await ActivitiesService.createActivity({ ...fields, status: STATUSES.PLANNED });
+      activities.push(created);
+      if (created.seriesId) await reloadActivities();
+      showStatus('Zadanie dodane', 'success');
+    }
+    closeTaskModal();
+    renderFilterOptions();
+    renderTable();
+  } catch (err) {
+    console.error('Błąd zapisu zadania:', err);
+    showStatus(err instanceof CrmError ? err.message : 'Błąd zapisu: ' + err.message, 'error');
+  }
+}
+
+// Link z powiadomienia: tasks.html?activity=<id> otwiera edycję aktywności
+function openLinkedActivity() {
+  const id = new URLSearchParams(window.location.search).get('activity');
+  if (!id) return;
+
+  const activity = activities.find(a => a.id === id);
+  if (activity) {
+    openTaskModal(activity);
+  } else {
+    showStatus('Aktywność z powiadomienia nie istnieje (mogła zostać usunięta)', 'error');
+  }
+  window.history.replaceState(null, '', window.location.pathname);
+}
+
+async function reloadActivities() {
+  try {
+    activities = await DataService.loadActivities();
+    renderTable();
+  } catch (err) {
+    console.warn('Nie udało się odświeżyć zadań:', err);
+  }
+}
+
+// ============= INIT =============
+async function init() {
+  await bootstrapProtectedPage({ logoAction: 'dashboard' });
+
+  ['filterStatus', 'filterType', 'filterDateFrom', 'filterDateTo', 'filterContact', 'filterAuthor'].forEach(id => {
+    $(id).addEventListener('change', renderTable);
+  });
+  $('filterCompany').addEventListener('change', () => {
+    renderContactFilter();
+    renderTable();
+  });
+  $('clearFiltersBtn').addEventListener('click', clearFilters);
+
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => toggleSort(th.dataset.sort));
+  });
+
+  $('selectAll').addEventListener('change', () => {
+    selectedIds = $('selectAll').checked ? new Set(visibleTasks().map(a => a.id)) : new Set();
+    renderTable();
+  });
+  $('bulkRescheduleBtn').addEventListener('click', bulkReschedule);
+  $('bulkCompleteBtn').addEventListener('click', bulkComplete);
+  $('bulkClearBtn').addEventListener('click', () => {
+    selectedIds.clear();
+    renderTable();
+  });
+
+  $('addTaskBtn').addEventListener('click', () => openTaskModal());
+  $('closeTaskModalBtn').addEventListener('click', closeTaskModal);
+  $('cancelTaskBtn').addEventListener('click', closeTaskModal);
+  $('taskModal').addEventListener('click', (e) => {
+    if (e.target === $('taskModal')) closeTaskModal();
+  });
+  $('taskForm').addEventListener('submit', handleSaveTask);
+  $('taskCompany').addEventListener('change', () => renderTaskContactOptions($('taskCompany').value, $('taskContact').value));
+
+  await loadData();
+  openLinkedActivity();
+  DataService.onCacheUpdate(applyFreshData);
+  UndoManager.onChange(({ action }) => {
+    if (action === 'undone') reloadActivities();
+  });
+  scheduleRecurring();
+}
+
+document.addEventListener('DOMContentLoaded', init);
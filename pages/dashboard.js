@@ -2,6 +2,9 @@ import { AuthService } from '../shared/auth.js';
 import { DataService } from '../shared/data-service.js';
 import { ActivitiesService } from '../shared/activities-service.js';
 import { bootstrapProtectedPage } from '../shared/app-shell.js';
+import { ConflictDialog } from '../shared/conflict-dialog.js';
+import { CrmError } from '../shared/errors.js';
+import { EventBus } from '../shared/event-bus.js';
 
 import { CONFIG } from '../shared/config.js';
         // ============= AUTH GUARD =============
@@ -16,6 +19,25 @@ import { CONFIG } from '../shared/config.js';
         let editingCompanyIndex = null;
         let editingContactIndex = null;
 
+        // Pola porównywane w dialogu konfliktu (jak w modules/relationships.js)
+        const COMPANY_CONFLICT_FIELDS = [
+            { key: 'name', label: 'Nazwa' },
+            { key: 'domain', label: 'Domena' },
+            { key: 'website', label: 'Strona WWW' },
+            { key: 'industry', label: 'Branża' },
+            { key: 'phone', label: 'Telefon' },
+            { key: 'city', label: 'Miasto' },
+            { key: 'country', label: 'Kraj' },
+            { key: 'notes', label: 'Notatki' }
+        ];
+        const CONTACT_CONFLICT_FIELDS = [
+            { key: 'name', label: 'Imię i nazwisko' },
+            { key: 'companyId', label: 'Firma', format: id => (allCompanies.find(c => c.id === id) || {}).name || id },
+            { key: 'position', label: 'Stanowisko' },
+            { key: 'email', label: 'Email' },
+            { key: 'phone', label: 'Telefon' }
+        ];
+
         let companyInputEl = null;
         let companyIdEl = null;
         let companySuggestionsEl = null;
@@ -44,6 +66,15 @@ import { CONFIG } from '../shared/config.js';
 
                 await loadDashboardData();
                 showDashboard();
+                DataService.onCacheUpdate(applyFreshData);
+                // Każda zmiana aktywności (także cofnięcie) odświeża sekcje zadań
+                ['activity:created', 'activity:updated', 'activity:deleted', 'activity:restored'].forEach(type => {
+                    EventBus.on(type, refreshActivities);
+                });
+                // Nowe wystąpienia serii cyklicznych odświeżą sekcje przez activity:created
+                ActivitiesService.materializeUpcoming().catch(error => {
+                    console.warn('Nie udało się uzupełnić serii cyklicznych:', error);
+                });
 
             } catch (error) {
                 console.error('Błąd inicjalizacji:', error);
@@ -51,6 +82,20 @@ import { CONFIG } from '../shared/config.js';
             }
         }
 
+        let activitiesRefresh = null;
+        function refreshActivities() {
+            if (activitiesRefresh) return;
+            activitiesRefresh = setTimeout(async () => {
+                activitiesRefresh = null;
+                try {
+                    allActivities = await DataService.loadActivities();
+                    renderAllSections();
+                } catch (error) {
+                    console.warn('Odświeżenie aktywności nie powiodło się:', error);
+                }
+            }, 0);
+        }
+
         function setWelcomeDate() {
             const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
             const dateStr = new Date().toLocaleDateString('pl-PL', options);
@@ -72,6 +117,19 @@ import { CONFIG } from '../shared/config.js';
             }
         }
 
+        // Widok jest rysowany z trwałego cache - gdy arkusz zwróci inne dane, przerysuj sekcje
+        function applyFreshData(key, value) {
+            // Edytowany rekord jest wskazywany indeksem - nie podmieniaj tablic pod otwartym formularzem
+            if (editingCompanyIndex !== null || editingContactIndex !== null) return;
+
+            if (key === 'activities') allActivities = value;
+            else if (key === 'companies') allCompanies = value;
+            else if (key === 'contacts') allContacts = value;
+            else return;
+
+            renderAllSections();
+        }
+
         function renderAllSections() {
             const today = new Date();
             today.setHours(0, 0, 0, 0);
@@ -259,6 +317,8 @@ import { CONFIG } from '../shared/config.js';
                         <div class="activity-preview-type">${formatted.typeLabel}</div>
                         <div class="activity-preview-title">${escapeHtml(activity.title)}</div>
                         <div class="activity-preview-datetime">${dateFormatted}</div>
+                        ${formatted.recurrenceLabel ? `<div class="recurrence-badge">🔁 ${escapeHtml(formatted.recurrenceLabel)}</div>` : ''}
+                        ${formatted.remindersLabel ? `<div class="recurrence-badge">🔔 ${escapeHtml(formatted.remindersLabel)}</div>` : ''}
                     </div>
                     <span class="activity-preview-status ${activity.status}">${formatted.statusLabel}</span>
                 </div>
@@ -356,9 +416,6 @@ import { CONFIG } from '../shared/config.js';
             try {
                 await ActivitiesService.completeActivity(activityId);
                 showStatus('Zadanie ukończone!', 'success');
-                
-                allActivities = await DataService.loadActivities();
-                renderAllSections();
                 closeActivityPreview();
             } catch (error) {
                 console.error('Błąd:', error);
@@ -381,9 +438,6 @@ import { CONFIG } from '../shared/config.js';
             try {
                 await ActivitiesService.completeActivity(taskId);
                 showStatus('Zadanie ukończone!', 'success');
-                
-                allActivities = await DataService.loadActivities();
-                renderAllSections();
             } catch (error) {
                 console.error('Błąd:', error);
                 showStatus('Błąd: ' + error.message, 'error');
@@ -436,16 +490,16 @@ import { CONFIG } from '../shared/config.js';
 
             const company = {
                 id: editingCompanyIndex !== null ? allCompanies[editingCompanyIndex].id : DataService.generateId(),
+                version: editingCompanyIndex !== null ? allCompanies[editingCompanyIndex].version : 0,
                 name, industry, website, phone, city, country, domain, notes,
                 tags: ''
             };
 
             try {
-                await DataService.saveCompany(company, editingCompanyIndex);
+                await ConflictDialog.save(company, COMPANY_CONFLICT_FIELDS, c => DataService.saveCompany(c, editingCompanyIndex !== null));
                 
                 if (editingCompanyIndex !== null) {
                     allCompanies[editingCompanyIndex] = company;
-                    await DataService.logCompanyHistory(company.id, 'event', 'Firma zaktualizowana');
                     showStatus('Firma zaktualizowana', 'success');
                 } else {
                     allCompanies.push(company);
@@ -456,7 +510,7 @@ import { CONFIG } from '../shared/config.js';
                 closeCompanyModal();
             } catch (err) {
                 console.error('Błąd zapisu firmy:', err);
-                showStatus('Błąd zapisu firmy', 'error');
+                showStatus(errorText(err, 'Błąd zapisu firmy'), 'error');
             }
         }
 
@@ -536,16 +590,16 @@ import { CONFIG } from '../shared/config.js';
 
                 const contact = {
                     id: editingContactIndex !== null ? allContacts[editingContactIndex].id : DataService.generateId(),
+                    version: editingContactIndex !== null ? allContacts[editingContactIndex].version : 0,
                     companyId: selectedCompanyId || '',
                     name, position, email, phone,
                     tags: ''
                 };
 
-                await DataService.saveContact(contact, editingContactIndex);
+                await ConflictDialog.save(contact, CONTACT_CONFLICT_FIELDS, c => DataService.saveContact(c, editingContactIndex !== null));
 
                 if (editingContactIndex !== null) {
                     allContacts[editingContactIndex] = contact;
-                    await DataService.logContactHistory(contact.id, 'event', 'Kontakt zaktualizowany');
                     showStatus('Kontakt zaktualizowany', 'success');
                 } else {
                     allContacts.push(contact);
@@ -557,7 +611,7 @@ import { CONFIG } from '../shared/config.js';
                 closeContactModal();
             } catch (err) {
                 console.error('Błąd zapisu kontaktu:', err);
-                showStatus('Błąd zapisu kontaktu', 'error');
+                showStatus(errorText(err, 'Błąd zapisu kontaktu'), 'error');
             }
         }
 
@@ -654,6 +708,11 @@ import { CONFIG } from '../shared/config.js';
             setTimeout(() => msg.remove(), 3200);
         }
 
+        // Typowane błędy (API, konflikty, adresowanie) mają własny komunikat - pokaż go zamiast ogólnego
+        function errorText(err, fallback) {
+            return err instanceof CrmError ? err.message : fallback;
+        }
+
         function escapeHtml(text) {
             const div = document.createElement('div');
             div.textContent = text == null ? '' : text;
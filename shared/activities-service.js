@@ -38,17 +38,22 @@ export class ActivitiesService {
      * @param {string} params.companyId - ID firmy (opcjonalne)
      * @param {string} params.contactId - ID kontaktu (opcjonalne)
      * @param {string} params.status - Status (planned/completed/cancelled)
+     * @param {Object} params.recurrence - Reguła powtarzania (opcjonalna, patrz normalizeRecurrence)
+     * @param {Array<number>} params.reminders - Przypomnienia: minuty przed terminem (opcjonalne)
      * @returns {Promise<Object>} - Utworzona aktywność
      */
     static async createActivity(params) {
+        const recurrence = this.normalizeRecurrence(params.recurrence);
+
         // Walidacja
-        const validation = this.validateActivity(params);
+        const validation = this.validateActivity({ ...params, recurrence });
         if (!validation.valid) {
             throw new Error(validation.errors.join(', '));
         }
 
+        const id = DataService.generateId();
         const activity = {
-            id: DataService.generateId(),
+            id,
             type: params.type,
             title: params.title,
             date: params.date || new Date().toISOString(),
@@ -57,8 +62,16 @@ export class ActivitiesService {
             contactId: params.contactId || '',
             status: params.status || CONFIG.ACTIVITIES.STATUSES.PLANNED,
             createdBy: AuthService.getUserEmail() || '',
-            createdAt: new Date().toISOString()
+            createdAt: new Date().toISOString(),
+            recurrence,
+            seriesId: recurrence ? id : '',
+            occurrenceDate: '',
+            reminders: this.normalizeReminders(params.reminders)
         };
+        if (recurrence) {
+            activity.occurrenceDate = activity.date;
+            activity.recurrence = { ...recurrence, fields: this.seriesFields(activity) };
+        }
 
         // Zapisz do Sheets
         await DataService.saveActivity(activity);
@@ -66,28 +79,53 @@ export class ActivitiesService {
         // Loguj do historii
         await this.logActivityToHistory(activity);
 
+        if (recurrence) await this.scheduleSeries(activity.seriesId);
+
         return activity;
     }
 
     /**
      * Aktualizuje istniejącą aktywność
+     * Jeśli updates.version jest podane, zapis sprawdza je z wersją w arkuszu
+     * (DataService rzuca ConflictError); bez niego aktualizujemy najnowszą wersję.
+     *
+     * Wystąpienie serii: scope 'this' zmienia tylko je (reguła serii zostaje bez zmian),
+     * 'future' - je i wszystkie kolejne (patrz updateFutureOccurrences).
+     * Zwykła aktywność z updates.recurrence staje się początkiem nowej serii.
      * @param {string} activityId
      * @param {Object} updates
+     * @param {'this'|'future'} scope
      * @returns {Promise<Object>}
      */
-    static async updateActivity(activityId, updates) {
+    static async updateActivity(activityId, updates, scope = 'this') {
         const activities = await DataService.loadActivities(false);
-        const index = activities.findIndex(a => a.id === activityId);
+        const current = activities.find(a => a.id === activityId);
         
-        if (index === -1) {
+        if (!current) {
             throw new Error('Aktywność nie znaleziona');
         }
 
+        if (current.seriesId && scope === 'future') {
+            return await this.updateFutureOccurrences(current, updates);
+        }
+
         const activity = {
-            ...activities[index],
+            ...current,
             ...updates,
             id: activityId // Nie zmieniaj ID
         };
+        activity.reminders = this.normalizeReminders(activity.reminders);
+
+        if (current.seriesId) {
+            activity.recurrence = current.recurrence;
+            activity.seriesId = current.seriesId;
+            activity.occurrenceDate = current.occurrenceDate;
+        } else {
+            activity.recurrence = this.normalizeRecurrence(activity.recurrence);
+            activity.seriesId = activity.recurrence ? activityId : '';
+            activity.occurrenceDate = activity.recurrence ? activity.date : '';
+            if (activity.recurrence) activity.recurrence.fields = this.seriesFields(activity);
+        }
 
         // Walidacja
         const validation = this.validateActivity(activity);
@@ -95,29 +133,41 @@ export class ActivitiesService {
             throw new Error(validation.errors.join(', '));
         }
 
-        await DataService.saveActivity(activity, index);
+        await DataService.saveActivity(activity, true);
 
         // Loguj zmianę
         await this.logActivityUpdate(activity);
 
+        if (activity.seriesId && !current.seriesId) await this.scheduleSeries(activity.seriesId);
+
         return activity;
     }
 
     /**
      * Usuwa aktywność
+     * Dla wystąpienia serii scope 'future' usuwa też kolejne zaplanowane wystąpienia i kończy serię.
      * @param {string} activityId
+     * @param {'this'|'future'} scope
      * @returns {Promise<void>}
      */
-    static async deleteActivity(activityId) {
+    static async deleteActivity(activityId, scope = 'this') {
         const activities = await DataService.loadActivities(false);
-        const index = activities.findIndex(a => a.id === activityId);
+        const activity = activities.find(a => a.id === activityId);
         
-        if (index === -1) {
+        if (!activity) {
             throw new Error('Aktywność nie znaleziona');
         }
 
-        const activity = activities[index];
-        await DataService.deleteActivity(index);
+        if (activity.seriesId && scope === 'future') {
+            await this.runSeriesTask(async () => {
+                const series = (await DataService.loadActivitySeries())[activity.seriesId] || [];
+                await this.endSeriesBefore(series, activity);
+                await this.deleteOccurrencesAfter(series, activity);
+                await DataService.deleteActivity(activityId);
+            });
+        } else {
+            await DataService.deleteActivity(activityId);
+        }
 
         // Loguj usunięcie
         await this.logActivityDeletion(activity);
@@ -125,13 +175,57 @@ export class ActivitiesService {
 
     /**
      * Oznacza aktywność jako ukończoną
+     * W serii od razu planuje następne wystąpienie.
      * @param {string} activityId
      * @returns {Promise<Object>}
      */
     static async completeActivity(activityId) {
-        return await this.updateActivity(activityId, {
+        const activity = await this.updateActivity(activityId, {
             status: CONFIG.ACTIVITIES.STATUSES.COMPLETED
         });
+        if (activity.seriesId) await this.scheduleSeries(activity.seriesId);
+        return activity;
+    }
+
+    /**
+     * Przekłada wiele aktywności na wskazany dzień (godzina każdej zostaje bez zmian).
+     * Aktywności czytamy raz; błąd jednej nie przerywa pozostałych.
+     * @param {Array<string>} activityIds
+     * @param {string} day - Nowy dzień (YYYY-MM-DD, czas lokalny)
+     * @returns {Promise<{updated: Array<Object>, failed: Array<{id: string, error: Error}>}>}
+     */
+    static async rescheduleActivities(activityIds, day) {
+        const [year, month, date] = (day || '').split('-').map(Number);
+        if (!year || !month || !date) {
+            throw new Error('Nieprawidłowy format daty');
+        }
+
+        const activities = await DataService.loadActivities(false);
+        const result = { updated: [], failed: [] };
+
+        for (const id of activityIds) {
+            const current = activities.find(a => a.id === id);
+            if (!current) {
+                result.failed.push({ id, error: new Error('Aktywność nie znaleziona') });
+                continue;
+            }
+
+            const moved = new Date(current.date);
+            if (isNaN(moved.getTime())) moved.setTime(new Date().setHours(9, 0, 0, 0));
+            moved.setFullYear(year, month - 1, date);
+
+            const activity = { ...current, date: moved.toISOString() };
+            try {
+                await DataService.saveActivity(activity, true);
+                await this.logActivityUpdate(activity);
+                result.updated.push(activity);
+            } catch (error) {
+                console.warn('Nie przełożono aktywności:', id, error);
+                result.failed.push({ id, error });
+            }
+        }
+
+        return result;
     }
 
     /**
@@ -140,9 +234,383 @@ export class ActivitiesService {
      * @returns {Promise<Object>}
      */
     static async cancelActivity(activityId) {
-        return await this.updateActivity(activityId, {
+        const activity = await this.updateActivity(activityId, {
             status: CONFIG.ACTIVITIES.STATUSES.CANCELLED
         });
+        if (activity.seriesId) await this.scheduleSeries(activity.seriesId);
+        return activity;
+    }
+
+    // ============= REMINDERS =============
+
+    /**
+     * @param {Array<number|string>} reminders - Minuty przed terminem
+     * @returns {Array<number>} Unikalne, dodatnie, od najwcześniejszego przypomnienia
+     */
+    static normalizeReminders(reminders) {
+        return [...new Set((reminders || []).map(m => parseInt(m, 10)).filter(m => m > 0))].sort((a, b) => b - a);
+    }
+
+    /**
+     * Etykieta czasu przypomnienia, np. 15 -> "15 min", 1440 -> "1 dzień"
+     */
+    static reminderLabel(minutes) {
+        const option = CONFIG.REMINDERS.OPTIONS.find(o => o.minutes === minutes);
+        if (option) return option.label;
+        if (minutes % 1440 === 0) return `${minutes / 1440} dni`;
+        if (minutes % 60 === 0) return `${minutes / 60} godz.`;
+        return `${minutes} min`;
+    }
+
+    static describeReminders(reminders) {
+        if (!reminders || !reminders.length) return '';
+        return `${reminders.map(m => this.reminderLabel(m)).join(', ')} przed`;
+    }
+
+    // ============= RECURRENCE =============
+
+    /**
+     * Reguła powtarzania w stylu RRULE:
+     * { freq: 'daily'|'weekly'|'monthly', interval, weekdays?: [0-6], until?: 'YYYY-MM-DD', count? }
+     * "Co N dni" to freq 'daily' z interval N. Koniec: until albo count (liczba wystąpień).
+     * @param {Object|null} rule - np. z RecurrenceUI.collect()
+     * @returns {Object|null} null = bez powtarzania
+     */
+    static normalizeRecurrence(rule) {
+        if (!rule || !rule.freq) return null;
+
+        const normalized = {
+            freq: rule.freq,
+            interval: Math.max(1, parseInt(rule.interval, 10) || 1)
+        };
+        if (rule.freq === 'weekly' && Array.isArray(rule.weekdays) && rule.weekdays.length) {
+            normalized.weekdays = [...new Set(rule.weekdays.map(Number))]
+                .filter(day => day >= 0 && day <= 6)
+                .sort((a, b) => a - b);
+        }
+        if (rule.until) {
+            normalized.until = rule.until;
+        } else if (parseInt(rule.count, 10) > 0) {
+            normalized.count = parseInt(rule.count, 10);
+        }
+        return normalized;
+    }
+
+    /**
+     * @param {Object} rule - Znormalizowana reguła
+     * @returns {Array<string>} Błędy walidacji
+     */
+    static validateRecurrence(rule) {
+        const errors = [];
+        if (!CONFIG.ACTIVITIES.RECURRENCE.FREQUENCIES[rule.freq]) {
+            errors.push(`Nieznana częstotliwość powtarzania: ${rule.freq}`);
+        }
+        if (rule.until && isNaN(new Date(`${rule.until}T00:00`).getTime())) {
+            errors.push('Nieprawidłowa data końca powtarzania');
+        }
+        return errors;
+    }
+
+    /**
+     * Opis reguły, np. "Co 2 tyg.: pn, śr, do 31.12.2026"
+     * @param {Object} rule
+     * @returns {string}
+     */
+    static describeRecurrence(rule) {
+        if (!rule) return '';
+        const { FREQUENCIES, WEEKDAYS } = CONFIG.ACTIVITIES.RECURRENCE;
+        const freq = FREQUENCIES[rule.freq];
+        if (!freq) return '';
+
+        let text = rule.interval > 1 ? `Co ${rule.interval} ${freq.unit}` : freq.label;
+        if (rule.weekdays && rule.weekdays.length) {
+            // Od poniedziałku, jak w formularzu
+            const days = [...rule.weekdays].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+            text += `: ${days.map(day => WEEKDAYS[day]).join(', ')}`;
+        }
+        if (rule.until) {
+            text += `, do ${new Date(`${rule.until}T00:00`).toLocaleDateString('pl-PL')}`;
+        } else if (rule.count) {
+            text += `, ${rule.count} razy`;
+        }
+        return text;
+    }
+
+    /**
+     * Kolejne terminy serii. Pierwszym jest zawsze start (jak DTSTART w RRULE),
+     * następne zachowują jego godzinę w czasie lokalnym. Bez until/count generator
+     * jest nieskończony - wywołujący przerywa pętlę.
+     * @param {Object} rule
+     * @param {string} start - ISO pierwszego wystąpienia
+     * @yields {{date: Date, index: number}}
+     */
+    static *occurrences(rule, start) {
+        const first = new Date(start);
+        if (isNaN(first.getTime())) return;
+        const until = rule.until ? new Date(`${rule.until}T23:59:59.999`) : null;
+        const interval = rule.interval || 1;
+
+        let index = 0;
+        const allowed = (date) => (!until || date <= until) && (!rule.count || index < rule.count);
+
+        if (!allowed(first)) return;
+        yield { date: first, index: index++ };
+
+        const at = (year, month, day) => new Date(year, month, day, first.getHours(), first.getMinutes(), first.getSeconds());
+        const weekdays = rule.weekdays && rule.weekdays.length ? rule.weekdays : [first.getDay()];
+        const monday = at(first.getFullYear(), first.getMonth(), first.getDate() - ((first.getDay() + 6) % 7));
+
+        for (let step = 0; ; step++) {
+            let dates;
+            if (rule.freq === 'daily') {
+                dates = [at(first.getFullYear(), first.getMonth(), first.getDate() + step * interval)];
+            } else if (rule.freq === 'weekly') {
+                dates = weekdays
+                    .map(day => at(monday.getFullYear(), monday.getMonth(), monday.getDate() + step * interval * 7 + ((day + 6) % 7)))
+                    .sort((a, b) => a - b);
+            } else if (rule.freq === 'monthly') {
+                // 31. dzień w krótszym miesiącu przechodzi na jego ostatni dzień
+                const month = first.getMonth() + step * interval;
+                const lastDay = new Date(first.getFullYear(), month + 1, 0).getDate();
+                dates = [at(first.getFullYear(), month, Math.min(first.getDate(), lastDay))];
+            } else {
+                return;
+            }
+
+            for (const date of dates) {
+                if (date <= first) continue;
+                if (!allowed(date)) return;
+                yield { date, index: index++ };
+            }
+        }
+    }
+
+    /**
+     * Termin wystąpienia w serii (occurrenceDate), niezależny od późniejszego przesunięcia daty
+     */
+    static occurrenceSlot(activity) {
+        return activity.occurrenceDate || activity.date;
+    }
+
+    /**
+     * Najwcześniejsze wystąpienie serii - jego reguła obowiązuje dla nowych wystąpień
+     */
+    static seriesTemplate(series) {
+        return series.reduce((first, a) => !first || this.occurrenceSlot(a) < this.occurrenceSlot(first) ? a : first, null);
+    }
+
+    /**
+     * Pola kopiowane do nowych wystąpień. Zapisujemy je w regule (recurrence.fields),
+     * bo edycja "tylko to wystąpienie" pierwszego wiersza nie zmienia reguły serii.
+     */
+    static seriesFields(activity) {
+        return {
+            type: activity.type,
+            title: activity.title,
+            notes: activity.notes || '',
+            companyId: activity.companyId || '',
+            contactId: activity.contactId || '',
+            reminders: activity.reminders || []
+        };
+    }
+
+    /**
+     * Operacje na seriach wykonujemy po kolei, żeby równoległe uzupełnianie
+     * (np. ukończenie + odświeżenie listy) nie tworzyło zdublowanych wystąpień.
+     */
+    static seriesQueue = Promise.resolve();
+
+    static runSeriesTask(task) {
+        const run = this.seriesQueue.then(task);
+        this.seriesQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Tworzy brakujące wystąpienia serii: wszystkie terminy do HORIZON_DAYS naprzód,
+     * a gdy w serii nie ma zaplanowanego wystąpienia w przyszłości - przynajmniej następne.
+     * Liczymy tylko terminy po ostatnim istniejącym (usuniętych nie odtwarzamy)
+     * i pomijamy te, które już minęły.
+     * @param {Array<Object>} series - Wystąpienia z DataService.loadActivitySeries()
+     * @returns {Promise<Array<Object>>} Utworzone wystąpienia
+     */
+    static async extendSeries(series) {
+        const template = this.seriesTemplate(series);
+        if (!template || !template.recurrence) return [];
+
+        const { HORIZON_DAYS, MAX_PER_RUN } = CONFIG.ACTIVITIES.RECURRENCE;
+        const now = new Date();
+        const horizon = new Date(now);
+        horizon.setDate(horizon.getDate() + HORIZON_DAYS);
+
+        const last = series.reduce((max, a) => this.occurrenceSlot(a) > max ? this.occurrenceSlot(a) : max, '');
+        let needsNext = !series.some(a =>
+            !a.deletedAt && a.status === CONFIG.ACTIVITIES.STATUSES.PLANNED && a.date >= now.toISOString()
+        );
+
+        // Serie sprzed zapisywania pól w regule - pola z pierwszego wystąpienia
+        const fields = template.recurrence.fields || this.seriesFields(template);
+
+        const created = [];
+        for (const { date } of this.occurrences(template.recurrence, this.occurrenceSlot(template))) {
+            if (created.length >= MAX_PER_RUN || (date > horizon && !needsNext)) break;
+
+            const slot = date.toISOString();
+            if (slot <= last || date < now) continue;
+
+            const occurrence = {
+                id: DataService.generateId(),
+                type: fields.type,
+                title: fields.title,
+                date: slot,
+                notes: fields.notes,
+                companyId: fields.companyId,
+                contactId: fields.contactId,
+                status: CONFIG.ACTIVITIES.STATUSES.PLANNED,
+                createdBy: template.createdBy,
+                createdAt: new Date().toISOString(),
+                recurrence: template.recurrence,
+                seriesId: template.seriesId,
+                occurrenceDate: slot,
+                reminders: fields.reminders || []
+            };
+            await DataService.saveActivity(occurrence);
+            created.push(occurrence);
+            needsNext = false;
+        }
+
+        if (created.length) console.log(`✓ Seria ${template.seriesId}: zaplanowano ${created.length} wystąpień`);
+        return created;
+    }
+
+    /**
+     * Uzupełnia jedną serię. Błąd nie przerywa operacji, która ją wywołała
+     * (wystąpienia uzupełni następne materializeUpcoming).
+     * @param {string} seriesId
+     * @returns {Promise<Array<Object>>}
+     */
+    static async scheduleSeries(seriesId) {
+        try {
+            return await this.runSeriesTask(async () => {
+                const series = (await DataService.loadActivitySeries())[seriesId] || [];
+                return this.extendSeries(series);
+            });
+        } catch (error) {
+            console.warn('Nie udało się zaplanować kolejnych wystąpień serii:', seriesId, error);
+            return [];
+        }
+    }
+
+    /**
+     * Uzupełnia wszystkie serie, które mają zaplanowane wystąpienia (horyzont przesuwa się z czasem).
+     * Wywoływane przy otwarciu pulpitu i listy zadań.
+     * @returns {Promise<Array<Object>>} Utworzone wystąpienia
+     */
+    static async materializeUpcoming() {
+        return this.runSeriesTask(async () => {
+            const all = await DataService.loadActivitySeries();
+            const created = [];
+            for (const series of Object.values(all)) {
+                if (!series.some(a => !a.deletedAt && a.status === CONFIG.ACTIVITIES.STATUSES.PLANNED)) continue;
+                created.push(...await this.extendSeries(series));
+            }
+            return created;
+        });
+    }
+
+    /**
+     * "To i przyszłe wystąpienia": stara seria kończy się przed edytowanym wystąpieniem,
+     * a ono rozpoczyna nową serię z nowymi polami i regułą. Zaplanowane wystąpienia
+     * po nim trafiają do kosza - nowa seria tworzy je od nowa.
+     * Limit count dotyczy całej serii, więc nowa dostaje tylko pozostałe wystąpienia.
+     * @param {Object} current - Edytowane wystąpienie (z arkusza)
+     * @param {Object} updates
+     * @returns {Promise<Object>}
+     */
+    static async updateFutureOccurrences(current, updates) {
+        return this.runSeriesTask(async () => {
+            const series = (await DataService.loadActivitySeries())[current.seriesId] || [];
+            const recurrence = this.normalizeRecurrence('recurrence' in updates ? updates.recurrence : current.recurrence);
+
+            const activity = {
+                ...current,
+                ...updates,
+                id: current.id,
+                recurrence,
+                seriesId: recurrence ? DataService.generateId() : ''
+            };
+            activity.reminders = this.normalizeReminders(activity.reminders);
+            activity.occurrenceDate = recurrence ? activity.date : '';
+            if (recurrence) {
+                recurrence.fields = this.seriesFields(activity);
+                if (recurrence.count) {
+                    recurrence.count = Math.max(1, recurrence.count - this.occurrencesBefore(series, current));
+                }
+            }
+
+            const validation = this.validateActivity(activity);
+            if (!validation.valid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            // Najpierw edytowane wystąpienie - konflikt wersji przerywa zanim ruszymy resztę serii
+            await DataService.saveActivity(activity, true);
+            await this.logActivityUpdate(activity);
+
+            await this.endSeriesBefore(series, current);
+            await this.deleteOccurrencesAfter(series, current);
+            if (recurrence) await this.extendSeries([activity]);
+
+            return activity;
+        });
+    }
+
+    /**
+     * Liczba terminów serii przed wystąpieniem (wykorzystana część limitu count)
+     */
+    static occurrencesBefore(series, occurrence) {
+        const template = this.seriesTemplate(series);
+        if (!template || !template.recurrence) return 0;
+
+        const slot = new Date(this.occurrenceSlot(occurrence));
+        let used = 0;
+        for (const { date } of this.occurrences(template.recurrence, this.occurrenceSlot(template))) {
+            if (date >= slot) break;
+            used++;
+        }
+        return used;
+    }
+
+    /**
+     * Ustawia koniec reguły serii na dzień przed wystąpieniem
+     * (nic nie robi, gdy wystąpienie jest pierwsze w serii)
+     */
+    static async endSeriesBefore(series, occurrence) {
+        const template = this.seriesTemplate(series);
+        if (!template || template.id === occurrence.id || !template.recurrence) return;
+
+        const end = new Date(this.occurrenceSlot(occurrence));
+        end.setDate(end.getDate() - 1);
+        const pad = n => String(n).padStart(2, '0');
+        const until = `${end.getFullYear()}-${pad(end.getMonth() + 1)}-${pad(end.getDate())}`;
+
+        await DataService.saveActivity({ ...template, recurrence: { ...template.recurrence, until } }, true);
+    }
+
+    /**
+     * Przenosi do kosza zaplanowane wystąpienia serii późniejsze niż podane
+     */
+    static async deleteOccurrencesAfter(series, occurrence) {
+        const from = this.occurrenceSlot(occurrence);
+        const later = series.filter(a =>
+            a.id !== occurrence.id &&
+            !a.deletedAt &&
+            a.status === CONFIG.ACTIVITIES.STATUSES.PLANNED &&
+            this.occurrenceSlot(a) > from
+        );
+        for (const activity of later) {
+            await DataService.deleteActivity(activity.id);
+        }
     }
 
     /**
@@ -251,6 +719,10 @@ export class ActivitiesService {
             errors.push('Nieprawidłowy format daty');
         }
 
+        if (activity.recurrence) {
+            errors.push(...this.validateRecurrence(activity.recurrence));
+        }
+
         return {
             valid: errors.length === 0,
             errors
@@ -260,7 +732,7 @@ export class ActivitiesService {
     /**
      * Aplikuje filtry do listy aktywności
      * @param {Array} activities
-     * @param {Object} filters
+     * @param {Object} filters - type, status, dateFrom, dateTo, companyId, contactId, createdBy
      * @returns {Array}
      */
     static applyFilters(activities, filters) {
@@ -286,6 +758,17 @@ export class ActivitiesService {
             filtered = filtered.filter(a => a.date <= filters.dateTo);
         }
 
+        // Filtry po powiązaniach i autorze
+        if (filters.companyId) {
+            filtered = filtered.filter(a => a.companyId === filters.companyId);
+        }
+        if (filters.contactId) {
+            filtered = filtered.filter(a => a.contactId === filters.contactId);
+        }
+        if (filters.createdBy) {
+            filtered = filtered.filter(a => a.createdBy === filters.createdBy);
+        }
+
         // Sortuj po dacie (najnowsze najpierw)
         filtered.sort((a, b) => b.date.localeCompare(a.date));
 
@@ -306,7 +789,9 @@ export class ActivitiesService {
             typeIcon: activityType ? activityType.icon : '📋',
             typeColor: activityType ? activityType.color : '#64748b',
             formattedDate: this.formatDate(activity.date),
-            statusLabel: this.getStatusLabel(activity.status)
+            statusLabel: this.getStatusLabel(activity.status),
+            recurrenceLabel: this.describeRecurrence(activity.recurrence),
+            remindersLabel: this.describeReminders(activity.reminders)
         };
     }
 
@@ -449,8 +934,17 @@ export class ActivitiesService {
             filtered = filtered.filter(a => a.contactId === contactId);
         }
 
+        return this.computeActivityStats(filtered);
+    }
+
+    /**
+     * Statystyki dla gotowej listy aktywności (np. już przefiltrowanej w raportach)
+     * @param {Array} activities
+     * @returns {Object}
+     */
+    static computeActivityStats(activities) {
         const stats = {
-            total: filtered.length,
+            total: activities.length,
             byType: {},
             byStatus: {
                 planned: 0,
@@ -463,7 +957,7 @@ export class ActivitiesService {
 
         const today = new Date().toISOString().split('T')[0];
 
-        filtered.forEach(activity => {
+        activities.forEach(activity => {
             // Zlicz po typie
             stats.byType[activity.type] = (stats.byType[activity.type] || 0) + 1;
             
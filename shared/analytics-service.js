@@ -0,0 +1,263 @@
+/**
+ * SIMPLIFY CRM - Analytics Service
+ * =================================
+ * Raporty modułu Analityka liczone po stronie przeglądarki z danych DataService.
+ * Każdy raport to tabela { columns, rows } - ta sama służy do wykresu i do eksportu CSV.
+ *
+ * Tygodnie zaczynają się w poniedziałek, granice dni i miesięcy liczymy w czasie lokalnym.
+ */
+
+import { CONFIG } from './config.js';
+import { DataService } from './data-service.js';
+
+export class AnalyticsService {
+
+    /**
+     * Ładuje wszystko, czego potrzebują raporty (jeden odczyt na arkusz)
+     * @returns {Promise<{activities, companies, contacts, companyHistory, contactHistory}>}
+     */
+    static async loadData() {
+        const [activities, companies, contacts, companyHistory, contactHistory] = await Promise.all([
+            DataService.loadActivities(),
+            DataService.loadCompanies(),
+            DataService.loadContacts(),
+            DataService.loadCompanyHistory(),
+            DataService.loadContactHistory()
+        ]);
+        return { activities, companies, contacts, companyHistory, contactHistory };
+    }
+
+    // ============= BUCKETS =============
+
+    static dayKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static weekStart(date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        return start;
+    }
+
+    static weekKey(value) {
+        return this.dayKey(this.weekStart(new Date(value)));
+    }
+
+    static monthKey(value) {
+        return this.dayKey(new Date(value)).slice(0, 7);
+    }
+
+    /**
+     * Kolejne tygodnie zakresu: [{ key, start, end }] (end = początek następnego tygodnia)
+     */
+    static weeks(range) {
+        const result = [];
+        for (let start = this.weekStart(range.from); start <= range.to;) {
+            const end = new Date(start);
+            end.setDate(end.getDate() + 7);
+            result.push({ key: this.dayKey(start), start, end });
+            start = end;
+        }
+        return result;
+    }
+
+    static months(range) {
+        const result = [];
+        for (let d = new Date(range.from.getFullYear(), range.from.getMonth(), 1); d <= range.to; d.setMonth(d.getMonth() + 1)) {
+            result.push(this.dayKey(d).slice(0, 7));
+        }
+        return result;
+    }
+
+    static inRange(value, range) {
+        const date = new Date(value);
+        return !isNaN(date.getTime()) && date >= range.from && date <= range.to;
+    }
+
+    // ============= FILTERS =============
+
+    /**
+     * @param {Array} activities
+     * @param {{user?: string}} filters - user = email autora (createdBy)
+     */
+    static filterActivities(activities, filters = {}) {
+        return filters.user ? activities.filter(a => a.createdBy === filters.user) : activities;
+    }
+
+    /**
+     * Data utworzenia firmy / kontaktu. Arkusze nie mają kolumny createdAt:
+     * id z generateId() zaczyna się od znacznika czasu, a starsze rekordy
+     * datujemy pierwszym wpisem w historii.
+     */
+    static createdAt(record, firstHistory) {
+        const match = /^id_(\d{13})_/.exec(record.id || '');
+        if (match) return new Date(Number(match[1])).toISOString();
+        return firstHistory[record.id] || '';
+    }
+
+    static firstHistoryByEntity(history, idField) {
+        const first = {};
+        history.forEach(entry => {
+            const id = entry[idField];
+            if (id && entry.timestamp && (!first[id] || entry.timestamp < first[id])) first[id] = entry.timestamp;
+        });
+        return first;
+    }
+
+    // ============= REPORTS =============
+
+    /**
+     * Aktywności w tygodniu (wg terminu) z podziałem na typy
+     */
+    static activitiesByWeek(activities, range) {
+        const types = Object.values(CONFIG.ACTIVITIES.TYPES);
+        const counts = {};
+        activities.filter(a => this.inRange(a.date, range)).forEach(a => {
+            const week = this.weekKey(a.date);
+            counts[week] = counts[week] || {};
+            counts[week][a.type] = (counts[week][a.type] || 0) + 1;
+        });
+
+        return {
+            columns: ['Tydzień', ...types.map(t => t.label), 'Razem'],
+            series: types.map(t => ({ label: t.label, color: t.color })),
+            rows: this.weeks(range).map(({ key }) => {
+                const values = types.map(t => (counts[key] || {})[t.id] || 0);
+                return [key, ...values, values.reduce((sum, v) => sum + v, 0)];
+            })
+        };
+    }
+
+    /**
+     * Skuteczność: ukończone / (termin minął lub ukończone, bez anulowanych), per tydzień terminu
+     */
+    static completionRate(activities, range) {
+        const S = CONFIG.ACTIVITIES.STATUSES;
+        const now = new Date().toISOString();
+        const buckets = {};
+        const total = { due: 0, completed: 0 };
+
+        activities.filter(a => this.inRange(a.date, range) && a.status !== S.CANCELLED).forEach(a => {
+            const completed = a.status === S.COMPLETED;
+            if (!completed && a.date > now) return; // jeszcze przed terminem - nie wlicza się
+            const week = this.weekKey(a.date);
+            buckets[week] = buckets[week] || { due: 0, completed: 0 };
+            buckets[week].due++;
+            total.due++;
+            if (completed) {
+                buckets[week].completed++;
+                total.completed++;
+            }
+        });
+
+        const rate = (b) => b && b.due ? Math.round(b.completed / b.due * 100) : null;
+        return {
+            columns: ['Tydzień', 'Do wykonania', 'Ukończone', 'Skuteczność %'],
+            rows: this.weeks(range).map(({ key }) => {
+                const b = buckets[key] || { due: 0, completed: 0 };
+                return [key, b.due, b.completed, rate(b) ?? ''];
+            }),
+            overall: rate(total)
+        };
+    }
+
+    /**
+     * Zaległe na koniec każdego tygodnia. Datę zamknięcia aktywności przybliża updatedAt
+     * (ostatni zapis ukończonej / anulowanej aktywności to zwykle zmiana statusu).
+     */
+    static overdueTrend(activities, range) {
+        const S = CONFIG.ACTIVITIES.STATUSES;
+        const now = new Date();
+
+        return {
+            columns: ['Tydzień', 'Zaległe'],
+            rows: this.weeks(range).map(({ key, end }) => {
+                const at = (end < now ? end : now).toISOString();
+                const count = activities.filter(a => {
+                    if (!a.date || a.date >= at) return false;
+                    if (a.createdAt && a.createdAt > at) return false;
+                    return a.status === S.PLANNED || (a.updatedAt && a.updatedAt > at);
+                }).length;
+                return [key, count];
+            })
+        };
+    }
+
+    /**
+     * Nowe firmy i kontakty w miesiącu
+     */
+    static newRecordsByMonth(data, range) {
+        const count = (records, history, idField) => {
+            const first = this.firstHistoryByEntity(history, idField);
+            const result = {};
+            records.forEach(record => {
+                const created = this.createdAt(record, first);
+                if (created && this.inRange(created, range)) {
+                    const month = this.monthKey(created);
+                    result[month] = (result[month] || 0) + 1;
+                }
+            });
+            return result;
+        };
+
+        const companies = count(data.companies, data.companyHistory, 'companyId');
+        const contacts = count(data.contacts, data.contactHistory, 'contactId');
+        return {
+            columns: ['Miesiąc', 'Nowe firmy', 'Nowe kontakty'],
+            series: [{ label: 'Nowe firmy', color: '#3b82f6' }, { label: 'Nowe kontakty', color: '#10b981' }],
+            rows: this.months(range).map(month => [month, companies[month] || 0, contacts[month] || 0])
+        };
+    }
+
+    /**
+     * Zaangażowanie firm w zakresie: aktywności (także przez kontakty firmy) + notatki w historii.
+     * Wiersze od najbardziej zaangażowanych; firmy bez kontaktu mają wynik 0.
+     */
+    static accountEngagement(data, activities, range) {
+        const contactCompany = {};
+        data.contacts.forEach(c => { contactCompany[c.id] = c.companyId; });
+
+        const stats = {};
+        data.companies.forEach(c => { stats[c.id] = { activities: 0, notes: 0, last: '' }; });
+        const touch = (companyId, field, date) => {
+            const s = stats[companyId];
+            if (!s) return;
+            s[field]++;
+            if (date > s.last) s.last = date;
+        };
+
+        activities.filter(a => this.inRange(a.date, range)).forEach(a => {
+            touch(a.companyId || contactCompany[a.contactId], 'activities', a.date);
+        });
+        data.companyHistory.filter(h => h.type === 'note' && this.inRange(h.timestamp, range)).forEach(h => {
+            touch(h.companyId, 'notes', h.timestamp);
+        });
+
+        const rows = data.companies.map(c => {
+            const s = stats[c.id];
+            return [c.name, s.activities, s.notes, s.activities + s.notes, s.last ? this.dayKey(new Date(s.last)) : ''];
+        });
+        rows.sort((a, b) => (b[3] - a[3]) || a[0].localeCompare(b[0], 'pl'));
+
+        return {
+            columns: ['Firma', 'Aktywności', 'Notatki', 'Wynik', 'Ostatni kontakt'],
+            rows
+        };
+    }
+
+    // ============= CSV =============
+
+    static toCsv(report) {
+        const escape = (value) => {
+            const str = (value ?? '').toString();
+            return /[",;\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        return [report.columns, ...report.rows].map(row => row.map(escape).join(',')).join('\n');
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.AnalyticsService = AnalyticsService;
+}
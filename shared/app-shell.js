@@ -3,6 +3,12 @@
  * =================================
  * Wspólne klocki dla stron:
  * - inicjalizacja GAPI
+ * - bootstrap schematu arkuszy (brakujące zakładki i nagłówki) i migracje
+ * - kolejka zmian offline (outbox) i wskaźnik "N zmian w kolejce" w headerze
+ * - wskaźnik dławienia zapytań, gdy wyczerpany jest limit Google Sheets API
+ * - historia cofania (toast "Cofnij" po operacji destrukcyjnej, Ctrl+Z)
+ * - synchronizacja kart (cache, zdarzenia domenowe, wylogowanie)
+ * - przypomnienia o aktywnościach (powiadomienia przeglądarki + centrum powiadomień w headerze)
  * - pobranie preferencji użytkownika (displayName)
  * - ustawienie headera (nazwa wyświetlana, logout, logo)
  */
@@ -10,6 +16,14 @@
 import { CONFIG } from './config.js';
 import { AuthService } from './auth.js';
 import { DataService } from './data-service.js';
+import { SchemaService } from './schema.js';
+import { MigrationService } from './migrations.js';
+import { OutboxService } from './outbox.js';
+import { UndoManager } from './undo-manager.js';
+import { TabSync } from './tab-sync.js';
+import { ReminderService } from './reminder-service.js';
+import { ReminderUI } from './reminder-ui.js';
+import { CrmError } from './errors.js';
 
 
 
@@ -37,6 +51,143 @@ async function ensureGapiLoaded(timeoutMs = 15000) {
     tick();
   });
 }
+function pluralizeChanges(n) {
+  if (n === 1) return 'zmiana';
+  const lastTwo = n % 100;
+  const last = n % 10;
+  return last >= 2 && last <= 4 && (lastTwo < 12 || lastTwo > 14) ? 'zmiany' : 'zmian';
+}
+
+/**
+ * Wskaźnik stanu outboxa w headerze (przed nazwą użytkownika)
+ */
+function mountOutboxIndicator(userEl) {
+  const container = userEl ? userEl.parentElement : document.querySelector('.app-header-right');
+  if (!container) return;
+
+  const indicator = document.createElement('span');
+  indicator.className = 'outbox-indicator';
+  indicator.hidden = true;
+  container.insertBefore(indicator, userEl || container.firstChild);
+
+  let failureTimer = null;
+
+  OutboxService.onChange(({ pending, online, replaying, failure }) => {
+    if (failure) {
+      clearTimeout(failureTimer);
+      indicator.hidden = false;
+      indicator.className = 'outbox-indicator error';
+      indicator.textContent = 'Nie zapisano zmiany';
+      indicator.title = failure.error && failure.error.message ? failure.error.message : 'Zmiana z kolejki offline została odrzucona';
+      failureTimer = setTimeout(() => {
+        failureTimer = null;
+        OutboxService.notify();
+      }, 6000);
+      return;
+    }
+    if (failureTimer) return;
+
+    indicator.hidden = online && pending === 0;
+    indicator.className = 'outbox-indicator' + (online ? '' : ' offline');
+    if (pending > 0) {
+      indicator.textContent = replaying ? `Synchronizacja… (${pending})` : `${pending} ${pluralizeChanges(pending)} w kolejce`;
+      indicator.title = 'Zmiany zapisane lokalnie - zostaną wysłane po odzyskaniu połączenia';
+    } else {
+      indicator.textContent = 'Offline';
+      indicator.title = 'Brak połączenia - zmiany będą zapisywane lokalnie';
+    }
+  });
+}
+
+/**
+ * Wskaźnik dławienia zapytań (limit Google Sheets API) - obok wskaźnika outboxa
+ */
+function mountThrottleIndicator(userEl) {
+  const container = userEl ? userEl.parentElement : document.querySelector('.app-header-right');
+  if (!container) return;
+
+  const indicator = document.createElement('span');
+  indicator.className = 'outbox-indicator throttled';
+  indicator.hidden = true;
+  indicator.title = 'Osiągnięto limit zapytań do Google Sheets - kolejne zapytania czekają na odnowienie limitu';
+  container.insertBefore(indicator, userEl || container.firstChild);
+
+  DataService.scheduler.onChange(({ throttled, queued, waitMs }) => {
+    indicator.hidden = !throttled;
+    if (throttled) {
+      const seconds = Math.max(1, Math.ceil(waitMs / 1000));
+      indicator.textContent = queued > 0 ? `Limit zapytań · ${seconds} s (${queued})` : `Limit zapytań · ${seconds} s`;
+    }
+  });
+}
+
+/**
+ * Toast "Cofnij" po każdej operacji zapisanej przez UndoManager; Ctrl+Z cofa ostatni krok sesji
+ */
+function mountUndoToast() {
+  const toast = document.createElement('div');
+  toast.className = 'undo-toast';
+  toast.hidden = true;
+  toast.innerHTML = '<span class="undo-toast-label"></span><button type="button" class="undo-toast-btn">Cofnij</button>';
+  document.body.appendChild(toast);
+
+  const label = toast.querySelector('.undo-toast-label');
+  const button = toast.querySelector('.undo-toast-btn');
+  let current = null;
+  let hideTimer = null;
+
+  const hide = () => {
+    clearTimeout(hideTimer);
+    toast.hidden = true;
+    current = null;
+  };
+
+  const undo = async (entryId) => {
+    button.disabled = true;
+    try {
+      const entry = await UndoManager.undo(entryId);
+      hide();
+      if (entry) showUndoStatus(`Cofnięto: ${entry.label}`, 'success');
+    } catch (e) {
+      console.error('Cofnięcie nie powiodło się:', e);
+      showUndoStatus(e instanceof CrmError ? e.message : 'Nie udało się cofnąć operacji', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  UndoManager.onChange(({ action, entry }) => {
+    if (action !== 'recorded') return;
+    current = entry;
+    label.textContent = entry.label;
+    toast.hidden = false;
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(hide, CONFIG.UNDO.TOAST_DURATION);
+  });
+
+  button.addEventListener('click', () => {
+    if (current) undo(current.id);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.key.toLowerCase() !== 'z') return;
+    // W polach formularza Ctrl+Z należy do przeglądarki
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    if (!UndoManager.list().length) return;
+    e.preventDefault();
+    undo(null);
+  });
+}
+
+function showUndoStatus(message, type) {
+  const msg = document.createElement('div');
+  msg.className = 'status-message ' + type;
+  msg.textContent = message;
+  document.body.appendChild(msg);
+  setTimeout(() => msg.remove(), 3200);
+}
+
 /**
  * Uruchamia standardową inicjalizację strony chronionej.
  *
@@ -89,12 +240,53 @@ export async function bootstrapProtectedPage(opts = {}) {
     userEl.textContent = AuthService.getUserDisplayText();
   }
 
-  // 4) Ensure GAPI script & client
-  await ensureGapiLoaded();
-  await AuthService.initializeGoogleAPIs();
-  AuthService.setGAPIToken();
+  // 3b) Outbox - zapisy offline trafiają do kolejki w IndexedDB
+  mountOutboxIndicator(userEl);
+  if (DataService.storage.requiresGapi) {
+    mountThrottleIndicator(userEl);
+  }
+  try {
+    await OutboxService.install();
+  } catch (e) {
+    console.warn('Kolejka offline jest niedostępna:', e);
+  }
+
+  // 3c) Historia cofania - nad outboxem, więc cofnięcie offline też trafi do kolejki
+  UndoManager.install();
+  mountUndoToast();
+
+  // 3d) Inne karty aplikacji dowiadują się o zmianach i wylogowaniu
+  TabSync.install();
+  ReminderUI.mountCenter(userEl);
 
-  // 5) Load user preferences (displayName) from Sheets and refresh header
+  // 4) Ensure GAPI script & client (lokalny adapter danych go nie potrzebuje)
+  if (DataService.storage.requiresGapi) {
+    await ensureGapiLoaded();
+    await AuthService.initializeGoogleAPIs();
+    AuthService.setGAPIToken();
+  }
+
+  // 5) Schema bootstrap - tworzy brakujące arkusze/nagłówki (raz na sesję)
+  try {
+    await SchemaService.bootstrap();
+  } catch (e) {
+    console.warn('Nie udało się sprawdzić schematu arkuszy:', e);
+  }
+
+  // 6) Migracje schematu - jeśli arkusz jest nowszy niż kod, DataService zablokuje zapisy
+  try {
+    const migration = await MigrationService.migrate();
+    if (migration.applied.length) {
+      console.log(`✓ Schemat zaktualizowany: ${migration.from} → ${migration.to}`);
+    }
+  } catch (e) {
+    console.error('Migracja schematu nie powiodła się:', e);
+  }
+
+  // 6b) Odtwórz zmiany zapisane offline w poprzedniej sesji (w tle)
+  OutboxService.replay().catch(e => console.warn('Odtwarzanie kolejki offline nie powiodło się:', e));
+
+  // 7) Load user preferences (displayName) from Sheets and refresh header
   const email = AuthService.getUserEmail();
   if (email) {
     try {
@@ -110,6 +302,9 @@ export async function bootstrapProtectedPage(opts = {}) {
     }
   }
 
+  // 8) Przypomnienia - po migracjach, żeby aktywności miały już kolumnę reminders
+  ReminderService.install();
+
   return {
     email: email || null,
     displayName: AuthService.getDisplayName() || null,
@@ -11,6 +11,7 @@ export class AuthService {
     static SESSION_KEY = CONFIG.SESSION.KEY;
     static TOKEN_REFRESH_THRESHOLD = CONFIG.SESSION.TOKEN_REFRESH_THRESHOLD;
     static DISPLAY_NAME_KEY = 'simplify_crm_display_name';
+    static refreshPromise = null;
 
     /**
      * Sprawdza czy użytkownik jest zalogowany
@@ -240,7 +241,7 @@ export class AuthService {
      * Inicjalizuje token client (GIS)
      * @returns {Object} Token client
      */
-    static initializeTokenClient(callback) {
+    static initializeTokenClient(callback, errorCallback = undefined) {
         if (typeof google === 'undefined' || !google.accounts) {
             throw new Error('Google Identity Services nie są załadowane');
         }
@@ -248,13 +249,43 @@ export class AuthService {
         const tokenClient = google.accounts.oauth2.initTokenClient({
             client_id: CONFIG.CLIENT_ID,
             scope: CONFIG.SCOPES,
-            callback: callback
+            callback: callback,
+            error_callback: errorCallback
         });
 
         console.log('✓ GIS token client zainicjalizowany');
         return tokenClient;
     }
 
+    /**
+     * Odświeża access token przez GIS - bez ekranu zgody, jeśli użytkownik już jej udzielił.
+     * Równoległe wywołania (np. kilka żądań z 401) czekają na to samo odświeżenie.
+     * @returns {Promise<string>} Nowy access token
+     */
+    static refreshToken() {
+        if (this.refreshPromise) return this.refreshPromise;
+
+        this.refreshPromise = new Promise((resolve, reject) => {
+            const email = this.getUserEmail();
+            const tokenClient = this.initializeTokenClient((response) => {
+                if (response.error) {
+                    reject(new Error(response.error_description || response.error));
+                    return;
+                }
+                this.saveSession(response.access_token, email, response.expires_in);
+                this.setGAPIToken();
+                console.log('✓ Token odświeżony');
+                resolve(response.access_token);
+            }, (error) => reject(new Error(error && error.type ? error.type : 'Odświeżenie tokenu przerwane')));
+
+            tokenClient.requestAccessToken({ prompt: '', hint: email || undefined });
+        }).finally(() => {
+            this.refreshPromise = null;
+        });
+
+        return this.refreshPromise;
+    }
+
     /**
      * Wylogowuje użytkownika
      * @param {boolean} revokeToken - Czy odwołać token w Google (domyślnie true)
@@ -29,7 +29,14 @@ export const CONFIG = {
         ACTIVITIES: 'Activities',
         // Custom fields
         CUSTOM_FIELDS: 'CustomFields',
-        CUSTOM_FIELD_VALUES: 'CustomFieldValues'
+        CUSTOM_FIELD_VALUES: 'CustomFieldValues',
+        // Wersje rekordów (stan sprzed każdego zapisu)
+        VERSIONS: 'Versions',
+        // Lejek sprzedaży
+        DEALS: 'Deals',
+        PIPELINE_STAGES: 'PipelineStages',
+        // Metadane (wersja schematu, historia migracji)
+        META: 'Meta'
     },
     
     // OAuth Scopes
@@ -39,14 +46,91 @@ export const CONFIG = {
     SESSION: {
         KEY: 'simplify_crm_session',
         TOKEN_REFRESH_THRESHOLD: 5 * 60 * 1000, // 5 minut przed wygaśnięciem
-        CACHE_TTL: 5 * 60 * 1000 // 5 minut cache
+        CACHE_TTL: 5 * 60 * 1000, // 5 minut cache
+        PERSISTENT_CACHE_MAX_AGE: 7 * 24 * 60 * 60 * 1000 // kopia w IndexedDB - starsze wpisy pomijamy
+    },
+
+    // Synchronizacja kart przeglądarki (tab-sync.js)
+    SYNC: {
+        CHANNEL: 'simplify_crm_sync'
+    },
+
+    // Cofanie operacji destrukcyjnych (undo-manager.js)
+    UNDO: {
+        SESSION_KEY: 'simplify_crm_undo',
+        MAX_STEPS: 20,
+        TOAST_DURATION: 6000 // jak długo widać przycisk "Cofnij" po operacji
+    },
+
+    // Przypomnienia o aktywnościach (reminder-service.js)
+    REMINDERS: {
+        OPTIONS: [
+            { minutes: 5, label: '5 min' },
+            { minutes: 15, label: '15 min' },
+            { minutes: 30, label: '30 min' },
+            { minutes: 60, label: '1 godz.' },
+            { minutes: 1440, label: '1 dzień' }
+        ],
+        STORAGE_KEY: 'simplify_crm_reminders', // + email użytkownika
+        CHECK_INTERVAL: 30 * 1000,
+        LATE_LIMIT: 5 * 60 * 1000, // po starcie aktywności przypomnienie jest jeszcze pokazywane przez 5 min
+        MAX_NOTIFICATIONS: 50,
+        FIRED_MAX_AGE: 14 * 24 * 60 * 60 * 1000
+    },
+    
+    // Storage backend dla DataService
+    // 'sheets' - Google Sheets (produkcja), 'indexeddb' - lokalna baza (offline / sandbox)
+    // Nadpisanie per przeglądarka: localStorage[OVERRIDE_KEY] = 'indexeddb'
+    STORAGE: {
+        ADAPTER: 'sheets',
+        OVERRIDE_KEY: 'simplify_crm_storage_adapter',
+        IDB_NAME: 'simplify_crm_local',
+        // Kolejka zmian zapisanych offline (outbox.js)
+        OUTBOX_DB: 'simplify_crm_outbox',
+        // Trwały cache odczytów (stale-while-revalidate)
+        CACHE_DB: 'simplify_crm_cache'
+    },
+    
+    // Reguły usuwania powiązanych danych (stosowane przy trwałym usunięciu z kosza)
+    // 'cascade' - usuń powiązane wiersze, 'detach' - wyczyść odwołanie, 'block' - nie pozwól usunąć
+    // 'detach' dotyczy tylko kontaktów i aktywności (pozostałe wiersze bez rodzica nie mają sensu)
+    DELETE_RULES: {
+        company: {
+            contacts: 'detach',
+            activities: 'cascade',
+            tagRelations: 'cascade',
+            customFieldValues: 'cascade',
+            history: 'cascade',
+            versions: 'cascade',
+            deals: 'cascade'
+        },
+        contact: {
+            activities: 'detach',
+            tagRelations: 'cascade',
+            customFieldValues: 'cascade',
+            history: 'cascade',
+            versions: 'cascade'
+        },
+        companyTag: {
+            tagRelations: 'cascade'
+        },
+        contactTag: {
+            tagRelations: 'cascade'
+        }
     },
     
     // API Configuration
     API: {
         DISCOVERY_DOCS: ['https://sheets.googleapis.com/$discovery/rest?version=v4'],
         MAX_RETRIES: 3,
-        RETRY_DELAY: 1000
+        RETRY_DELAY: 1000,
+        MAX_RETRY_DELAY: 60 * 1000, // górny limit dla Retry-After
+        // Limity Google Sheets API na użytkownika (zapytania na minutę)
+        QUOTA: {
+            READS_PER_MINUTE: 60,
+            WRITES_PER_MINUTE: 60,
+            BURST: 15 // tyle zapytań może pójść od razu, zanim zacznie się dławienie
+        }
     },
     
     // Routes (absolute paths for GitHub Pages)
@@ -91,6 +175,21 @@ export const CONFIG = {
         ]
     },
     
+    // Pipeline Configuration
+    PIPELINE: {
+        CURRENCIES: ['PLN', 'EUR', 'USD'],
+        DEFAULT_CURRENCY: 'PLN',
+        // kind: 'open' - deal w toku, 'won' / 'lost' - deal zamknięty
+        DEFAULT_STAGES: [
+            { name: 'Nowy', color: '#64748b', kind: 'open' },
+            { name: 'Kwalifikacja', color: '#0ea5e9', kind: 'open' },
+            { name: 'Oferta', color: '#8b5cf6', kind: 'open' },
+            { name: 'Negocjacje', color: '#f59e0b', kind: 'open' },
+            { name: 'Wygrany', color: '#22c55e', kind: 'won' },
+            { name: 'Przegrany', color: '#ef4444', kind: 'lost' }
+        ]
+    },
+    
     // Activities Configuration
     ACTIVITIES: {
         TYPES: {
@@ -131,6 +230,17 @@ export const CONFIG = {
             PLANNED: 'planned',
             COMPLETED: 'completed',
             CANCELLED: 'cancelled'
+        },
+        // Powtarzanie (reguła w stylu RRULE, zapisywana jako JSON w kolumnie recurrence)
+        RECURRENCE: {
+            FREQUENCIES: {
+                daily: { label: 'Codziennie', unit: 'dni' },
+                weekly: { label: 'Co tydzień', unit: 'tyg.' },
+                monthly: { label: 'Co miesiąc', unit: 'mies.' }
+            },
+            WEEKDAYS: ['nd', 'pn', 'wt', 'śr', 'cz', 'pt', 'sb'], // indeksy jak Date.getDay()
+            HORIZON_DAYS: 30,       // na tyle dni do przodu tworzymy wystąpienia
+            MAX_PER_RUN: 60         // bezpiecznik na jedno uzupełnienie serii
         }
     }
 };
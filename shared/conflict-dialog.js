@@ -0,0 +1,144 @@
+/**
+ * SIMPLIFY CRM - Conflict Dialog
+ * ===============================
+ * Rozwiązywanie konfliktów zapisu (ConflictError z DataService).
+ * Pokazuje "Twoja wersja" vs "Wersja w arkuszu" dla każdego różniącego się pola
+ * i pozwala wybrać, którą wartość zachować.
+ *
+ * Korzysta z klas .modal / .modal-content ze stylów strony.
+ */
+
+import { ConflictError } from './errors.js';
+
+export class ConflictDialog {
+  /**
+   * Zapisuje encję, a w razie konfliktu pyta użytkownika o wybór wartości
+   * i ponawia zapis na aktualnej wersji z arkusza.
+   * @param {Object} entity - Edytowany rekord (zostanie uzupełniony o wybrane wartości)
+   * @param {Array<{key: string, label: string, format?: Function}>} fields - Porównywane pola
+   * @param {Function} save - (entity) => Promise, np. e => DataService.saveCompany(e, true)
+   * @returns {Promise<*>} Wynik save(); przy anulowaniu rzuca pierwotny ConflictError
+   */
+  static async save(entity, fields, save) {
+    for (;;) {
+      try {
+        return await save(entity);
+      } catch (err) {
+        if (!(err instanceof ConflictError)) throw err;
+
+        const choice = await this.resolve(err, fields);
+        if (!choice) throw err;
+
+        Object.assign(entity, choice, { version: err.theirs.version });
+      }
+    }
+  }
+
+  /**
+   * Otwiera dialog porównania
+   * @param {ConflictError} conflict
+   * @param {Array<{key: string, label: string, format?: Function}>} fields
+   * @returns {Promise<Object|null>} Wybrane wartości pól lub null (anulowano)
+   */
+  static resolve(conflict, fields) {
+    const { yours, theirs } = conflict;
+    const differing = fields.filter(f => (yours[f.key] ?? '') !== (theirs[f.key] ?? ''));
+
+    return new Promise(resolve => {
+      const modal = document.createElement('div');
+      modal.className = 'modal active conflict-modal';
+      modal.innerHTML = `
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Konflikt zapisu</h2>
+          </div>
+          <p class="conflict-intro">
+            Ktoś zmienił ten rekord od momentu jego otwarcia${theirs.updatedAt ? ` (${this.escape(this.formatDate(theirs.updatedAt))})` : ''}.
+            Wybierz, którą wartość zachować dla każdego pola.
+          </p>
+          ${differing.length ? `
+            <table class="conflict-table">
+              <thead>
+                <tr><th>Pole</th><th>Twoja wersja</th><th>Wersja w arkuszu</th></tr>
+              </thead>
+              <tbody>
+                ${differing.map(f => this.buildRow(f, yours, theirs)).join('')}
+              </tbody>
+            </table>
+          ` : '<p class="conflict-intro">Porównywane pola są identyczne - możesz bezpiecznie zapisać.</p>'}
+          <div class="modal-actions">
+            <button type="button" class="btn btn-secondary" data-action="cancel">Anuluj</button>
+            <button type="button" class="btn btn-primary" data-action="apply">Zapisz wybrane</button>
+          </div>
+        </div>
+      `;
+
+      const close = (result) => {
+        modal.remove();
+        resolve(result);
+      };
+
+      modal.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+      modal.querySelector('[data-action="apply"]').addEventListener('click', () => {
+        const choice = {};
+        differing.forEach(f => {
+          const picked = modal.querySelector(`input[name="conflict_${this.safeId(f.key)}"]:checked`);
+          choice[f.key] = picked && picked.value === 'theirs' ? theirs[f.key] : yours[f.key];
+        });
+        close(choice);
+      });
+
+      document.body.appendChild(modal);
+    });
+  }
+
+  static buildRow(field, yours, theirs) {
+    const name = `conflict_${this.safeId(field.key)}`;
+    const show = (value) => {
+      const text = field.format ? field.format(value) : value;
+      return text ? this.escape(String(text)) : '<span class="conflict-empty">(puste)</span>';
+    };
+
+    return `
+      <tr>
+        <td class="conflict-field">${this.escape(field.label)}</td>
+        <td>
+          <label class="conflict-option">
+            <input type="radio" name="${name}" value="yours" checked>
+            <span>${show(yours[field.key])}</span>
+          </label>
+        </td>
+        <td>
+          <label class="conflict-option">
+            <input type="radio" name="${name}" value="theirs">
+            <span>${show(theirs[field.key])}</span>
+          </label>
+        </td>
+      </tr>
+    `;
+  }
+
+  static formatDate(iso) {
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return iso;
+    return date.toLocaleString('pl-PL', { dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  static safeId(str) {
+    return String(str || '').replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  static escape(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+  window.ConflictDialog = ConflictDialog;
+}
@@ -1,25 +1,196 @@
 /**
  * SIMPLIFY CRM - Data Service
  * ============================
- * Centralne API do komunikacji z Google Sheets
+ * Centralne API do danych CRM
  * Obsługuje CRUD dla wszystkich danych CRM
+ * Fizyczny zapis odbywa się przez wymienny adapter (storage-adapters.js)
+ * Odczyty są cache'owane w pamięci i w IndexedDB (persistent-cache.js), odświeżane w tle
  */
 
 import { CONFIG } from './config.js';
 import { AuthService } from './auth.js';
+import { createStorageAdapter, columnToIndex, indexToColumn } from './storage-adapters.js';
+import { WriteQueue } from './write-queue.js';
+import { RequestScheduler } from './request-scheduler.js';
+import { EventBus } from './event-bus.js';
+import { PersistentCache } from './persistent-cache.js';
+import {
+    CrmError, RecordNotFoundError, DuplicateRecordError, RowMismatchError, ConflictError, SchemaVersionError, DeleteBlockedError,
+    ApiError, NetworkError, AuthError, PermissionError, RateLimitError, ServerError, RequestError
+} from './errors.js';
 
 export class DataService {
     static cache = new Map();
+    static cacheListeners = new Set();
+    static revalidating = new Map();
     static CACHE_TTL = CONFIG.SESSION.CACHE_TTL;
+    static _storage = null;
+    static _scheduler = null;
+
+    /**
+     * Wersja schematu arkuszy obsługiwana przez ten kod.
+     * Musi odpowiadać ostatniej migracji w migrations.js.
+     */
+    static SCHEMA_VERSION = 4;
+
+    /**
+     * Helpers - Storage Adapter
+     * Domyślny adapter wybieramy z CONFIG.STORAGE.ADAPTER,
+     * z możliwością nadpisania w localStorage (np. sandbox na IndexedDB).
+     * Adapter jest opakowany kolejką (write-queue.js), która łączy operacje z jednego ticku w batch.
+     */
+    static get storage() {
+        if (!this._storage) {
+            let name = CONFIG.STORAGE.ADAPTER;
+            try {
+                name = localStorage.getItem(CONFIG.STORAGE.OVERRIDE_KEY) || name;
+            } catch (_) {}
+            this._storage = this.withWriteGuard(this.withWriteQueue(createStorageAdapter(name)));
+            console.log(`✓ Storage adapter: ${this._storage.name}`);
+        }
+        return this._storage;
+    }
+
+    static setStorageAdapter(adapter) {
+        this._storage = this.withWriteGuard(this.withWriteQueue(adapter));
+        this.clearCache();
+    }
+
+    /**
+     * Cały batch ma jedną politykę ponowień - tę samą co pojedyncze żądania
+     */
+    static withWriteQueue(adapter) {
+        return new WriteQueue(adapter, fn => this.retryRequest(fn), adapter.requiresGapi ? this.scheduler : null);
+    }
+
+    /**
+     * Limity zapytań Google Sheets (token bucket per użytkownik, kolejki priorytetowe)
+     */
+    static get scheduler() {
+        if (!this._scheduler) {
+            this._scheduler = new RequestScheduler();
+        }
+        return this._scheduler;
+    }
+
+    /**
+     * Żądania zlecone synchronicznie wewnątrz fn ustępują pierwszeństwa akcjom użytkownika
+     */
+    static inBackground(fn) {
+        return this.scheduler.withLane('background', fn);
+    }
+
+    /**
+     * Każda operacja zapisu adaptera najpierw sprawdza wersję schematu arkusza.
+     * Kolejkę priorytetową (inBackground) odczytujemy przed pierwszym await -
+     * po nim withLane już się zakończył i zapis trafiłby do kolejki 'interactive'.
+     */
+    static withWriteGuard(adapter) {
+        const guarded = Object.create(adapter);
+        ['append', 'update', 'clear', 'deleteRows', 'createSheet'].forEach(method => {
+            if (typeof adapter[method] !== 'function') return;
+            guarded[method] = async (...args) => {
+                const scheduler = adapter.scheduler;
+                const lane = scheduler ? scheduler.currentLane : null;
+                await this.assertWritable();
+                return lane
+                    ? scheduler.withLane(lane, () => adapter[method](...args))
+                    : adapter[method](...args);
+            };
+        });
+        // Odczyty też delegujemy jawnie - kolejka trzyma stan w swojej instancji (this = adapter)
+        ['get', 'listSheets'].forEach(method => {
+            if (typeof adapter[method] !== 'function') return;
+            guarded[method] = (...args) => adapter[method](...args);
+        });
+        return guarded;
+    }
+
+    /**
+     * Helpers - Schema Version (arkusz Meta)
+     */
+    static async loadMeta(useCache = true) {
+        const cacheKey = 'meta';
+
+        if (useCache) {
+            const cached = this.getCache(cacheKey);
+            if (cached) return cached;
+        }
+
+        const meta = {};
+        try {
+            const rows = await this.storage.get(CONFIG.SHEETS.META, 'A2:D');
+            rows.filter(row => row[0]).forEach(row => {
+                const entry = { value: row[1] || '', updatedAt: row[2] || '', updatedBy: row[3] || '' };
+                // Dwie karty migrujące jednocześnie mogą dopisać ten sam klucz - wygrywa najnowszy wpis
+                const existing = meta[row[0]];
+                if (!existing || entry.updatedAt >= existing.updatedAt) {
+                    meta[row[0]] = entry;
+                }
+            });
+        } catch (error) {
+            // Świeży arkusz bez zakładki Meta = schemat w wersji 0
+            console.warn('Arkusz Meta nie istnieje lub jest niedostępny:', error);
+        }
+
+        this.setCache(cacheKey, meta);
+        return meta;
+    }
+
+    static async saveMeta(key, value) {
+        const sheet = CONFIG.SHEETS.META;
+        const values = [[key, String(value), new Date().toISOString(), AuthService.getUserEmail() || '']];
+
+        return this.retryRequest(async () => {
+            try {
+                await this.updateRowById(sheet, 'D', key, values);
+            } catch (error) {
+                if (error instanceof DuplicateRecordError) {
+                    // Klucz zdublowany przez równoległy zapis - nadpisujemy wszystkie kopie
+                    for (const row of error.details.rows) {
+                        await this.verifyRow(sheet, row, key);
+                        await this.storage.update(sheet, `A${row}:D${row}`, values);
+                    }
+                } else if (error instanceof RecordNotFoundError) {
+                    await this.storage.append(sheet, 'A:D', values);
+                } else {
+                    throw error;
+                }
+            }
+            this.clearCache('meta');
+        });
+    }
+
+    static async getSheetSchemaVersion(useCache = true) {
+        const meta = await this.loadMeta(useCache);
+        return parseInt((meta.schemaVersion && meta.schemaVersion.value) || '0', 10) || 0;
+    }
+
+    /**
+     * Blokuje zapis, gdy arkusz został zmigrowany przez nowszą wersję aplikacji
+     */
+    static async assertWritable() {
+        const sheetVersion = await this.getSheetSchemaVersion();
+        if (sheetVersion > this.SCHEMA_VERSION) {
+            throw new SchemaVersionError(sheetVersion, this.SCHEMA_VERSION);
+        }
+    }
 
     /**
      * Helpers - Cache Management
+     * Pamięć (Map, TTL) + trwała kopia w IndexedDB (persistent-cache.js).
+     * Loadery czytają przez readCache(): świeży wpis z pamięci albo kopia z IndexedDB,
+     * która jest od razu zwracana i odświeżana w tle (stale-while-revalidate).
+     * Gdy odświeżone dane różnią się od kopii, słuchacze onCacheUpdate dostają nową wartość.
      */
     static setCache(key, value) {
         this.cache.set(key, { 
             value, 
             timestamp: Date.now() 
         });
+        if (this.persistsCache()) {
+            PersistentCache.set(this.persistentKey(key), value);
+        }
     }
 
     static getCache(key) {
@@ -35,34 +206,528 @@ export class DataService {
         return item.value;
     }
 
+    /**
+     * Odczyt dla loaderów
+     * @param {string} key
+     * @param {Function} refetch - () => Promise, ten sam loader z useCache = false
+     * @returns {Promise<*>} Wartość z cache lub null (trzeba pobrać z arkusza)
+     */
+    static async readCache(key, refetch) {
+        const cached = this.getCache(key);
+        if (cached) return cached;
+        if (!this.persistsCache()) return null;
+
+        const record = await PersistentCache.get(this.persistentKey(key));
+        if (!record) return null;
+
+        // Kopia trafia do pamięci, żeby kolejne odczyty na tej stronie nie czytały IndexedDB
+        this.cache.set(key, { value: record.value, timestamp: Date.now() });
+        this.revalidate(key, record.value, refetch);
+        return record.value;
+    }
+
+    static revalidate(key, stale, refetch) {
+        if (this.revalidating.has(key)) return;
+
+        const task = (async () => {
+            try {
+                const fresh = await this.inBackground(refetch);
+                // Loader bez setCache (np. brak arkusza -> []) nie jest odpowiedzią z arkusza
+                const item = this.cache.get(key);
+                if (!item || item.value !== fresh) return;
+                if (JSON.stringify(fresh) !== JSON.stringify(stale)) {
+                    this.notifyCacheUpdate(key, fresh);
+                }
+            } catch (error) {
+                console.warn(`Odświeżenie cache "${key}" nie powiodło się:`, error);
+            } finally {
+                this.revalidating.delete(key);
+            }
+        })();
+        this.revalidating.set(key, task);
+    }
+
+    /**
+     * @param {Function} listener - (key, value) => void, wywoływany gdy dane z arkusza różnią się od kopii
+     * @returns {Function} Wyrejestrowanie
+     */
+    static onCacheUpdate(listener) {
+        this.cacheListeners.add(listener);
+        return () => this.cacheListeners.delete(listener);
+    }
+
+    static notifyCacheUpdate(key, value) {
+        this.cacheListeners.forEach(listener => {
+            try {
+                listener(key, value);
+            } catch (e) {
+                console.warn('Cache listener error:', e);
+            }
+        });
+    }
+
     static clearCache(key = null) {
         if (key) {
             this.cache.delete(key);
+            if (this.persistsCache()) PersistentCache.delete(this.persistentKey(key));
         } else {
             this.cache.clear();
+            if (this.persistsCache()) PersistentCache.clear();
         }
     }
 
+    /**
+     * Lokalny adapter (IndexedDB) nie potrzebuje drugiej kopii danych
+     */
+    static persistsCache() {
+        return !!this.storage.requiresGapi;
+    }
+
+    static persistentKey(key) {
+        return `${this.storage.name}:${key}`;
+    }
+
     /**
      * Helpers - Retry Logic
+     * Błędy API są klasyfikowane (classifyError) na typy z errors.js:
+     * - 429 / 5xx / brak sieci - ponawiamy z backoffem, honorując Retry-After,
+     * - 401 - jednorazowe odświeżenie tokenu (AuthService.refreshToken) i powtórka,
+     * - pozostałe 4xx - bez ponawiania.
+     * Błędy domenowe (CrmError: adresowanie, konflikty, schemat) nie są ponawiane.
      */
     static async retryRequest(fn, maxRetries = CONFIG.API.MAX_RETRIES) {
-        for (let i = 0; i < maxRetries; i++) {
+        let tokenRefreshed = false;
+
+        for (let attempt = 0; ; attempt++) {
             try {
                 return await fn();
-            } catch (error) {
-                if (i === maxRetries - 1) {
+            } catch (raw) {
+                const error = this.classifyError(raw);
+
+                // error.retried - batch z kolejki zapisów już wyczerpał swoje ponowienia
+                if (error?.retried) throw error;
+
+                if (error instanceof AuthError && !tokenRefreshed) {
+                    tokenRefreshed = true;
+                    try {
+                        await AuthService.refreshToken();
+                    } catch (refreshError) {
+                        console.warn('Nie udało się odświeżyć tokenu:', refreshError);
+                        throw error;
+                    }
+                    console.warn('⚠️ Token odświeżony - ponawiam żądanie');
+                    continue;
+                }
+
+                const retryable = error instanceof ApiError ? error.retryable : !(error instanceof CrmError);
+                if (!retryable || attempt >= maxRetries - 1) {
                     throw error;
                 }
-                
-                // Exponential backoff
-                const delay = CONFIG.API.RETRY_DELAY * Math.pow(2, i);
-                console.warn(`⚠️ Retry ${i + 1}/${maxRetries} za ${delay}ms...`);
+
+                const backoff = CONFIG.API.RETRY_DELAY * Math.pow(2, attempt);
+                const delay = Math.min(error.retryAfter ?? backoff, CONFIG.API.MAX_RETRY_DELAY);
+                console.warn(`⚠️ Retry ${attempt + 1}/${maxRetries} za ${delay}ms...`);
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
         }
     }
 
+    /**
+     * Zamienia błąd gapi / fetch na ApiError; inne błędy zwraca bez zmian
+     */
+    static classifyError(error) {
+        if (error instanceof CrmError || !error || typeof error !== 'object') return error;
+
+        if (error instanceof TypeError && /fetch|network/i.test(error.message)) {
+            return new NetworkError({ cause: error.message });
+        }
+
+        // gapi: { status, headers, result: { error: { code, message, status } } }
+        const apiError = error.result && error.result.error;
+        const status = error.status ?? (apiError && apiError.code);
+        if (typeof status !== 'number') return error;
+
+        const message = (apiError && apiError.message) || error.statusText || '';
+        const details = { apiMessage: message, retryAfter: this.parseRetryAfter(error.headers) };
+
+        let typed;
+        if (status === 0 || status === -1) typed = new NetworkError(details);
+        else if (status === 401) typed = new AuthError(details);
+        else if (status === 403) typed = new PermissionError(details);
+        else if (status === 429) typed = new RateLimitError(details);
+        else if (status >= 500) typed = new ServerError(status, details);
+        else if (status >= 400) typed = new RequestError(status, message, details);
+        else return error;
+
+        typed.cause = error;
+        return typed;
+    }
+
+    /**
+     * Retry-After: liczba sekund albo data HTTP
+     * @returns {number|null} Opóźnienie w ms
+     */
+    static parseRetryAfter(headers) {
+        if (!headers) return null;
+        const value = headers['retry-after'] ?? headers['Retry-After'];
+        if (value === undefined || value === null || value === '') return null;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Helpers - Row Addressing
+     * Zapisy adresujemy po kolumnie id, nie po pozycji w tablicy w pamięci.
+     * Przed każdym zapisem szukamy wiersza w arkuszu i sprawdzamy,
+     * że nadal zawiera ten sam rekord - w przeciwnym razie rzucamy błąd.
+     */
+    static async findRowById(sheet, id) {
+        if (!id) {
+            throw new RecordNotFoundError(sheet, id);
+        }
+
+        const rows = await this.storage.get(sheet, 'A2:A');
+        const matches = [];
+        rows.forEach((row, i) => {
+            if ((row[0] || '') === id) matches.push(i + 2);
+        });
+
+        if (matches.length === 0) {
+            throw new RecordNotFoundError(sheet, id);
+        }
+        if (matches.length > 1) {
+            throw new DuplicateRecordError(sheet, id, matches);
+        }
+        return matches[0];
+    }
+
+    static async verifyRow(sheet, row, id) {
+        const rows = await this.storage.get(sheet, `A${row}:A${row}`);
+        const actualId = (rows[0] && rows[0][0]) || '';
+        if (actualId !== id) {
+            throw new RowMismatchError(sheet, id, row, actualId);
+        }
+    }
+
+    static async updateRowById(sheet, lastColumn, id, values) {
+        const row = await this.findRowById(sheet, id);
+        await this.verifyRow(sheet, row, id);
+        await this.storage.update(sheet, `A${row}:${lastColumn}${row}`, values);
+        return row;
+    }
+
+    static async clearRowById(sheet, lastColumn, id) {
+        const row = await this.findRowById(sheet, id);
+        await this.verifyRow(sheet, row, id);
+        await this.storage.clear(sheet, `A${row}:${lastColumn}${row}`);
+        return row;
+    }
+
+    /**
+     * Helpers - Optimistic Concurrency
+     * Firmy, Kontakty, Activities i Deale mają kolumny version + updatedAt.
+     * Update przechodzi tylko wtedy, gdy wersja w arkuszu jest tą samą,
+     * którą użytkownik edytował - inaczej rzucamy ConflictError (yours vs. theirs).
+     * Zwraca rekord z arkusza sprzed zapisu (podstawa różnicy pól w historii).
+     */
+    static async updateVersionedRow(sheet, lastColumn, entity, values, fromRow) {
+        const row = await this.findRowById(sheet, entity.id);
+        const current = await this.storage.get(sheet, `A${row}:${lastColumn}${row}`);
+        const actualId = (current[0] && current[0][0]) || '';
+        if (actualId !== entity.id) {
+            throw new RowMismatchError(sheet, entity.id, row, actualId);
+        }
+
+        const theirs = fromRow(current[0]);
+        if (theirs.version !== (entity.version || 0)) {
+            throw new ConflictError(sheet, entity.id, entity, theirs);
+        }
+
+        await this.storage.update(sheet, `A${row}:${lastColumn}${row}`, values);
+        return theirs;
+    }
+
+    static parseVersion(value) {
+        return parseInt(value || '0', 10) || 0;
+    }
+
+    /**
+     * Helpers - Soft Delete
+     * Usunięcie ustawia deletedAt/deletedBy zamiast czyścić wiersz.
+     * Loadery ukrywają takie rekordy; Kosz w ustawieniach pozwala je przywrócić
+     * albo usunąć trwale (dane zależne według CONFIG.DELETE_RULES).
+     */
+    static TRASH_TYPES = {
+        company: { sheet: CONFIG.SHEETS.COMPANIES, lastColumn: 'M', deletedColumn: 'L', cacheKey: 'companies', fromRow: 'companyFromRow', event: 'company' },
+        contact: { sheet: CONFIG.SHEETS.CONTACTS, lastColumn: 'J', deletedColumn: 'I', cacheKey: 'contacts', fromRow: 'contactFromRow', event: 'contact' },
+        activity: { sheet: CONFIG.SHEETS.ACTIVITIES, lastColumn: 'R', deletedColumn: 'M', cacheKey: 'activities', fromRow: 'activityFromRow', event: 'activity' },
+        companyTag: { sheet: CONFIG.SHEETS.TAGS_COMPANIES, lastColumn: 'H', deletedColumn: 'G', cacheKey: 'tags_companies', fromRow: 'tagFromRow', event: 'tag', entityType: 'company' },
+        contactTag: { sheet: CONFIG.SHEETS.TAGS_CONTACTS, lastColumn: 'H', deletedColumn: 'G', cacheKey: 'tags_contacts', fromRow: 'tagFromRow', event: 'tag', entityType: 'contact' },
+        deal: { sheet: CONFIG.SHEETS.DEALS, lastColumn: 'O', deletedColumn: 'N', cacheKey: 'deals', fromRow: 'dealFromRow', event: 'deal' }
+    };
+
+    static trashType(type) {
+        const def = this.TRASH_TYPES[type];
+        if (!def) throw new Error(`Nieznany typ rekordu: ${type}`);
+        return def;
+    }
+
+    /**
+     * Zdarzenie kosza, np. 'company:deleted' albo 'tag:restored' z entityType
+     */
+    static emitTrashEvent(type, action, id) {
+        const def = this.trashType(type);
+        EventBus.emit(`${def.event}:${action}`, def.entityType ? { entityType: def.entityType, id } : { id });
+    }
+
+    static async setDeletedMarker(type, id, deletedAt, deletedBy) {
+        const def = this.trashType(type);
+        const column = def.deletedColumn;
+        const nextColumn = indexToColumn(columnToIndex(column) + 1);
+
+        const row = await this.findRowById(def.sheet, id);
+        await this.verifyRow(def.sheet, row, id);
+        await this.storage.update(def.sheet, `${column}${row}:${nextColumn}${row}`, [[deletedAt, deletedBy]]);
+        this.clearCache(def.cacheKey);
+    }
+
+    static async softDelete(type, id) {
+        await this.assertDeletable(type, id);
+        await this.retryRequest(async () => {
+            await this.setDeletedMarker(type, id, new Date().toISOString(), AuthService.getUserEmail() || '');
+        });
+        this.emitTrashEvent(type, 'deleted', id);
+    }
+
+    /**
+     * TRASH - Load all soft-deleted records
+     * @returns {Promise<Object>} { company: [], contact: [], activity: [], companyTag: [], contactTag: [], deal: [] }
+     */
+    static async loadTrash() {
+        const types = Object.keys(this.TRASH_TYPES);
+        const lists = await Promise.all(types.map(type => this.retryRequest(async () => {
+            const def = this.TRASH_TYPES[type];
+            const rows = await this.storage.get(def.sheet, `A2:${def.lastColumn}`);
+            return rows
+                .filter(row => row[0])
+                .map(row => this[def.fromRow](row))
+                .filter(record => record.deletedAt);
+        })));
+
+        const trash = {};
+        types.forEach((type, i) => {
+            trash[type] = lists[i].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        });
+        return trash;
+    }
+
+    /**
+     * TRASH - Restore soft-deleted record
+     */
+    static async restoreFromTrash(type, id) {
+        await this.retryRequest(async () => {
+            await this.setDeletedMarker(type, id, '', '');
+            console.log('✓ Rekord przywrócony z kosza:', type, id);
+        });
+        this.emitTrashEvent(type, 'restored', id);
+    }
+
+    /**
+     * TRASH - Purge record permanently
+     * Najpierw stosuje CONFIG.DELETE_RULES do danych zależnych, potem czyści wiersz.
+     */
+    static async purgeFromTrash(type, id) {
+        const def = this.trashType(type);
+        await this.applyDeleteRules(type, id);
+
+        await this.retryRequest(async () => {
+            await this.clearRowById(def.sheet, def.lastColumn, id);
+            this.clearCache(def.cacheKey);
+            console.log('✓ Rekord trwale usunięty:', type, id);
+        });
+        this.emitTrashEvent(type, 'purged', id);
+    }
+
+    /**
+     * Helpers - Referential Integrity
+     * Wiersze zależne od firmy / kontaktu / etykiety:
+     * - column: kolumna z id rodzica,
+     * - entityType: dodatkowy warunek na kolumnę B (CustomFieldValues),
+     * - type: zależny rekord ma własne reguły (kaskada schodzi rekurencyjnie),
+     * - detachable: odwołanie można wyczyścić zamiast usuwać wiersz.
+     */
+    static DEPENDENTS = {
+        company: {
+            contacts: { label: 'Kontakty', sheet: CONFIG.SHEETS.CONTACTS, lastColumn: 'J', column: 'B', type: 'contact', detachable: true },
+            activities: { label: 'Aktywności', sheet: CONFIG.SHEETS.ACTIVITIES, lastColumn: 'R', column: 'F', type: 'activity', detachable: true },
+            tagRelations: { label: 'Przypisania etykiet firm', sheet: CONFIG.SHEETS.COMPANY_TAGS_RELATIONS, lastColumn: 'E', column: 'B' },
+            customFieldValues: { label: 'Wartości pól własnych', sheet: CONFIG.SHEETS.CUSTOM_FIELD_VALUES, lastColumn: 'F', column: 'C', entityType: 'company' },
+            history: { label: 'Historia firmy', sheet: CONFIG.SHEETS.HISTORY_COMPANIES, lastColumn: 'G', column: 'B' },
+            versions: { label: 'Wersje firmy', sheet: CONFIG.SHEETS.VERSIONS, lastColumn: 'G', column: 'C', entityType: 'company' },
+            deals: { label: 'Deale', sheet: CONFIG.SHEETS.DEALS, lastColumn: 'O', column: 'C', type: 'deal', detachable: true }
+        },
+        contact: {
+            activities: { label: 'Aktywności', sheet: CONFIG.SHEETS.ACTIVITIES, lastColumn: 'R', column: 'G', type: 'activity', detachable: true },
+            tagRelations: { label: 'Przypisania etykiet kontaktów', sheet: CONFIG.SHEETS.CONTACT_TAGS_RELATIONS, lastColumn: 'E', column: 'B' },
+            customFieldValues: { label: 'Wartości pól własnych', sheet: CONFIG.SHEETS.CUSTOM_FIELD_VALUES, lastColumn: 'F', column: 'C', entityType: 'contact' },
+            history: { label: 'Historia kontaktu', sheet: CONFIG.SHEETS.HISTORY_CONTACTS, lastColumn: 'G', column: 'B' },
+            versions: { label: 'Wersje kontaktu', sheet: CONFIG.SHEETS.VERSIONS, lastColumn: 'G', column: 'C', entityType: 'contact' }
+        },
+        companyTag: {
+            tagRelations: { label: 'Przypisania etykiet firm', sheet: CONFIG.SHEETS.COMPANY_TAGS_RELATIONS, lastColumn: 'E', column: 'C' }
+        },
+        contactTag: {
+            tagRelations: { label: 'Przypisania etykiet kontaktów', sheet: CONFIG.SHEETS.CONTACT_TAGS_RELATIONS, lastColumn: 'E', column: 'C' }
+        }
+    };
+
+    /**
+     * @returns {'cascade'|'detach'|'block'}
+     */
+    static deleteRule(type, key) {
+        const rule = (CONFIG.DELETE_RULES[type] || {})[key] || 'cascade';
+        if (rule === 'detach' && !this.DEPENDENTS[type][key].detachable) {
+            console.warn(`⚠️ Reguła detach nie dotyczy ${type}.${key} - używam cascade`);
+            return 'cascade';
+        }
+        return rule;
+    }
+
+    /**
+     * Podgląd skutków trwałego usunięcia (bez zapisu)
+     * @returns {Promise<Array<{sheet: string, label: string, rule: string, count: number}>>} Tylko niezerowe pozycje
+     */
+    static async previewDelete(type, id) {
+        const effects = new Map();
+        await this.collectDeleteEffects(type, id, new Map(), effects);
+        return Array.from(effects.values());
+    }
+
+    static async collectDeleteEffects(type, id, sheets, effects) {
+        for (const [key, dep] of Object.entries(this.DEPENDENTS[type] || {})) {
+            const rule = this.deleteRule(type, key);
+            const matches = await this.findDependentRows(dep, id, sheets);
+            if (!matches.length) continue;
+
+            const effectKey = `${dep.sheet}|${rule}`;
+            const effect = effects.get(effectKey) || { sheet: dep.sheet, label: dep.label, rule, count: 0 };
+            effect.count += matches.length;
+            effects.set(effectKey, effect);
+
+            if (rule === 'cascade' && dep.type) {
+                for (const match of matches) {
+                    await this.collectDeleteEffects(dep.type, match.values[0], sheets, effects);
+                }
+            }
+        }
+    }
+
+    /**
+     * Linie podglądu do okien potwierdzenia, np. "• Historia firmy: 12 do usunięcia".
+     * deferred - przenoszenie do kosza: reguły zadziałają dopiero przy trwałym usunięciu
+     */
+    static formatDeleteEffects(effects, deferred = false) {
+        const ruleText = deferred
+            ? { cascade: 'zostanie usuniętych', detach: 'zostanie odpiętych', block: 'zablokuje usunięcie' }
+            : { cascade: 'do usunięcia', detach: 'do odpięcia', block: 'blokuje usunięcie' };
+        return effects.map(e => `• ${e.label}: ${e.count} ${ruleText[e.rule] || e.rule}`).join('\n');
+    }
+
+    /**
+     * Rzuca DeleteBlockedError, jeśli któraś reguła 'block' trafia w powiązane dane
+     */
+    static async assertDeletable(type, id) {
+        const hasBlockRules = Object.values(CONFIG.DELETE_RULES).some(rules => Object.values(rules).includes('block'));
+        if (!hasBlockRules || !this.DEPENDENTS[type]) return [];
+
+        const effects = await this.previewDelete(type, id);
+        if (effects.some(e => e.rule === 'block')) {
+            throw new DeleteBlockedError(type, id, effects);
+        }
+        return effects;
+    }
+
+    /**
+     * Stosuje reguły do danych zależnych (przed wyczyszczeniem wiersza rodzica)
+     */
+    static async applyDeleteRules(type, id) {
+        if (!this.DEPENDENTS[type]) return [];
+
+        const effects = await this.previewDelete(type, id);
+        if (effects.some(e => e.rule === 'block')) {
+            throw new DeleteBlockedError(type, id, effects);
+        }
+
+        await this.executeDeleteRules(type, id, new Map());
+        if (effects.length) this.clearCache();
+        return effects;
+    }
+
+    static async executeDeleteRules(type, id, sheets) {
+        for (const [key, dep] of Object.entries(this.DEPENDENTS[type] || {})) {
+            const rule = this.deleteRule(type, key);
+            const matches = await this.findDependentRows(dep, id, sheets);
+            if (!matches.length) continue;
+
+            if (rule === 'detach') {
+                await Promise.all(matches.map(match => this.retryRequest(async () => {
+                    await this.verifyMatchedRow(dep.sheet, dep.lastColumn, match);
+                    await this.storage.update(dep.sheet, `${dep.column}${match.row}:${dep.column}${match.row}`, [['']]);
+                    match.values[columnToIndex(dep.column)] = '';
+                })));
+            } else if (rule === 'cascade') {
+                if (dep.type) {
+                    for (const match of matches) {
+                        await this.executeDeleteRules(dep.type, match.values[0], sheets);
+                    }
+                }
+                await Promise.all(matches.map(match => this.retryRequest(async () => {
+                    await this.verifyMatchedRow(dep.sheet, dep.lastColumn, match);
+                    await this.storage.clear(dep.sheet, `A${match.row}:${dep.lastColumn}${match.row}`);
+                    match.values.length = 0;
+                })));
+            }
+            console.log(`✓ ${dep.label}: ${matches.length} (${rule})`);
+        }
+    }
+
+    /**
+     * Wiersze arkusza zależnego wskazujące na rodzica.
+     * sheets - odczyty współdzielone w ramach jednej operacji (każdy arkusz czytamy raz);
+     * zapisy aktualizują te same tablice, więc kolejne dopasowania widzą zmiany.
+     */
+    static async findDependentRows(dep, parentId, sheets) {
+        if (!sheets.has(dep.sheet)) {
+            sheets.set(dep.sheet, this.retryRequest(() => this.storage.get(dep.sheet, `A2:${dep.lastColumn}`)));
+        }
+        const rows = await sheets.get(dep.sheet);
+        const index = columnToIndex(dep.column);
+
+        return rows
+            .map((values, i) => ({ row: i + 2, values }))
+            .filter(({ values }) => values[index] === parentId &&
+                (!dep.entityType || (values[1] || '').toLowerCase() === dep.entityType));
+    }
+
+    /**
+     * Wiersz musi wyglądać tak samo jak przy odczycie - inaczej ktoś go w międzyczasie zmienił
+     */
+    static async verifyMatchedRow(sheet, lastColumn, match) {
+        const current = (await this.storage.get(sheet, `A${match.row}:${lastColumn}${match.row}`))[0] || [];
+        const normalize = (row) => {
+            const copy = row.map(cell => (cell ?? '').toString());
+            while (copy.length && copy[copy.length - 1] === '') copy.pop();
+            return JSON.stringify(copy);
+        };
+        if (normalize(current) !== normalize(match.values)) {
+            throw new RowMismatchError(sheet, match.values[0] || '', match.row, current[0] || '');
+        }
+    }
+
     /**
      * Helpers - ID Generator
      */
@@ -77,7 +742,7 @@ export class DataService {
         const cacheKey = 'companies';
         
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadCompanies(false));
             if (cached) {
                 console.log('✓ Firmy załadowane z cache');
                 return cached;
@@ -85,23 +750,8 @@ export class DataService {
         }
 
         return this.retryRequest(async () => {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.COMPANIES}!A2:I`,
-            });
-
-            const rows = response.result.values || [];
-            const companies = rows.map(row => ({
-                id: row[0] || this.generateId(),
-                name: row[1] || '',
-                industry: row[2] || '',
-                notes: row[3] || '',
-                website: row[4] || '',
-                phone: row[5] || '',
-                city: row[6] || '',
-                country: row[7] || '',
-                domain: row[8] || ''
-            })).filter(c => c.name);
+            const rows = await this.storage.get(CONFIG.SHEETS.COMPANIES, 'A2:M');
+            const companies = rows.map(row => this.companyFromRow(row)).filter(c => c.name && !c.deletedAt);
 
             this.setCache(cacheKey, companies);
             console.log(`✓ Załadowano ${companies.length} firm`);
@@ -109,10 +759,35 @@ export class DataService {
         });
     }
 
+    /**
+     * COMPANIES - Row mapping (A:M)
+     */
+    static companyFromRow(row) {
+        return {
+            id: row[0] || this.generateId(),
+            name: row[1] || '',
+            industry: row[2] || '',
+            notes: row[3] || '',
+            website: row[4] || '',
+            phone: row[5] || '',
+            city: row[6] || '',
+            country: row[7] || '',
+            domain: row[8] || '',
+            version: this.parseVersion(row[9]),
+            updatedAt: row[10] || '',
+            deletedAt: row[11] || '',
+            deletedBy: row[12] || ''
+        };
+    }
+
     /**
      * COMPANIES - Save (Create or Update)
+     * Przy update company.version musi odpowiadać wersji w arkuszu (ConflictError).
+     * Po zapisie nowa wersja i updatedAt są ustawiane na przekazanym obiekcie.
      */
-    static async saveCompany(company, rowIndex = null) {
+    static async saveCompany(company, isUpdate = false) {
+        const version = isUpdate ? (company.version || 0) + 1 : 1;
+        const updatedAt = new Date().toISOString();
         const values = [[
             company.id || this.generateId(),
             company.name || '',
@@ -122,53 +797,47 @@ export class DataService {
             company.phone || '',
             company.city || '',
             company.country || '',
-            company.domain || ''
+            company.domain || '',
+            version,
+            updatedAt
         ]];
 
-        const isUpdate = rowIndex !== null;
-        const range = isUpdate
-            ? `${CONFIG.SHEETS.COMPANIES}!A${rowIndex + 2}:I${rowIndex + 2}`
-            : `${CONFIG.SHEETS.COMPANIES}!A:I`;
+        const sheet = CONFIG.SHEETS.COMPANIES;
+        let before = null;
 
-        return this.retryRequest(async () => {
+        const id = await this.retryRequest(async () => {
             if (isUpdate) {
-                await gapi.client.sheets.spreadsheets.values.update({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                before = await this.updateVersionedRow(sheet, 'K', company, values, row => this.companyFromRow(row));
                 console.log('✓ Firma zaktualizowana:', company.name);
             } else {
-                await gapi.client.sheets.spreadsheets.values.append({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                await this.storage.append(sheet, 'A:K', values);
                 console.log('✓ Firma dodana:', company.name);
             }
 
+            company.version = version;
+            company.updatedAt = updatedAt;
+
             this.clearCache('companies');
             return values[0][0]; // Return ID
         });
+
+        if (before) {
+            await this.snapshotVersion('company', before);
+            const changes = this.diffFields('company', before, company);
+            await this.logFieldChanges('company', id, 'Firma zaktualizowana', changes);
+            EventBus.emit('company:updated', { company, changes });
+        } else {
+            EventBus.emit('company:created', { company });
+        }
+        return id;
     }
 
     /**
-     * COMPANIES - Delete
+     * COMPANIES - Delete (soft, do kosza)
      */
-    static async deleteCompany(rowIndex) {
-        const range = `${CONFIG.SHEETS.COMPANIES}!A${rowIndex + 2}:I${rowIndex + 2}`;
-
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range
-            });
-            
-            this.clearCache('companies');
-            console.log('✓ Firma usunięta');
-        });
+    static async deleteCompany(id) {
+        await this.softDelete('company', id);
+        console.log('✓ Firma usunięta (kosz)');
     }
 
     /**
@@ -178,7 +847,7 @@ export class DataService {
         const cacheKey = 'contacts';
         
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadContacts(false));
             if (cached) {
                 console.log('✓ Kontakty załadowane z cache');
                 return cached;
@@ -186,20 +855,8 @@ export class DataService {
         }
 
         return this.retryRequest(async () => {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.CONTACTS}!A2:F`,
-            });
-
-            const rows = response.result.values || [];
-            const contacts = rows.map(row => ({
-                id: row[0] || this.generateId(),
-                companyId: row[1] || '',
-                name: row[2] || '',
-                position: row[3] || '',
-                email: row[4] || '',
-                phone: row[5] || ''
-            })).filter(c => c.name);
+            const rows = await this.storage.get(CONFIG.SHEETS.CONTACTS, 'A2:J');
+            const contacts = rows.map(row => this.contactFromRow(row)).filter(c => c.name && !c.deletedAt);
 
             this.setCache(cacheKey, contacts);
             console.log(`✓ Załadowano ${contacts.length} kontaktów`);
@@ -207,63 +864,78 @@ export class DataService {
         });
     }
 
+    /**
+     * CONTACTS - Row mapping (A:J)
+     */
+    static contactFromRow(row) {
+        return {
+            id: row[0] || this.generateId(),
+            companyId: row[1] || '',
+            name: row[2] || '',
+            position: row[3] || '',
+            email: row[4] || '',
+            phone: row[5] || '',
+            version: this.parseVersion(row[6]),
+            updatedAt: row[7] || '',
+            deletedAt: row[8] || '',
+            deletedBy: row[9] || ''
+        };
+    }
+
     /**
      * CONTACTS - Save (Create or Update)
+     * Wersjonowanie jak w saveCompany
      */
-    static async saveContact(contact, rowIndex = null) {
+    static async saveContact(contact, isUpdate = false) {
+        const version = isUpdate ? (contact.version || 0) + 1 : 1;
+        const updatedAt = new Date().toISOString();
         const values = [[
             contact.id || this.generateId(),
             contact.companyId || '',
             contact.name || '',
             contact.position || '',
             contact.email || '',
-            contact.phone || ''
+            contact.phone || '',
+            version,
+            updatedAt
         ]];
 
-        const isUpdate = rowIndex !== null;
-        const range = isUpdate
-            ? `${CONFIG.SHEETS.CONTACTS}!A${rowIndex + 2}:F${rowIndex + 2}`
-            : `${CONFIG.SHEETS.CONTACTS}!A:F`;
+        const sheet = CONFIG.SHEETS.CONTACTS;
+        let before = null;
 
-        return this.retryRequest(async () => {
+        const id = await this.retryRequest(async () => {
             if (isUpdate) {
-                await gapi.client.sheets.spreadsheets.values.update({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                before = await this.updateVersionedRow(sheet, 'H', contact, values, row => this.contactFromRow(row));
                 console.log('✓ Kontakt zaktualizowany:', contact.name);
             } else {
-                await gapi.client.sheets.spreadsheets.values.append({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                await this.storage.append(sheet, 'A:H', values);
                 console.log('✓ Kontakt dodany:', contact.name);
             }
 
+            contact.version = version;
+            contact.updatedAt = updatedAt;
+
             this.clearCache('contacts');
             return values[0][0]; // Return ID
         });
+
+        if (before) {
+            await this.snapshotVersion('contact', before);
+            const changes = this.diffFields('contact', before, contact);
+            await this.logFieldChanges('contact', id, 'Kontakt zaktualizowany', changes);
+            EventBus.emit('contact:updated', { contact, changes });
+        } else {
+            EventBus.emit('contact:created', { contact });
+        }
+        return id;
     }
 
     /**
-     * CONTACTS - Delete
+     * CONTACTS - Delete (soft, do kosza)
      */
-    static async deleteContact(rowIndex) {
-        const range = `${CONFIG.SHEETS.CONTACTS}!A${rowIndex + 2}:F${rowIndex + 2}`;
-
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range
-            });
-            
-            this.clearCache('contacts');
-            console.log('✓ Kontakt usunięty');
-        });
+    static async deleteContact(id) {
+        await this.softDelete('contact', id);
+        console.log('✓ Kontakt usunięty (kosz)');
     }
 
     /**
@@ -273,7 +945,7 @@ export class DataService {
         const cacheKey = companyId ? `history_company_${companyId}` : 'history_companies';
         
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadCompanyHistory(companyId, false));
             if (cached) {
                 console.log('✓ Historia firm załadowana z cache');
                 return cached;
@@ -281,12 +953,7 @@ export class DataService {
         }
 
         return this.retryRequest(async () => {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.HISTORY_COMPANIES}!A2:G`,
-            });
-
-            const rows = response.result.values || [];
+            const rows = await this.storage.get(CONFIG.SHEETS.HISTORY_COMPANIES, 'A2:G');
             let history = rows.map(row => ({
                 id: row[0] || '',
                 companyId: row[1] || '',
@@ -315,7 +982,7 @@ export class DataService {
         const cacheKey = contactId ? `history_contact_${contactId}` : 'history_contacts';
         
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadContactHistory(contactId, false));
             if (cached) {
                 console.log('✓ Historia kontaktów załadowana z cache');
                 return cached;
@@ -323,12 +990,7 @@ export class DataService {
         }
 
         return this.retryRequest(async () => {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.HISTORY_CONTACTS}!A2:G`,
-            });
-
-            const rows = response.result.values || [];
+            const rows = await this.storage.get(CONFIG.SHEETS.HISTORY_CONTACTS, 'A2:G');
             let history = rows.map(row => ({
                 id: row[0] || '',
                 contactId: row[1] || '',
@@ -379,63 +1041,219 @@ export class DataService {
             entry.meta
         ]];
 
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.HISTORY_COMPANIES}!A:G`,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
+        await this.retryRequest(async () => {
+            await this.storage.append(CONFIG.SHEETS.HISTORY_COMPANIES, 'A:G', values);
 
             this.clearCache(`history_company_${companyId}`);
             this.clearCache('history_companies');
             console.log('✓ Historia firmy zapisana:', content);
-            return entry.id;
         });
+
+        EventBus.emit('history:logged', { entityType: 'company', entityId: companyId, entry });
+        return entry.id;
+    }
+
+    /**
+     * HISTORY - Log (Contacts)
+     */
+    static async logContactHistory(contactId, type, content, meta = '') {
+        if (!contactId) {
+            console.warn('Brak contactId - historia nie została zapisana');
+            return;
+        }
+
+        const entry = {
+            id: this.generateId(),
+            contactId,
+            type, // 'note' lub 'event'
+            timestamp: new Date().toISOString(),
+            user: AuthService.getUserDisplayText() || AuthService.getUserEmail() || '',
+            content,
+            meta
+        };
+
+        const values = [[
+            entry.id,
+            entry.contactId,
+            entry.type,
+            entry.timestamp,
+            entry.user,
+            entry.content,
+            entry.meta
+        ]];
+
+        await this.retryRequest(async () => {
+            await this.storage.append(CONFIG.SHEETS.HISTORY_CONTACTS, 'A:G', values);
+
+            this.clearCache(`history_contact_${contactId}`);
+            this.clearCache('history_contacts');
+            console.log('✓ Historia kontaktu zapisana:', content);
+        });
+
+        EventBus.emit('history:logged', { entityType: 'contact', entityId: contactId, entry });
+        return entry.id;
+    }
+
+    /**
+     * HISTORY - Audit Trail
+     * Zapis firmy / kontaktu (także pól własnych) dopisuje do historii zdarzenie z różnicą pól.
+     * meta = JSON { changes: [{ field, label, from, to }] }; pola własne mają field = 'cf:<key>'.
+     */
+    static AUDIT_FIELDS = {
+        company: { name: 'Nazwa', industry: 'Branża', website: 'Strona WWW', phone: 'Telefon', city: 'Miasto', country: 'Kraj', domain: 'Domena', notes: 'Notatki' },
+        contact: { companyId: 'Firma', name: 'Imię i nazwisko', position: 'Stanowisko', email: 'Email', phone: 'Telefon' }
+    };
+
+    static diffFields(entityType, before, after) {
+        const labels = this.AUDIT_FIELDS[entityType];
+        return Object.keys(labels)
+            .map(field => ({ field, label: labels[field], from: (before[field] ?? '').toString(), to: (after[field] ?? '').toString() }))
+            .filter(change => change.from !== change.to);
+    }
+
+    /**
+     * Historia jest dodatkiem do zapisu - jej błąd nie może cofnąć udanej zmiany
+     */
+    static async logFieldChanges(entityType, entityId, content, changes, extraMeta = {}) {
+        if (!changes.length) return;
+        const meta = JSON.stringify({ ...extraMeta, changes });
+        try {
+            if (entityType === 'company') {
+                await this.logCompanyHistory(entityId, 'event', content, meta);
+            } else if (entityType === 'contact') {
+                await this.logContactHistory(entityId, 'event', content, meta);
+            }
+        } catch (error) {
+            console.warn('Nie zapisano historii zmian:', error);
+        }
+    }
+
+    /**
+     * @returns {Array<{field, label, from, to}>} Różnica pól z meta wpisu historii ([] dla zwykłych wpisów)
+     */
+    static historyChanges(entry) {
+        if (!entry || !entry.meta) return [];
+        try {
+            const meta = JSON.parse(entry.meta);
+            return Array.isArray(meta.changes) ? meta.changes : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * VERSIONS - Snapshots
+     * Każdy zapis firmy / kontaktu odkłada w arkuszu Versions stan sprzed zapisu:
+     * snapshotJson = { record, customFields }. Przywrócenie to zwykły zapis,
+     * więc stan sprzed przywrócenia też trafia do wersji.
+     */
+    static async snapshotVersion(entityType, before) {
+        try {
+            let customFields = {};
+            try {
+                customFields = (await this.loadCustomFieldValues(entityType, before.id)).values || {};
+            } catch (error) {
+                console.warn('Wersja bez pól własnych:', error);
+            }
+
+            const record = { ...before };
+            delete record.deletedAt;
+            delete record.deletedBy;
+
+            const values = [[
+                this.generateId(),
+                entityType,
+                before.id,
+                (before.version || 0).toString(),
+                new Date().toISOString(),
+                AuthService.getUserDisplayText() || AuthService.getUserEmail() || '',
+                JSON.stringify({ record, customFields })
+            ]];
+
+            await this.retryRequest(() => this.storage.append(CONFIG.SHEETS.VERSIONS, 'A:G', values));
+            this.clearCache('versions');
+        } catch (error) {
+            // Wersja jest zabezpieczeniem - jej błąd nie może cofnąć udanego zapisu
+            console.warn('Nie zapisano wersji rekordu:', error);
+        }
+    }
+
+    static async loadAllVersions(useCache = true) {
+        const cacheKey = 'versions';
+        if (useCache) {
+            const cached = await this.readCache(cacheKey, () => this.loadAllVersions(false));
+            if (cached) return cached;
+        }
+
+        return this.retryRequest(async () => {
+            const rows = await this.storage.get(CONFIG.SHEETS.VERSIONS, 'A2:G');
+            const versions = rows.filter(row => row[0] && row[2]).map(row => {
+                let snapshot = { record: {}, customFields: {} };
+                try {
+                    snapshot = { ...snapshot, ...JSON.parse(row[6] || '{}') };
+                } catch (_) {}
+                return {
+                    id: row[0],
+                    entityType: (row[1] || '').toLowerCase(),
+                    entityId: row[2],
+                    version: this.parseVersion(row[3]),
+                    timestamp: row[4] || '',
+                    user: row[5] || '',
+                    record: snapshot.record || {},
+                    customFields: snapshot.customFields || {}
+                };
+            });
+
+            this.setCache(cacheKey, versions);
+            return versions;
+        });
+    }
+
+    /**
+     * @returns {Promise<Array>} Wersje rekordu, od najnowszej
+     */
+    static async loadVersions(entityType, entityId, useCache = true) {
+        const versions = await this.loadAllVersions(useCache);
+        return versions
+            .filter(v => v.entityType === entityType && v.entityId === entityId)
+            .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
     }
 
     /**
-     * HISTORY - Log (Contacts)
+     * Przywraca rekord (i jego pola własne) do stanu z wersji
+     * @param {Object} current - Bieżący rekord (jego version jest podstawą kontroli konfliktu)
+     * @returns {Promise<Object>} Zapisany rekord
      */
-    static async logContactHistory(contactId, type, content, meta = '') {
-        if (!contactId) {
-            console.warn('Brak contactId - historia nie została zapisana');
-            return;
-        }
-
-        const entry = {
-            id: this.generateId(),
-            contactId,
-            type, // 'note' lub 'event'
-            timestamp: new Date().toISOString(),
-            user: AuthService.getUserDisplayText() || AuthService.getUserEmail() || '',
-            content,
-            meta
+    static async restoreVersion(entityType, current, versionEntry) {
+        const restored = {
+            ...current,
+            ...versionEntry.record,
+            id: current.id,
+            version: current.version
         };
 
-        const values = [[
-            entry.id,
-            entry.contactId,
-            entry.type,
-            entry.timestamp,
-            entry.user,
-            entry.content,
-            entry.meta
-        ]];
+        if (entityType === 'company') {
+            await this.saveCompany(restored, true);
+        } else if (entityType === 'contact') {
+            await this.saveContact(restored, true);
+        } else {
+            throw new CrmError(`Typ ${entityType} nie ma wersji`, { entityType });
+        }
 
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.HISTORY_CONTACTS}!A:G`,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
+        const customFields = versionEntry.customFields || {};
+        if (Object.keys(customFields).length) {
+            await this.saveCustomFieldValues(entityType, current.id, customFields);
+        }
 
-            this.clearCache(`history_contact_${contactId}`);
-            this.clearCache('history_contacts');
-            console.log('✓ Historia kontaktu zapisana:', content);
-            return entry.id;
-        });
+        const content = `Przywrócono wersję z ${this.formatDateTime(versionEntry.timestamp)}`;
+        if (entityType === 'company') {
+            await this.logCompanyHistory(current.id, 'event', content);
+        } else {
+            await this.logContactHistory(current.id, 'event', content);
+        }
+
+        EventBus.emit('version:restored', { entityType, entityId: current.id, version: versionEntry });
+        return restored;
     }
 
     /**
@@ -495,6 +1313,22 @@ export class DataService {
 
     // ============= TAGS FOR COMPANIES =============
 
+    /**
+     * TAGS - Row mapping (A:H), wspólne dla etykiet firm i kontaktów
+     */
+    static tagFromRow(row) {
+        return {
+            id: row[0] || this.generateId(),
+            name: row[1] || '',
+            color: row[2] || '#3b82f6',
+            description: row[3] || '',
+            createdBy: row[4] || '',
+            createdAt: row[5] || '',
+            deletedAt: row[6] || '',
+            deletedBy: row[7] || ''
+        };
+    }
+
 /**
  * TAGS (Companies) - Load all company tags
  */
@@ -502,7 +1336,7 @@ export class DataService {
         const cacheKey = 'tags_companies';
     
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadCompanyTags(false));
             if (cached) {
                 console.log('✓ Etykiety firm załadowane z cache');
                 return cached;
@@ -510,20 +1344,8 @@ export class DataService {
         }
 
         return this.retryRequest(async () => {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.TAGS_COMPANIES}!A2:F`,
-            });
-
-            const rows = response.result.values || [];
-            const tags = rows.map(row => ({
-                id: row[0] || this.generateId(),
-                name: row[1] || '',
-                color: row[2] || '#3b82f6',
-                description: row[3] || '',
-                createdBy: row[4] || '',
-                createdAt: row[5] || ''
-            })).filter(t => t.name);
+            const rows = await this.storage.get(CONFIG.SHEETS.TAGS_COMPANIES, 'A2:H');
+            const tags = rows.map(row => this.tagFromRow(row)).filter(t => t.name && !t.deletedAt);
 
             this.setCache(cacheKey, tags);
             console.log(`✓ Załadowano ${tags.length} etykiet firm`);
@@ -534,7 +1356,7 @@ export class DataService {
     /**
      * TAGS (Companies) - Save (Create or Update)
      */
-    static async saveCompanyTag(tag, rowIndex = null) {
+    static async saveCompanyTag(tag, isUpdate = false) {
         const values = [[
             tag.id || this.generateId(),
             tag.name || '',
@@ -544,50 +1366,31 @@ export class DataService {
             tag.createdAt || new Date().toISOString()
         ]];
 
-        const isUpdate = rowIndex !== null;
-        const range = isUpdate
-            ? `${CONFIG.SHEETS.TAGS_COMPANIES}!A${rowIndex + 2}:F${rowIndex + 2}`
-            : `${CONFIG.SHEETS.TAGS_COMPANIES}!A:F`;
+        const sheet = CONFIG.SHEETS.TAGS_COMPANIES;
 
-        return this.retryRequest(async () => {
+        const id = await this.retryRequest(async () => {
             if (isUpdate) {
-                await gapi.client.sheets.spreadsheets.values.update({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                await this.updateRowById(sheet, 'F', values[0][0], values);
                 console.log('✓ Etykieta firmy zaktualizowana:', tag.name);
             } else {
-                await gapi.client.sheets.spreadsheets.values.append({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                await this.storage.append(sheet, 'A:F', values);
                 console.log('✓ Etykieta firmy dodana:', tag.name);
             }
 
             this.clearCache('tags_companies');
             return values[0][0]; // Return ID
         });
+
+        EventBus.emit(isUpdate ? 'tag:updated' : 'tag:created', { entityType: 'company', tag: { ...tag, id } });
+        return id;
     }
 
     /**
-     * TAGS (Companies) - Delete
+     * TAGS (Companies) - Delete (soft, do kosza)
      */
-    static async deleteCompanyTag(rowIndex) {
-        const range = `${CONFIG.SHEETS.TAGS_COMPANIES}!A${rowIndex + 2}:F${rowIndex + 2}`;
-
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range
-            });
-        
-            this.clearCache('tags_companies');
-            console.log('✓ Etykieta firmy usunięta');
-        });
+    static async deleteCompanyTag(id) {
+        await this.softDelete('companyTag', id);
+        console.log('✓ Etykieta firmy usunięta (kosz)');
     }
 
     /**
@@ -597,7 +1400,7 @@ export class DataService {
         const cacheKey = companyId ? `company_tags_${companyId}` : 'company_tag_relations';
     
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadCompanyTagRelations(companyId, false));
             if (cached) {
                 console.log('✓ Relacje etykiet firm załadowane z cache');
                 return cached;
@@ -605,12 +1408,7 @@ export class DataService {
         }
 
         return this.retryRequest(async () => {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.COMPANY_TAGS_RELATIONS}!A2:E`,
-            });
-
-            const rows = response.result.values || [];
+            const rows = await this.storage.get(CONFIG.SHEETS.COMPANY_TAGS_RELATIONS, 'A2:E');
             let relations = rows.map(row => ({
                 id: row[0] || '',
                 companyId: row[1] || '',
@@ -641,36 +1439,33 @@ export class DataService {
             new Date().toISOString()
         ]];
 
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.COMPANY_TAGS_RELATIONS}!A:E`,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
+        const relationId = await this.retryRequest(async () => {
+            await this.storage.append(CONFIG.SHEETS.COMPANY_TAGS_RELATIONS, 'A:E', values);
 
             this.clearCache(`company_tags_${companyId}`);
             this.clearCache('company_tag_relations');
             console.log('✓ Etykieta przypisana do firmy');
             return values[0][0];
         });
+
+        EventBus.emit('tag:assigned', { entityType: 'company', entityId: companyId, tagId, relationId });
+        return relationId;
     }
 
     /**
      * COMPANY-TAG RELATIONS - Remove tag from company
      */
-    static async removeTagFromCompany(relationId, rowIndex) {
-        const range = `${CONFIG.SHEETS.COMPANY_TAGS_RELATIONS}!A${rowIndex + 2}:E${rowIndex + 2}`;
+    static async removeTagFromCompany(relationId) {
+        const sheet = CONFIG.SHEETS.COMPANY_TAGS_RELATIONS;
 
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range
-            });
+        await this.retryRequest(async () => {
+            await this.clearRowById(sheet, 'E', relationId);
         
             this.clearCache('company_tag_relations');
             console.log('✓ Etykieta usunięta z firmy');
         });
+
+        EventBus.emit('tag:removed', { entityType: 'company', relationId });
     }
 
     // ============= TAGS FOR CONTACTS =============
@@ -682,7 +1477,7 @@ export class DataService {
         const cacheKey = 'tags_contacts';
     
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadContactTags(false));
             if (cached) {
                 console.log('✓ Etykiety kontaktów załadowane z cache');
                 return cached;
@@ -690,20 +1485,8 @@ export class DataService {
         }
 
         return this.retryRequest(async () => {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.TAGS_CONTACTS}!A2:F`,
-            });
-
-            const rows = response.result.values || [];
-            const tags = rows.map(row => ({
-                id: row[0] || this.generateId(),
-                name: row[1] || '',
-                color: row[2] || '#3b82f6',
-                description: row[3] || '',
-                createdBy: row[4] || '',
-                createdAt: row[5] || ''
-            })).filter(t => t.name);
+            const rows = await this.storage.get(CONFIG.SHEETS.TAGS_CONTACTS, 'A2:H');
+            const tags = rows.map(row => this.tagFromRow(row)).filter(t => t.name && !t.deletedAt);
 
             this.setCache(cacheKey, tags);
             console.log(`✓ Załadowano ${tags.length} etykiet kontaktów`);
@@ -714,7 +1497,7 @@ export class DataService {
     /**
      * TAGS (Contacts) - Save (Create or Update)
      */
-    static async saveContactTag(tag, rowIndex = null) {
+    static async saveContactTag(tag, isUpdate = false) {
         const values = [[
             tag.id || this.generateId(),
             tag.name || '',
@@ -724,50 +1507,31 @@ export class DataService {
             tag.createdAt || new Date().toISOString()
         ]];
 
-        const isUpdate = rowIndex !== null;
-        const range = isUpdate
-            ? `${CONFIG.SHEETS.TAGS_CONTACTS}!A${rowIndex + 2}:F${rowIndex + 2}`
-            : `${CONFIG.SHEETS.TAGS_CONTACTS}!A:F`;
+        const sheet = CONFIG.SHEETS.TAGS_CONTACTS;
 
-        return this.retryRequest(async () => {
+        const id = await this.retryRequest(async () => {
             if (isUpdate) {
-                await gapi.client.sheets.spreadsheets.values.update({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                await this.updateRowById(sheet, 'F', values[0][0], values);
                 console.log('✓ Etykieta kontaktu zaktualizowana:', tag.name);
             } else {
-                await gapi.client.sheets.spreadsheets.values.append({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                await this.storage.append(sheet, 'A:F', values);
                 console.log('✓ Etykieta kontaktu dodana:', tag.name);
             }
 
             this.clearCache('tags_contacts');
             return values[0][0]; // Return ID
         });
+
+        EventBus.emit(isUpdate ? 'tag:updated' : 'tag:created', { entityType: 'contact', tag: { ...tag, id } });
+        return id;
     }
 
     /**
-     * TAGS (Contacts) - Delete
+     * TAGS (Contacts) - Delete (soft, do kosza)
      */
-    static async deleteContactTag(rowIndex) {
-        const range = `${CONFIG.SHEETS.TAGS_CONTACTS}!A${rowIndex + 2}:F${rowIndex + 2}`;
-
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range
-            });
-        
-            this.clearCache('tags_contacts');
-            console.log('✓ Etykieta kontaktu usunięta');
-        });
+    static async deleteContactTag(id) {
+        await this.softDelete('contactTag', id);
+        console.log('✓ Etykieta kontaktu usunięta (kosz)');
     }
 
     /**
@@ -777,7 +1541,7 @@ export class DataService {
         const cacheKey = contactId ? `contact_tags_${contactId}` : 'contact_tag_relations';
     
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadContactTagRelations(contactId, false));
             if (cached) {
                 console.log('✓ Relacje etykiet kontaktów załadowane z cache');
                 return cached;
@@ -785,12 +1549,7 @@ export class DataService {
         }
 
         return this.retryRequest(async () => {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.CONTACT_TAGS_RELATIONS}!A2:E`,
-            });
-
-            const rows = response.result.values || [];
+            const rows = await this.storage.get(CONFIG.SHEETS.CONTACT_TAGS_RELATIONS, 'A2:E');
             let relations = rows.map(row => ({
                 id: row[0] || '',
                 contactId: row[1] || '',
@@ -821,36 +1580,33 @@ export class DataService {
             new Date().toISOString()
         ]];
 
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.CONTACT_TAGS_RELATIONS}!A:E`,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
+        const relationId = await this.retryRequest(async () => {
+            await this.storage.append(CONFIG.SHEETS.CONTACT_TAGS_RELATIONS, 'A:E', values);
 
             this.clearCache(`contact_tags_${contactId}`);
             this.clearCache('contact_tag_relations');
             console.log('✓ Etykieta przypisana do kontaktu');
             return values[0][0];
         });
+
+        EventBus.emit('tag:assigned', { entityType: 'contact', entityId: contactId, tagId, relationId });
+        return relationId;
     }
 
     /**
      * CONTACT-TAG RELATIONS - Remove tag from contact
      */
-    static async removeTagFromContact(relationId, rowIndex) {
-        const range = `${CONFIG.SHEETS.CONTACT_TAGS_RELATIONS}!A${rowIndex + 2}:E${rowIndex + 2}`;
+    static async removeTagFromContact(relationId) {
+        const sheet = CONFIG.SHEETS.CONTACT_TAGS_RELATIONS;
 
-        return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range
-            });
+        await this.retryRequest(async () => {
+            await this.clearRowById(sheet, 'E', relationId);
         
             this.clearCache('contact_tag_relations');
             console.log('✓ Etykieta usunięta z kontaktu');
         });
+
+        EventBus.emit('tag:removed', { entityType: 'contact', relationId });
     }
 
     // ============= UTILITY METHODS =============
@@ -903,7 +1659,7 @@ export class DataService {
         const cacheKey = `user_prefs_${email}`;
         
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadUserPreferences(email, false));
             if (cached) {
                 console.log('✓ Preferencje użytkownika załadowane z cache');
                 return cached;
@@ -912,12 +1668,7 @@ export class DataService {
 
         return this.retryRequest(async () => {
             try {
-                const response = await gapi.client.sheets.spreadsheets.values.get({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range: `${CONFIG.SHEETS.USER_PREFERENCES}!A2:D`,
-                });
-
-                const rows = response.result.values || [];
+                const rows = await this.storage.get(CONFIG.SHEETS.USER_PREFERENCES, 'A2:D');
                 const userPref = rows.find(row => row[0] && row[0].toLowerCase() === email.toLowerCase());
                 
                 if (!userPref) {
@@ -952,12 +1703,7 @@ export class DataService {
 
         return this.retryRequest(async () => {
             // Najpierw sprawdź czy użytkownik już ma preferencje
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.USER_PREFERENCES}!A2:D`,
-            });
-
-            const rows = response.result.values || [];
+            const rows = await this.storage.get(CONFIG.SHEETS.USER_PREFERENCES, 'A2:D');
             const userIndex = rows.findIndex(row => row[0] && row[0].toLowerCase() === email.toLowerCase());
             const isUpdate = userIndex !== -1;
 
@@ -969,23 +1715,18 @@ export class DataService {
             ]];
 
             if (isUpdate) {
-                // Update existing row
-                const range = `${CONFIG.SHEETS.USER_PREFERENCES}!A${userIndex + 2}:D${userIndex + 2}`;
-                await gapi.client.sheets.spreadsheets.values.update({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                // Update existing row (kluczem arkusza jest email w kolumnie A)
+                const row = userIndex + 2;
+                const check = await this.storage.get(CONFIG.SHEETS.USER_PREFERENCES, `A${row}:A${row}`);
+                const actualEmail = (check[0] && check[0][0]) || '';
+                if (actualEmail.toLowerCase() !== email.toLowerCase()) {
+                    throw new RowMismatchError(CONFIG.SHEETS.USER_PREFERENCES, email, row, actualEmail);
+                }
+                await this.storage.update(CONFIG.SHEETS.USER_PREFERENCES, `A${row}:D${row}`, values);
                 console.log('✓ Preferencje użytkownika zaktualizowane');
             } else {
                 // Append new row
-                await gapi.client.sheets.spreadsheets.values.append({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range: `${CONFIG.SHEETS.USER_PREFERENCES}!A:D`,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                await this.storage.append(CONFIG.SHEETS.USER_PREFERENCES, 'A:D', values);
                 console.log('✓ Preferencje użytkownika utworzone');
             }
 
@@ -1009,7 +1750,7 @@ export class DataService {
         const cacheKey = 'activities';
         
         if (useCache) {
-            const cached = this.getCache(cacheKey);
+            const cached = await this.readCache(cacheKey, () => this.loadActivities(false));
             if (cached) {
                 console.log('✓ Aktywności załadowane z cache');
                 return cached;
@@ -1018,24 +1759,8 @@ export class DataService {
 
         return this.retryRequest(async () => {
             try {
-                const response = await gapi.client.sheets.spreadsheets.values.get({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range: `${CONFIG.SHEETS.ACTIVITIES}!A2:J`,
-                });
-
-                const rows = response.result.values || [];
-                const activities = rows.map(row => ({
-                    id: row[0] || '',
-                    type: row[1] || '',
-                    title: row[2] || '',
-                    date: row[3] || '',
-                    notes: row[4] || '',
-                    companyId: row[5] || '',
-                    contactId: row[6] || '',
-                    status: row[7] || 'planned',
-                    createdBy: row[8] || '',
-                    createdAt: row[9] || ''
-                })).filter(a => a.id);
+                const rows = await this.storage.get(CONFIG.SHEETS.ACTIVITIES, 'A2:R');
+                const activities = rows.map(row => this.activityFromRow(row)).filter(a => a.id && !a.deletedAt);
 
                 this.setCache(cacheKey, activities);
                 console.log(`✓ Załadowano ${activities.length} aktywności`);
@@ -1047,10 +1772,67 @@ export class DataService {
         });
     }
 
+    /**
+     * ACTIVITIES - Series (wszystkie wystąpienia aktywności cyklicznych, także usunięte)
+     * Usunięte wystąpienie nadal zajmuje swój termin w serii - inaczej uzupełnianie
+     * serii utworzyłoby je ponownie.
+     * @returns {Promise<Object<string, Array>>} seriesId -> wystąpienia
+     */
+    static async loadActivitySeries() {
+        return this.retryRequest(async () => {
+            const rows = await this.storage.get(CONFIG.SHEETS.ACTIVITIES, 'A2:R');
+            const series = {};
+            rows.map(row => this.activityFromRow(row)).filter(a => a.id && a.seriesId).forEach(activity => {
+                (series[activity.seriesId] = series[activity.seriesId] || []).push(activity);
+            });
+            return series;
+        });
+    }
+
+    /**
+     * ACTIVITIES - Row mapping (A:R)
+     */
+    static activityFromRow(row) {
+        return {
+            id: row[0] || '',
+            type: row[1] || '',
+            title: row[2] || '',
+            date: row[3] || '',
+            notes: row[4] || '',
+            companyId: row[5] || '',
+            contactId: row[6] || '',
+            status: row[7] || 'planned',
+            createdBy: row[8] || '',
+            createdAt: row[9] || '',
+            version: this.parseVersion(row[10]),
+            updatedAt: row[11] || '',
+            deletedAt: row[12] || '',
+            deletedBy: row[13] || '',
+            recurrence: this.parseRecurrence(row[14]),
+            seriesId: row[15] || '',
+            occurrenceDate: row[16] || '',
+            reminders: (row[17] || '').toString().split(',').map(v => parseInt(v, 10)).filter(m => m > 0) // minuty przed terminem
+        };
+    }
+
+    static parseRecurrence(value) {
+        if (!value) return null;
+        try {
+            const rule = JSON.parse(value);
+            return rule && rule.freq ? rule : null;
+        } catch (e) {
+            console.warn('Nieprawidłowa reguła powtarzania:', value);
+            return null;
+        }
+    }
+
     /**
      * ACTIVITIES - Save (Create or Update)
+     * Wersjonowanie jak w saveCompany
      */
-    static async saveActivity(activity, rowIndex = null) {
+    static async saveActivity(activity, isUpdate = false) {
+        const version = isUpdate ? (activity.version || 0) + 1 : 1;
+        const updatedAt = new Date().toISOString();
         const values = [[
             activity.id || this.generateId(),
             activity.type || '',
@@ -1061,53 +1843,260 @@ export class DataService {
             activity.contactId || '',
             activity.status || 'planned',
             activity.createdBy || AuthService.getUserEmail() || '',
-            activity.createdAt || new Date().toISOString()
+            activity.createdAt || new Date().toISOString(),
+            version,
+            updatedAt,
+            // deletedAt/deletedBy bez zmian (null) - zapis nie może przywrócić rekordu z kosza
+            isUpdate ? null : '',
+            isUpdate ? null : '',
+            activity.recurrence ? JSON.stringify(activity.recurrence) : '',
+            activity.seriesId || '',
+            activity.occurrenceDate || '',
+            (activity.reminders || []).join(',')
         ]];
 
-        const isUpdate = rowIndex !== null;
-        const range = isUpdate
-            ? `${CONFIG.SHEETS.ACTIVITIES}!A${rowIndex + 2}:J${rowIndex + 2}`
-            : `${CONFIG.SHEETS.ACTIVITIES}!A:J`;
+        const sheet = CONFIG.SHEETS.ACTIVITIES;
+        let before = null;
 
-        return this.retryRequest(async () => {
+        const id = await this.retryRequest(async () => {
             if (isUpdate) {
-                await gapi.client.sheets.spreadsheets.values.update({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                before = await this.updateVersionedRow(sheet, 'R', activity, values, row => this.activityFromRow(row));
                 console.log('✓ Aktywność zaktualizowana');
             } else {
-                await gapi.client.sheets.spreadsheets.values.append({
-                    spreadsheetId: CONFIG.SHEET_ID,
-                    range,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values }
-                });
+                await this.storage.append(sheet, 'A:R', values);
                 console.log('✓ Aktywność dodana');
             }
 
+            activity.version = version;
+            activity.updatedAt = updatedAt;
+
             this.clearCache('activities');
             return values[0][0]; // Return ID
         });
+
+        EventBus.emit(isUpdate ? 'activity:updated' : 'activity:created', { activity });
+        const completed = CONFIG.ACTIVITIES.STATUSES.COMPLETED;
+        if (activity.status === completed && (!before || before.status !== completed)) {
+            EventBus.emit('activity:completed', { activity });
+        }
+        return id;
+    }
+
+    /**
+     * ACTIVITIES - Delete (soft, do kosza)
+     */
+    static async deleteActivity(id) {
+        await this.softDelete('activity', id);
+        console.log('✓ Aktywność usunięta (kosz)');
     }
 
+    // ============= PIPELINE =============
+
     /**
-     * ACTIVITIES - Delete
+     * PIPELINE STAGES - Load (posortowane wg order)
      */
-    static async deleteActivity(rowIndex) {
-        const range = `${CONFIG.SHEETS.ACTIVITIES}!A${rowIndex + 2}:J${rowIndex + 2}`;
+    static async loadPipelineStages(useCache = true) {
+        const cacheKey = 'pipeline_stages';
+
+        if (useCache) {
+            const cached = await this.readCache(cacheKey, () => this.loadPipelineStages(false));
+            if (cached) return cached;
+        }
 
         return this.retryRequest(async () => {
-            await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range
-            });
-            
-            this.clearCache('activities');
-            console.log('✓ Aktywność usunięta');
+            const rows = await this.storage.get(CONFIG.SHEETS.PIPELINE_STAGES, 'A2:G');
+            const stages = rows.map(row => ({
+                id: row[0] || '',
+                name: row[1] || '',
+                order: parseInt(row[2] || '0', 10) || 0,
+                color: row[3] || '#64748b',
+                kind: (row[4] || 'open').toLowerCase(), // open | won | lost
+                createdAt: row[5] || '',
+                updatedAt: row[6] || ''
+            })).filter(s => s.id && s.name);
+
+            stages.sort((a, b) => (a.order - b.order) || a.name.localeCompare(b.name, 'pl'));
+            this.setCache(cacheKey, stages);
+            console.log(`✓ Załadowano ${stages.length} etapów lejka`);
+            return stages;
+        });
+    }
+
+    /**
+     * PIPELINE STAGES - Save (Create or Update)
+     */
+    static async savePipelineStage(stage, isUpdate = false) {
+        const now = new Date().toISOString();
+        const values = [[
+            stage.id || this.generateId(),
+            stage.name || '',
+            (stage.order ?? 0).toString(),
+            stage.color || '#64748b',
+            stage.kind || 'open',
+            stage.createdAt || now,
+            now
+        ]];
+
+        const sheet = CONFIG.SHEETS.PIPELINE_STAGES;
+
+        return this.retryRequest(async () => {
+            if (isUpdate) {
+                await this.updateRowById(sheet, 'G', values[0][0], values);
+            } else {
+                await this.storage.append(sheet, 'A:G', values);
+            }
+
+            this.clearCache('pipeline_stages');
+            return values[0][0];
+        });
+    }
+
+    /**
+     * PIPELINE STAGES - Delete (trwale; etap z dealami nie może zniknąć)
+     */
+    static async deletePipelineStage(id) {
+        const deals = (await this.loadDeals(false)).filter(d => d.stageId === id);
+        if (deals.length) {
+            throw new CrmError(`Etap ma przypisane deale (${deals.length}) - przenieś je najpierw do innego etapu.`, { id, count: deals.length });
+        }
+
+        return this.retryRequest(async () => {
+            await this.clearRowById(CONFIG.SHEETS.PIPELINE_STAGES, 'G', id);
+            this.clearCache('pipeline_stages');
+        });
+    }
+
+    /**
+     * PIPELINE STAGES - Domyślny lejek (CONFIG.PIPELINE.DEFAULT_STAGES)
+     */
+    static async createDefaultPipelineStages() {
+        const stages = CONFIG.PIPELINE.DEFAULT_STAGES.map((stage, i) => ({ ...stage, order: (i + 1) * 10 }));
+        for (const stage of stages) {
+            await this.savePipelineStage(stage);
+        }
+        return this.loadPipelineStages(false);
+    }
+
+    /**
+     * DEALS - Load
+     */
+    static async loadDeals(useCache = true) {
+        const cacheKey = 'deals';
+
+        if (useCache) {
+            const cached = await this.readCache(cacheKey, () => this.loadDeals(false));
+            if (cached) {
+                console.log('✓ Deale załadowane z cache');
+                return cached;
+            }
+        }
+
+        return this.retryRequest(async () => {
+            const rows = await this.storage.get(CONFIG.SHEETS.DEALS, 'A2:O');
+            const deals = rows.map(row => this.dealFromRow(row)).filter(d => d.id && !d.deletedAt);
+
+            this.setCache(cacheKey, deals);
+            console.log(`✓ Załadowano ${deals.length} deali`);
+            return deals;
+        });
+    }
+
+    /**
+     * DEALS - Row mapping (A:O); contactIds zapisane jako lista rozdzielona przecinkami
+     */
+    static dealFromRow(row) {
+        return {
+            id: row[0] || '',
+            name: row[1] || '',
+            companyId: row[2] || '',
+            contactIds: (row[3] || '').split(',').map(id => id.trim()).filter(Boolean),
+            value: parseFloat(row[4] || '0') || 0,
+            currency: row[5] || CONFIG.PIPELINE.DEFAULT_CURRENCY,
+            expectedCloseDate: row[6] || '',
+            owner: row[7] || '',
+            stageId: row[8] || '',
+            notes: row[9] || '',
+            createdAt: row[10] || '',
+            version: this.parseVersion(row[11]),
+            updatedAt: row[12] || '',
+            deletedAt: row[13] || '',
+            deletedBy: row[14] || ''
+        };
+    }
+
+    /**
+     * DEALS - Save (Create or Update)
+     * Wersjonowanie jak w saveCompany. Nowy deal i każda zmiana etapu trafiają do historii firmy
+     * (meta.dealId pozwala odfiltrować historię etapów jednego deala).
+     */
+    static async saveDeal(deal, isUpdate = false) {
+        const version = isUpdate ? (deal.version || 0) + 1 : 1;
+        const updatedAt = new Date().toISOString();
+        const values = [[
+            deal.id || this.generateId(),
+            deal.name || '',
+            deal.companyId || '',
+            (deal.contactIds || []).join(','),
+            (Number(deal.value) || 0).toString(),
+            deal.currency || CONFIG.PIPELINE.DEFAULT_CURRENCY,
+            deal.expectedCloseDate || '',
+            deal.owner || AuthService.getUserEmail() || '',
+            deal.stageId || '',
+            deal.notes || '',
+            deal.createdAt || new Date().toISOString(),
+            version,
+            updatedAt
+        ]];
+
+        const sheet = CONFIG.SHEETS.DEALS;
+        let before = null;
+
+        const id = await this.retryRequest(async () => {
+            if (isUpdate) {
+                before = await this.updateVersionedRow(sheet, 'M', deal, values, row => this.dealFromRow(row));
+                console.log('✓ Deal zaktualizowany:', deal.name);
+            } else {
+                await this.storage.append(sheet, 'A:M', values);
+                console.log('✓ Deal dodany:', deal.name);
+            }
+
+            deal.id = values[0][0];
+            deal.version = version;
+            deal.updatedAt = updatedAt;
+
+            this.clearCache('deals');
+            return values[0][0]; // Return ID
         });
+
+        EventBus.emit(isUpdate ? 'deal:updated' : 'deal:created', { deal });
+        if (!before || before.stageId !== deal.stageId) {
+            await this.logDealStageChange(deal, before ? before.stageId : '');
+            EventBus.emit('deal:stageChanged', { deal, from: before ? before.stageId : '', to: deal.stageId });
+        }
+        return id;
+    }
+
+    static async logDealStageChange(deal, fromStageId) {
+        let names = {};
+        try {
+            (await this.loadPipelineStages()).forEach(stage => { names[stage.id] = stage.name; });
+        } catch (_) {
+            names = {};
+        }
+
+        const stageName = (id) => id ? (names[id] || id) : '';
+        const content = fromStageId ? `Deal „${deal.name}” zmienił etap` : `Dodano deal „${deal.name}”`;
+        await this.logFieldChanges('company', deal.companyId, content,
+            [{ field: 'stageId', label: 'Etap', from: stageName(fromStageId), to: stageName(deal.stageId) }],
+            { dealId: deal.id });
+    }
+
+    /**
+     * DEALS - Delete (soft, do kosza)
+     */
+    static async deleteDeal(id) {
+        await this.softDelete('deal', id);
+        console.log('✓ Deal usunięty (kosz)');
     }
 
 
@@ -1124,19 +2113,13 @@ export class DataService {
 static async loadCustomFields(useCache = true) {
     const cacheKey = 'customFields';
     if (useCache) {
-        const cached = this.getCache(cacheKey);
+        const cached = await this.readCache(cacheKey, () => this.loadCustomFields(false));
         if (cached) return cached;
     }
 
     return this.retryRequest(async () => {
-        const response = await gapi.client.sheets.spreadsheets.values.get({
-            spreadsheetId: CONFIG.SHEET_ID,
-            range: `${CONFIG.SHEETS.CUSTOM_FIELDS}!A2:K`,
-        });
-
-        const rows = response.result.values || [];
-        const fields = rows.map((row, idx) => ({
-            rowIndex: idx,
+        const rows = await this.storage.get(CONFIG.SHEETS.CUSTOM_FIELDS, 'A2:K');
+        const fields = rows.map(row => ({
             id: row[0] || this.generateId(),
             entityType: (row[1] || 'both').toLowerCase(), // 'company' | 'contact' | 'both'
             key: row[2] || '',
@@ -1156,7 +2139,7 @@ static async loadCustomFields(useCache = true) {
     });
 }
 
-static async saveCustomField(field, rowIndex = null) {
+static async saveCustomField(field, isUpdate = false) {
     const now = new Date().toISOString();
     const id = field.id || this.generateId();
 
@@ -1174,26 +2157,13 @@ static async saveCustomField(field, rowIndex = null) {
         now,
     ]];
 
-    const isUpdate = rowIndex !== null && rowIndex !== undefined;
-    const range = isUpdate
-        ? `${CONFIG.SHEETS.CUSTOM_FIELDS}!A${rowIndex + 2}:K${rowIndex + 2}`
-        : `${CONFIG.SHEETS.CUSTOM_FIELDS}!A:K`;
+    const sheet = CONFIG.SHEETS.CUSTOM_FIELDS;
 
     return this.retryRequest(async () => {
         if (isUpdate) {
-            await gapi.client.sheets.spreadsheets.values.update({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
+            await this.updateRowById(sheet, 'K', id, values);
         } else {
-            await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
+            await this.storage.append(sheet, 'A:K', values);
         }
 
         this.clearCache('customFields');
@@ -1201,13 +2171,10 @@ static async saveCustomField(field, rowIndex = null) {
     });
 }
 
-static async deleteCustomField(rowIndex) {
-    const range = `${CONFIG.SHEETS.CUSTOM_FIELDS}!A${rowIndex + 2}:K${rowIndex + 2}`;
+static async deleteCustomField(id) {
+    const sheet = CONFIG.SHEETS.CUSTOM_FIELDS;
     return this.retryRequest(async () => {
-        await gapi.client.sheets.spreadsheets.values.clear({
-            spreadsheetId: CONFIG.SHEET_ID,
-            range
-        });
+        await this.clearRowById(sheet, 'K', id);
         this.clearCache('customFields');
     });
 }
@@ -1215,41 +2182,70 @@ static async deleteCustomField(rowIndex) {
 // ============================
 // CUSTOM FIELDS (Values)
 // valuesJson is a JSON object: { [key]: value }
+// Arkusz czytamy raz - indeks { 'entityType:entityId': { id, row, values, updatedAt, updatedBy } }
+// obsługuje zarówno pojedyncze rekordy, jak i kolumny pól własnych na listach.
 // ============================
 
-static async loadCustomFieldValues(entityType, entityId, useCache = true) {
-    const cacheKey = `customFieldValues:${entityType}:${entityId}`;
+static customFieldValuesKey(entityType, entityId) {
+    return `${(entityType || '').toLowerCase()}:${entityId || ''}`;
+}
+
+static async loadCustomFieldValuesIndex(useCache = true) {
+    const cacheKey = 'customFieldValues';
     if (useCache) {
-        const cached = this.getCache(cacheKey);
+        const cached = await this.readCache(cacheKey, () => this.loadCustomFieldValuesIndex(false));
         if (cached) return cached;
     }
 
     return this.retryRequest(async () => {
-        const response = await gapi.client.sheets.spreadsheets.values.get({
-            spreadsheetId: CONFIG.SHEET_ID,
-            range: `${CONFIG.SHEETS.CUSTOM_FIELD_VALUES}!A2:F`,
+        const rows = await this.storage.get(CONFIG.SHEETS.CUSTOM_FIELD_VALUES, 'A2:F');
+        const index = {};
+        rows.forEach((row, i) => {
+            if (!row[0] || !row[2]) return;
+            const key = this.customFieldValuesKey(row[1], row[2]);
+            // Zdublowany wpis (np. dwa równoległe zapisy) - wygrywa pierwszy, jak przy wyszukiwaniu wiersza
+            if (index[key]) return;
+
+            let values = {};
+            try {
+                values = row[3] ? JSON.parse(row[3]) : {};
+            } catch (_) {
+                values = {};
+            }
+            index[key] = { id: row[0], row: i + 2, values, updatedAt: row[4] || '', updatedBy: row[5] || '' };
         });
 
-        const rows = response.result.values || [];
-        const idx = rows.findIndex(r => (r[1] || '').toLowerCase() === (entityType || '').toLowerCase() && (r[2] || '') === entityId);
-        if (idx === -1) {
-            const result = { rowIndex: null, values: {} };
-            this.setCache(cacheKey, result);
-            return result;
-        }
+        this.setCache(cacheKey, index);
+        return index;
+    });
+}
 
-        const row = rows[idx];
-        let values = {};
-        try {
-            values = row[3] ? JSON.parse(row[3]) : {};
-        } catch (_) {
-            values = {};
-        }
+static async loadCustomFieldValues(entityType, entityId, useCache = true) {
+    const index = await this.loadCustomFieldValuesIndex(useCache);
+    const entry = index[this.customFieldValuesKey(entityType, entityId)];
+    if (!entry) return { id: null, values: {} };
+    return { id: entry.id, values: entry.values, updatedAt: entry.updatedAt, updatedBy: entry.updatedBy };
+}
 
-        const result = { rowIndex: idx, values, updatedAt: row[4] || '', updatedBy: row[5] || '' };
-        this.setCache(cacheKey, result);
-        return result;
+/**
+ * Wartości pól własnych wszystkich rekordów danego typu (kolumny na listach)
+ * @returns {Promise<Object<string, Object>>} entityId -> { [key]: value }
+ */
+static async loadCustomFieldValuesFor(entityType, useCache = true) {
+    return this.customFieldValuesOf(await this.loadCustomFieldValuesIndex(useCache), entityType);
+}
+
+/**
+ * Wyciąga z indeksu wartości jednego typu encji (także dla świeżych danych z onCacheUpdate)
+ * @returns {Object<string, Object>} entityId -> { [key]: value }
+ */
+static customFieldValuesOf(index, entityType) {
+    const prefix = this.customFieldValuesKey(entityType, '');
+    const result = {};
+    Object.keys(index || {}).forEach(key => {
+        if (key.startsWith(prefix)) result[key.slice(prefix.length)] = index[key].values;
     });
+    return result;
 }
 
 static async saveCustomFieldValues(entityType, entityId, valuesObj) {
@@ -1263,50 +2259,99 @@ static async saveCustomFieldValues(entityType, entityId, valuesObj) {
         updatedAt: now,
         updatedBy,
     };
+    const key = this.customFieldValuesKey(payload.entityType, payload.entityId);
+    const sheet = CONFIG.SHEETS.CUSTOM_FIELD_VALUES;
 
-    // Find existing row
-    const existing = await this.loadCustomFieldValues(payload.entityType, payload.entityId, false);
+    let before = {};
 
-    const values = [[
-        existing.rowIndex !== null ? undefined : payload.id,
-        payload.entityType,
-        payload.entityId,
-        payload.valuesJson,
-        payload.updatedAt,
-        payload.updatedBy,
-    ]];
+    const id = await this.retryRequest(async () => {
+        // Brak wpisu w indeksie z cache może oznaczać wpis dodany w innej karcie - sprawdzamy w arkuszu
+        let existing = (await this.loadCustomFieldValuesIndex())[key];
+        if (!existing) {
+            existing = (await this.loadCustomFieldValuesIndex(false))[key];
+        }
 
-    return this.retryRequest(async () => {
-        if (existing.rowIndex !== null) {
-            // keep existing id
-            const response = await gapi.client.sheets.spreadsheets.values.get({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.CUSTOM_FIELD_VALUES}!A${existing.rowIndex + 2}:A${existing.rowIndex + 2}`,
-            });
-            const existingId = (response.result.values && response.result.values[0] && response.result.values[0][0]) || payload.id;
-            values[0][0] = existingId;
-
-            const range = `${CONFIG.SHEETS.CUSTOM_FIELD_VALUES}!A${existing.rowIndex + 2}:F${existing.rowIndex + 2}`;
-            await gapi.client.sheets.spreadsheets.values.update({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
+        const values = [[
+            existing ? existing.id : payload.id, // keep existing id
+            payload.entityType,
+            payload.entityId,
+            payload.valuesJson,
+            payload.updatedAt,
+            payload.updatedBy,
+        ]];
+
+        let row = null;
+        if (existing) {
+            // Pozycja z indeksu - wiersz mógł się przesunąć, wtedy szukamy go po id.
+            // Wartości sprzed zapisu czytamy z arkusza, nie z indeksu (różnica w historii).
+            // Wpis dopisany w tej sesji nie zna jeszcze swojego wiersza (row = null)
+            row = existing.row;
+            let current = row ? (await this.storage.get(sheet, `A${row}:F${row}`))[0] || [] : [];
+            if ((current[0] || '') !== existing.id) {
+                row = await this.findRowById(sheet, existing.id);
+                current = (await this.storage.get(sheet, `A${row}:F${row}`))[0] || [];
+                if ((current[0] || '') !== existing.id) {
+                    throw new RowMismatchError(sheet, existing.id, row, current[0] || '');
+                }
+            }
+            try {
+                before = current[3] ? JSON.parse(current[3]) : {};
+            } catch (_) {
+                before = {};
+            }
+            await this.storage.update(sheet, `A${row}:F${row}`, values);
         } else {
             // append new
-            values[0][0] = payload.id;
-            await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: CONFIG.SHEET_ID,
-                range: `${CONFIG.SHEETS.CUSTOM_FIELD_VALUES}!A:F`,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
+            await this.storage.append(sheet, 'A:F', values);
         }
 
-        this.clearCache(`customFieldValues:${payload.entityType}:${payload.entityId}`);
-        return payload.id;
+        this.updateCachedCustomFieldValues(payload.entityType, payload.entityId, {
+            id: values[0][0],
+            row,
+            values: valuesObj || {},
+            updatedAt: payload.updatedAt,
+            updatedBy: payload.updatedBy
+        });
+        return values[0][0];
     });
+
+    await this.logFieldChanges(payload.entityType, payload.entityId, 'Pola własne zaktualizowane',
+        await this.diffCustomFieldValues(before, valuesObj || {}));
+    EventBus.emit('customFields:updated', { entityType: payload.entityType, entityId: payload.entityId, values: valuesObj || {} });
+    return id;
+}
+
+static async diffCustomFieldValues(before, after) {
+    let labels = {};
+    try {
+        (await this.loadCustomFields()).forEach(field => { labels[field.key] = field.name; });
+    } catch (_) {
+        labels = {};
+    }
+
+    const format = (value) => Array.isArray(value) ? value.join(', ') : (value ?? '').toString();
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .map(key => ({ field: `cf:${key}`, label: labels[key] || key, from: format(before[key]), to: format(after[key]) }))
+        .filter(change => change.from !== change.to);
+}
+
+/**
+ * Podmienia jeden wpis w indeksie z cache zamiast wyrzucać cały indeks
+ * (kolejny widok nie musi pobierać arkusza od nowa po edycji jednego rekordu).
+ * @param {Object} entry - Pola wpisu do nadpisania ({ id, row, values, updatedAt, updatedBy })
+ * @returns {Object|null} Zaktualizowany indeks; null, gdy indeksu nie ma w cache
+ *   albo brakuje w nim wpisu, a entry nie ma id (nie da się go utworzyć)
+ */
+static updateCachedCustomFieldValues(entityType, entityId, entry) {
+    const index = this.getCache('customFieldValues');
+    if (!index) return null;
+
+    const key = this.customFieldValuesKey(entityType, entityId);
+    if (!index[key] && !entry.id) return null;
+
+    const updated = { ...index, [key]: { ...(index[key] || {}), ...entry } };
+    this.setCache('customFieldValues', updated);
+    return updated;
 }
 
 }
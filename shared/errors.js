@@ -0,0 +1,186 @@
+/**
+ * SIMPLIFY CRM - Errors
+ * ======================
+ * Typowane błędy warstwy danych
+ * Pozwalają UI odróżnić problemy z danymi od zwykłych błędów sieci
+ */
+
+/**
+ * Bazowy błąd CRM
+ * details - dodatkowe dane diagnostyczne (arkusz, id, numer wiersza...)
+ */
+export class CrmError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.details = details;
+    }
+}
+
+/**
+ * Błąd adresowania wiersza - nie ponawiamy go automatycznie,
+ * bo kolejna próba trafiłaby w ten sam (niewłaściwy) stan arkusza
+ */
+export class RowLookupError extends CrmError {}
+
+/**
+ * Rekord o podanym id nie istnieje w arkuszu
+ */
+export class RecordNotFoundError extends RowLookupError {
+    constructor(sheet, id) {
+        super(`Nie znaleziono rekordu ${id} w arkuszu ${sheet}`, { sheet, id });
+    }
+}
+
+/**
+ * To samo id występuje w arkuszu więcej niż raz
+ */
+export class DuplicateRecordError extends RowLookupError {
+    constructor(sheet, id, rows) {
+        super(`Rekord ${id} występuje wielokrotnie w arkuszu ${sheet} (wiersze: ${rows.join(', ')})`, { sheet, id, rows });
+    }
+}
+
+/**
+ * Wiersz zmienił się między wyszukaniem a zapisem
+ */
+export class RowMismatchError extends RowLookupError {
+    constructor(sheet, id, row, actualId) {
+        super(`Wiersz ${row} w arkuszu ${sheet} zawiera ${actualId || '(pusty)'} zamiast ${id} - zapis przerwany`, { sheet, id, row, actualId });
+    }
+}
+
+/**
+ * Konflikt zapisu - rekord zmienił się w arkuszu od czasu, gdy użytkownik go wczytał
+ * yours - rekord, który próbowaliśmy zapisać; theirs - aktualny stan w arkuszu
+ */
+export class ConflictError extends CrmError {
+    constructor(sheet, id, yours, theirs) {
+        super(`Rekord ${id} został w międzyczasie zmieniony przez kogoś innego (wersja ${theirs.version}, edytowano wersję ${yours.version || 0})`, { sheet, id });
+        this.yours = yours;
+        this.theirs = theirs;
+    }
+}
+
+/**
+ * Arkusz ma nowszą wersję schematu niż kod - zapis mógłby uszkodzić dane
+ */
+export class SchemaVersionError extends CrmError {
+    constructor(sheetVersion, codeVersion) {
+        super(`Arkusz ma schemat w wersji ${sheetVersion}, a aplikacja obsługuje wersję ${codeVersion}. Odśwież stronę (Ctrl+F5), aby pobrać nową wersję aplikacji - zapis zablokowany.`, { sheetVersion, codeVersion });
+    }
+}
+
+/**
+ * Reguła 'block' w CONFIG.DELETE_RULES - rekord ma powiązane dane, usunięcie wstrzymane
+ * effects - podgląd z DataService.previewDelete()
+ */
+export class DeleteBlockedError extends CrmError {
+    constructor(type, id, effects) {
+        const blocking = effects.filter(e => e.rule === 'block' && e.count > 0);
+        super(`Nie można usunąć rekordu - ma powiązane dane: ${blocking.map(e => `${e.label} (${e.count})`).join(', ')}`, { type, id });
+        this.effects = effects;
+    }
+}
+
+/**
+ * Błąd odpowiedzi API (Google Sheets) po klasyfikacji w DataService.retryRequest
+ * status - kod HTTP (0 = brak połączenia), retryAfter - ms z nagłówka Retry-After (jeśli był)
+ * retryable - czy ponowienie ma sens
+ */
+export class ApiError extends CrmError {
+    constructor(message, status, details = {}) {
+        super(message, { status, ...details });
+        this.status = status;
+        this.retryAfter = details.retryAfter ?? null;
+    }
+
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * Brak połączenia z siecią / serwerem
+ */
+export class NetworkError extends ApiError {
+    constructor(details = {}) {
+        super('Brak połączenia z serwerem - sprawdź internet i spróbuj ponownie.', 0, details);
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * 429 - przekroczony limit zapytań do API
+ */
+export class RateLimitError extends ApiError {
+    constructor(details = {}) {
+        super('Przekroczono limit zapytań do Google Sheets - spróbuj ponownie za chwilę.', 429, details);
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * 5xx - chwilowy błąd po stronie Google
+ */
+export class ServerError extends ApiError {
+    constructor(status, details = {}) {
+        super(`Google Sheets chwilowo nie odpowiada (błąd ${status}) - spróbuj ponownie za chwilę.`, status, details);
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * 401 - token wygasł i nie udało się go odświeżyć
+ */
+export class AuthError extends ApiError {
+    constructor(details = {}) {
+        super('Sesja wygasła - zaloguj się ponownie.', 401, details);
+    }
+}
+
+/**
+ * 403 - brak dostępu do arkusza
+ */
+export class PermissionError extends ApiError {
+    constructor(details = {}) {
+        super('Brak uprawnień do arkusza CRM - poproś właściciela o dostęp.', 403, details);
+    }
+}
+
+/**
+ * Pozostałe 4xx - błędne żądanie (np. zakres, brak zakładki); ponowienie nic nie zmieni
+ */
+export class RequestError extends ApiError {
+    constructor(status, apiMessage = '', details = {}) {
+        super(`Żądanie do arkusza zostało odrzucone (błąd ${status})${apiMessage ? `: ${apiMessage}` : ''}`, status, details);
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.CrmError = CrmError;
+    window.RowLookupError = RowLookupError;
+    window.RecordNotFoundError = RecordNotFoundError;
+    window.DuplicateRecordError = DuplicateRecordError;
+    window.RowMismatchError = RowMismatchError;
+    window.ConflictError = ConflictError;
+    window.SchemaVersionError = SchemaVersionError;
+    window.DeleteBlockedError = DeleteBlockedError;
+    window.ApiError = ApiError;
+    window.NetworkError = NetworkError;
+    window.RateLimitError = RateLimitError;
+    window.ServerError = ServerError;
+    window.AuthError = AuthError;
+    window.PermissionError = PermissionError;
+    window.RequestError = RequestError;
+}
@@ -0,0 +1,108 @@
+/**
+ * SIMPLIFY CRM - Domain Event Bus
+ * ================================
+ * Zdarzenia domenowe emitowane przez DataService / ActivitiesService po udanym zapisie.
+ * Widoki (i przyszła automatyzacja) subskrybują zdarzenia zamiast ręcznie odświeżać dane.
+ *
+ *   const off = EventBus.on('company:updated', ({ company, changes }) => ...);
+ *   EventBus.on('*', (payload, type) => ...); // wszystkie zdarzenia
+ *
+ * Mutacje odłożone do kolejki offline emitują zdarzenia dopiero przy odtworzeniu.
+ */
+
+import { CrmError } from './errors.js';
+
+export class EventBus {
+
+    /**
+     * Rejestr typów zdarzeń i ich payloadów - emit nieznanego typu to błąd programisty
+     */
+    static EVENTS = {
+        'company:created': '{ company }',
+        'company:updated': '{ company, changes }',
+        'company:deleted': '{ id }',
+        'company:restored': '{ id }',
+        'company:purged': '{ id }',
+        'contact:created': '{ contact }',
+        'contact:updated': '{ contact, changes }',
+        'contact:deleted': '{ id }',
+        'contact:restored': '{ id }',
+        'contact:purged': '{ id }',
+        'activity:created': '{ activity }',
+        'activity:updated': '{ activity }',
+        'activity:completed': '{ activity }',
+        'activity:deleted': '{ id }',
+        'activity:restored': '{ id }',
+        'activity:purged': '{ id }',
+        'tag:created': '{ entityType, tag }',
+        'tag:updated': '{ entityType, tag }',
+        'tag:deleted': '{ entityType, id }',
+        'tag:restored': '{ entityType, id }',
+        'tag:purged': '{ entityType, id }',
+        'tag:assigned': '{ entityType, entityId, tagId, relationId }',
+        'tag:removed': '{ entityType, relationId }',
+        'deal:created': '{ deal }',
+        'deal:updated': '{ deal }',
+        'deal:stageChanged': '{ deal, from, to }',
+        'deal:deleted': '{ id }',
+        'deal:restored': '{ id }',
+        'deal:purged': '{ id }',
+        'history:logged': '{ entityType, entityId, entry }',
+        'customFields:updated': '{ entityType, entityId, values }',
+        'version:restored': '{ entityType, entityId, version }',
+        'reminder:fired': '{ notification }',
+        'notifications:updated': '{}'
+    };
+
+    static listeners = new Map();
+
+    /**
+     * @param {string} type - Typ z EVENTS albo '*'
+     * @param {Function} listener - (payload, type) => void
+     * @returns {Function} Wyrejestrowanie
+     */
+    static on(type, listener) {
+        this.assertType(type);
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return () => this.listeners.get(type).delete(listener);
+    }
+
+    static once(type, listener) {
+        const off = this.on(type, (payload, eventType) => {
+            off();
+            listener(payload, eventType);
+        });
+        return off;
+    }
+
+    /**
+     * Błąd słuchacza nie przerywa zapisu ani pozostałych słuchaczy
+     */
+    static emit(type, payload = {}) {
+        this.assertType(type);
+        [type, '*'].forEach(key => {
+            (this.listeners.get(key) || []).forEach(listener => {
+                try {
+                    const result = listener(payload, type);
+                    if (result && typeof result.catch === 'function') {
+                        result.catch(e => console.warn(`Event listener error (${type}):`, e));
+                    }
+                } catch (e) {
+                    console.warn(`Event listener error (${type}):`, e);
+                }
+            });
+        });
+    }
+
+    static assertType(type) {
+        if (type !== '*' && !(type in this.EVENTS)) {
+            throw new CrmError(`Nieznany typ zdarzenia: ${type}`, { type });
+        }
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.EventBus = EventBus;
+}
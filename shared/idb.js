@@ -0,0 +1,161 @@
+/**
+ * SIMPLIFY CRM - IndexedDB Helpers
+ * =================================
+ * Cienka warstwa Promise nad IndexedDB
+ * Używana przez lokalny adapter danych i inne magazyny przeglądarki
+ */
+
+export class IDB {
+    static connections = new Map();
+
+    /**
+     * Sprawdza czy przeglądarka wspiera IndexedDB
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Otwiera (i w razie potrzeby tworzy) bazę danych
+     * @param {string} name - Nazwa bazy
+     * @param {number} version - Wersja schematu
+     * @param {Function} upgrade - (db, oldVersion) => void, tworzy object store'y
+     * @returns {Promise<IDBDatabase>}
+     */
+    static open(name, version, upgrade) {
+        const key = `${name}@${version}`;
+        if (this.connections.has(key)) {
+            return this.connections.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            if (!this.isAvailable()) {
+                reject(new Error('IndexedDB nie jest dostępne w tej przeglądarce'));
+                return;
+            }
+
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = (event) => {
+                if (upgrade) upgrade(request.result, event.oldVersion);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Nie trzymaj nieudanych połączeń w pamięci
+        promise.catch(() => this.connections.delete(key));
+        this.connections.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Zamienia IDBRequest na Promise
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Promise transakcji - zapis jest trwały dopiero po 'complete', nie po sukcesie żądania
+     * @param {IDBTransaction} tx
+     * @returns {Promise<void>}
+     */
+    static complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transakcja IndexedDB przerwana'));
+        });
+    }
+
+    /**
+     * Pobiera rekord po kluczu
+     */
+    static async get(db, storeName, key) {
+        const tx = db.transaction(storeName, 'readonly');
+        return this.request(tx.objectStore(storeName).get(key));
+    }
+
+    /**
+     * Pobiera wszystkie rekordy ze store'a
+     */
+    static async getAll(db, storeName) {
+        const tx = db.transaction(storeName, 'readonly');
+        return this.request(tx.objectStore(storeName).getAll());
+    }
+
+    /**
+     * Zapisuje rekord (insert lub update)
+     */
+    static async put(db, storeName, value, key) {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        const [result] = await Promise.all([
+            this.request(key === undefined ? store.put(value) : store.put(value, key)),
+            this.complete(tx)
+        ]);
+        return result;
+    }
+
+    /**
+     * Odczyt, zmiana i zapis rekordu w jednej transakcji readwrite -
+     * równoległe wywołania dla tego samego klucza nie gubią swoich zmian.
+     * @param {Function} mutate - (record|undefined) => nowy rekord; musi być synchroniczne
+     *   (await w środku zamknąłby transakcję)
+     * @returns {Promise<*>} Zapisany rekord
+     */
+    static async update(db, storeName, key, mutate) {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        const done = this.complete(tx);
+
+        let value;
+        let failure = null;
+        const read = store.get(key);
+        read.onsuccess = () => {
+            try {
+                value = mutate(read.result);
+                if (store.keyPath === null) store.put(value, key); else store.put(value);
+            } catch (error) {
+                failure = error;
+                tx.abort();
+            }
+        };
+
+        try {
+            await done;
+        } catch (error) {
+            throw failure || error;
+        }
+        return value;
+    }
+
+    /**
+     * Usuwa rekord po kluczu
+     */
+    static async delete(db, storeName, key) {
+        const tx = db.transaction(storeName, 'readwrite');
+        tx.objectStore(storeName).delete(key);
+        await this.complete(tx);
+    }
+
+    /**
+     * Czyści cały store
+     */
+    static async clear(db, storeName) {
+        const tx = db.transaction(storeName, 'readwrite');
+        tx.objectStore(storeName).clear();
+        await this.complete(tx);
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.IDB = IDB;
+}
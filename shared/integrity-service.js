@@ -0,0 +1,283 @@
+/**
+ * SIMPLIFY CRM - Integrity Service
+ * =================================
+ * Skan spójności danych we wszystkich arkuszach CONFIG.SHEETS:
+ * osierocone odwołania, aktywności bez rodzica, brakujące i zdublowane id.
+ * Każda kategoria ma jedną poprawkę stosowaną do wszystkich jej problemów.
+ * Używany z poziomu ustawień (sekcja Konserwacja)
+ */
+
+import { CONFIG } from './config.js';
+import { DataService } from './data-service.js';
+import { SCHEMA } from './schema.js';
+import { MigrationService } from './migrations.js';
+import { CrmError } from './errors.js';
+import { indexToColumn } from './storage-adapters.js';
+
+const S = CONFIG.SHEETS;
+
+/**
+ * Arkusze bez kolumny id (klucz to email / nazwa ustawienia)
+ */
+const KEYED_SHEETS = [S.USER_PREFERENCES, S.META];
+
+export class IntegrityService {
+
+    /**
+     * Kategorie problemów w kolejności wyświetlania
+     * fix: 'detach' (wyczyść odwołanie), 'clear' (wyczyść wiersz), 'trash' (przenieś do kosza),
+     *      'backfill' (nadaj id), null (wymaga ręcznej decyzji)
+     */
+    static CATEGORIES = {
+        orphanContactCompany: {
+            label: 'Kontakty przypisane do nieistniejącej firmy',
+            fix: 'detach',
+            fixLabel: 'Odepnij od firmy'
+        },
+        orphanTagRelation: {
+            label: 'Przypisania etykiet do nieistniejącej etykiety lub rekordu',
+            fix: 'clear',
+            fixLabel: 'Usuń przypisania'
+        },
+        activityWithoutParent: {
+            label: 'Aktywności bez firmy i kontaktu',
+            fix: 'trash',
+            fixLabel: 'Przenieś do kosza'
+        },
+        activityOrphanRef: {
+            label: 'Aktywności wskazujące nieistniejącą firmę lub kontakt',
+            fix: 'detach',
+            fixLabel: 'Wyczyść odwołania'
+        },
+        orphanCustomFieldValues: {
+            label: 'Wartości pól własnych nieistniejących rekordów',
+            fix: 'clear',
+            fixLabel: 'Usuń wartości'
+        },
+        orphanHistory: {
+            label: 'Historia nieistniejących rekordów',
+            fix: 'clear',
+            fixLabel: 'Usuń wpisy'
+        },
+        missingId: {
+            label: 'Wiersze z danymi bez id',
+            fix: 'backfill',
+            fixLabel: 'Nadaj id'
+        },
+        duplicateId: {
+            label: 'Zdublowane id',
+            fix: null,
+            fixLabel: ''
+        }
+    };
+
+    /**
+     * Czyta wszystkie arkusze i zbiera problemy
+     * @returns {Promise<{scannedAt: string, categories: Object<string, Array>, errors: Array<{sheet, error}>}>}
+     */
+    static async scan() {
+        const report = { scannedAt: new Date().toISOString(), categories: {}, errors: [] };
+        Object.keys(this.CATEGORIES).forEach(type => { report.categories[type] = []; });
+
+        const sheets = Object.values(S);
+        const data = {};
+        await Promise.all(sheets.map(async sheet => {
+            try {
+                data[sheet] = await DataService.retryRequest(() => DataService.storage.get(sheet, `A2:${this.lastColumn(sheet)}`));
+            } catch (error) {
+                console.warn(`Skan spójności: arkusz ${sheet} niedostępny:`, error);
+                report.errors.push({ sheet, error: error.message || String(error) });
+                data[sheet] = null;
+            }
+        }));
+
+        const add = (type, sheet, index, values, text, columns = []) => {
+            report.categories[type].push({ sheet, row: index + 2, id: values[0] || '', values, text, columns });
+        };
+
+        // Firmy i kontakty w koszu nadal istnieją (można je przywrócić) - odwołania do nich nie są osierocone.
+        // Etykiety w koszu nie są nigdzie wyświetlane, więc ich przypisania traktujemy jak osierocone.
+        const ids = (sheet, includeTrashed = true) => new Set((data[sheet] || [])
+            .filter(row => includeTrashed || !this.cell(sheet, row, 'deletedAt'))
+            .map(row => row[0])
+            .filter(Boolean));
+        const companies = ids(S.COMPANIES);
+        const contacts = ids(S.CONTACTS);
+        const companyTags = ids(S.TAGS_COMPANIES, false);
+        const contactTags = ids(S.TAGS_CONTACTS, false);
+
+        const rowsOf = (sheet) => (data[sheet] || []).map((values, index) => ({ values, index }))
+            .filter(({ values }) => values.some(cell => (cell ?? '').toString().trim() !== ''));
+
+        if (data[S.COMPANIES]) {
+            rowsOf(S.CONTACTS).forEach(({ values, index }) => {
+                const companyId = this.cell(S.CONTACTS, values, 'companyId');
+                if (companyId && !companies.has(companyId)) {
+                    add('orphanContactCompany', S.CONTACTS, index, values,
+                        `${this.cell(S.CONTACTS, values, 'name') || values[0]} → ${companyId}`, ['companyId']);
+                }
+            });
+        }
+
+        [
+            { sheet: S.COMPANY_TAGS_RELATIONS, entity: 'companyId', entities: companies, entitiesSheet: S.COMPANIES, tags: companyTags, tagsSheet: S.TAGS_COMPANIES },
+            { sheet: S.CONTACT_TAGS_RELATIONS, entity: 'contactId', entities: contacts, entitiesSheet: S.CONTACTS, tags: contactTags, tagsSheet: S.TAGS_CONTACTS }
+        ].forEach(r => {
+            if (!data[r.entitiesSheet] || !data[r.tagsSheet]) return;
+            rowsOf(r.sheet).forEach(({ values, index }) => {
+                const entityId = this.cell(r.sheet, values, r.entity);
+                const tagId = this.cell(r.sheet, values, 'tagId');
+                const missing = [
+                    !r.entities.has(entityId) ? `rekord ${entityId || '(pusty)'}` : '',
+                    !r.tags.has(tagId) ? `etykieta ${tagId || '(pusta)'}` : ''
+                ].filter(Boolean);
+                if (missing.length) {
+                    add('orphanTagRelation', r.sheet, index, values, `brak: ${missing.join(', ')}`);
+                }
+            });
+        });
+
+        if (data[S.COMPANIES] && data[S.CONTACTS]) {
+            rowsOf(S.ACTIVITIES).forEach(({ values, index }) => {
+                if (this.cell(S.ACTIVITIES, values, 'deletedAt')) return;
+                const title = this.cell(S.ACTIVITIES, values, 'title') || values[0];
+                const companyId = this.cell(S.ACTIVITIES, values, 'companyId');
+                const contactId = this.cell(S.ACTIVITIES, values, 'contactId');
+
+                if (!companyId && !contactId) {
+                    add('activityWithoutParent', S.ACTIVITIES, index, values, title);
+                    return;
+                }
+
+                const dangling = [];
+                if (companyId && !companies.has(companyId)) dangling.push('companyId');
+                if (contactId && !contacts.has(contactId)) dangling.push('contactId');
+
+                // Wyczyszczenie wszystkich odwołań zostawiłoby aktywność bez rodzica - od razu do kosza
+                const parents = [companyId, contactId].filter(Boolean).length;
+                if (dangling.length && dangling.length === parents) {
+                    add('activityWithoutParent', S.ACTIVITIES, index, values, `${title} (nieistniejące: ${dangling.join(', ')})`);
+                    return;
+                }
+                if (dangling.length) {
+                    add('activityOrphanRef', S.ACTIVITIES, index, values, `${title} → ${dangling.join(', ')}`, dangling);
+                }
+            });
+
+            rowsOf(S.CUSTOM_FIELD_VALUES).forEach(({ values, index }) => {
+                const entityType = (this.cell(S.CUSTOM_FIELD_VALUES, values, 'entityType') || '').toLowerCase();
+                const entityId = this.cell(S.CUSTOM_FIELD_VALUES, values, 'entityId');
+                const known = entityType === 'company' ? companies : entityType === 'contact' ? contacts : null;
+                if (!known || !known.has(entityId)) {
+                    add('orphanCustomFieldValues', S.CUSTOM_FIELD_VALUES, index, values, `${entityType || '?'}: ${entityId || '(pusty)'}`);
+                }
+            });
+
+            [
+                { sheet: S.HISTORY_COMPANIES, entity: 'companyId', known: companies },
+                { sheet: S.HISTORY_CONTACTS, entity: 'contactId', known: contacts }
+            ].forEach(h => {
+                rowsOf(h.sheet).forEach(({ values, index }) => {
+                    const entityId = this.cell(h.sheet, values, h.entity);
+                    if (!h.known.has(entityId)) {
+                        add('orphanHistory', h.sheet, index, values, `${entityId || '(pusty)'}: ${(this.cell(h.sheet, values, 'content') || '').slice(0, 60)}`);
+                    }
+                });
+            });
+        }
+
+        sheets.filter(sheet => data[sheet] && !KEYED_SHEETS.includes(sheet)).forEach(sheet => {
+            const seen = new Map();
+            rowsOf(sheet).forEach(({ values, index }) => {
+                const id = values[0];
+                if (!id) {
+                    add('missingId', sheet, index, values, values.slice(1).filter(Boolean).slice(0, 2).join(' · '));
+                    return;
+                }
+                if (!seen.has(id)) seen.set(id, []);
+                seen.get(id).push({ values, index });
+            });
+            seen.forEach((rows, id) => {
+                if (rows.length < 2) return;
+                const first = rows[0];
+                add('duplicateId', sheet, first.index, first.values, `${id}: wiersze ${rows.map(r => r.index + 2).join(', ')}`);
+            });
+        });
+
+        const total = Object.values(report.categories).reduce((sum, list) => sum + list.length, 0);
+        console.log(`✓ Skan spójności: ${total} problemów`);
+        return report;
+    }
+
+    /**
+     * Naprawia wszystkie problemy jednej kategorii
+     * Każdy wiersz jest ponownie czytany przed zapisem - zmieniony w międzyczasie jest pomijany.
+     * @returns {Promise<{fixed: number, skipped: Array<{issue, error}>}>}
+     */
+    static async fix(type, issues) {
+        const category = this.CATEGORIES[type];
+        if (!category || !category.fix) {
+            throw new CrmError(`Kategoria ${type} nie ma automatycznej poprawki`, { type });
+        }
+
+        const result = { fixed: 0, skipped: [] };
+
+        if (category.fix === 'backfill') {
+            const sheets = [...new Set(issues.map(issue => issue.sheet))];
+            for (const sheet of sheets) {
+                result.fixed += await MigrationService.backfillIds(sheet);
+            }
+            DataService.clearCache();
+            return result;
+        }
+
+        // Po kolei - każda poprawka to kilka zapytań (odczyt kontrolny + zapis), nie zalewamy API
+        for (const issue of issues) {
+            try {
+                await this.fixIssue(category.fix, issue);
+                result.fixed++;
+            } catch (error) {
+                console.warn(`Nie naprawiono ${issue.sheet}!${issue.row}:`, error);
+                result.skipped.push({ issue, error: error.message || String(error) });
+            }
+        }
+
+        DataService.clearCache();
+        return result;
+    }
+
+    static async fixIssue(fix, issue) {
+        const { sheet, row } = issue;
+        const lastColumn = this.lastColumn(sheet);
+
+        if (fix === 'trash') {
+            await DataService.softDelete('activity', issue.id);
+            return;
+        }
+
+        await DataService.retryRequest(async () => {
+            await DataService.verifyMatchedRow(sheet, lastColumn, issue);
+            if (fix === 'clear') {
+                await DataService.storage.clear(sheet, `A${row}:${lastColumn}${row}`);
+            } else if (fix === 'detach') {
+                for (const name of issue.columns) {
+                    const column = indexToColumn(SCHEMA[sheet].indexOf(name));
+                    await DataService.storage.update(sheet, `${column}${row}:${column}${row}`, [['']]);
+                }
+            }
+        });
+    }
+
+    static cell(sheet, values, name) {
+        return values[SCHEMA[sheet].indexOf(name)] || '';
+    }
+
+    static lastColumn(sheet) {
+        return indexToColumn(SCHEMA[sheet].length - 1);
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.IntegrityService = IntegrityService;
+}
@@ -0,0 +1,108 @@
+/**
+ * SIMPLIFY CRM - Maintenance Service
+ * ===================================
+ * Narzędzia administracyjne dla arkuszy danych
+ * Używane z poziomu ustawień (sekcja Konserwacja)
+ */
+
+import { CONFIG } from './config.js';
+import { DataService } from './data-service.js';
+import { CrmError } from './errors.js';
+
+export class MaintenanceService {
+
+    /**
+     * Zakres odczytu całego arkusza (bez nagłówka)
+     */
+    static FULL_RANGE = 'A2:ZZ';
+
+    /**
+     * Arkusze objęte kompaktowaniem
+     * @returns {string[]}
+     */
+    static getSheets() {
+        return Object.values(CONFIG.SHEETS);
+    }
+
+    /**
+     * Wyznacza puste wiersze (jako zwarte zakresy) i rekordy, które się przesuną
+     * @param {Array<Array<string>>} rows - Wiersze od A2
+     * @returns {{ ranges: Array<{start: number, end: number}>, moved: Array<{id: string, from: number, to: number}>, removed: number }}
+     */
+    static planCompaction(rows) {
+        const ranges = [];
+        const moved = [];
+        let removed = 0;
+
+        rows.forEach((row, i) => {
+            const sheetRow = i + 2;
+            const blank = !row || row.every(cell => (cell ?? '').toString().trim() === '');
+
+            if (blank) {
+                const last = ranges[ranges.length - 1];
+                if (last && last.end === sheetRow - 1) {
+                    last.end = sheetRow;
+                } else {
+                    ranges.push({ start: sheetRow, end: sheetRow });
+                }
+                removed++;
+            } else if (removed > 0) {
+                moved.push({ id: row[0] || '', from: sheetRow, to: sheetRow - removed });
+            }
+        });
+
+        return { ranges, moved, removed };
+    }
+
+    /**
+     * Usuwa puste wiersze z jednego arkusza
+     * Przed usunięciem ponownie czyta arkusz - jeśli ktoś zmienił go w międzyczasie, przerywa.
+     * @param {string} sheet
+     * @returns {Promise<{sheet: string, removed: number, moved: Array}>}
+     */
+    static async compactSheet(sheet) {
+        return DataService.retryRequest(async () => {
+            const rows = await DataService.storage.get(sheet, this.FULL_RANGE);
+            const plan = this.planCompaction(rows);
+
+            if (plan.removed > 0) {
+                const check = this.planCompaction(await DataService.storage.get(sheet, this.FULL_RANGE));
+                if (JSON.stringify(check.ranges) !== JSON.stringify(plan.ranges)) {
+                    throw new CrmError(`Arkusz ${sheet} zmienił się w trakcie kompaktowania - spróbuj ponownie`, { sheet });
+                }
+
+                await DataService.storage.deleteRows(sheet, plan.ranges);
+                console.log(`✓ ${sheet}: usunięto ${plan.removed} pustych wierszy, przesunięto ${plan.moved.length}`);
+            }
+
+            return { sheet, removed: plan.removed, moved: plan.moved };
+        });
+    }
+
+    /**
+     * Kompaktuje wszystkie arkusze i czyści cache DataService
+     * Błąd jednego arkusza (np. brak zakładki) nie przerywa pozostałych.
+     * @returns {Promise<Array<{sheet: string, removed: number, moved: Array, error?: string}>>}
+     */
+    static async compactAll() {
+        const report = [];
+
+        for (const sheet of this.getSheets()) {
+            try {
+                report.push(await this.compactSheet(sheet));
+            } catch (error) {
+                console.warn(`Kompaktowanie ${sheet} nie powiodło się:`, error);
+                report.push({ sheet, removed: 0, moved: [], error: error.message || String(error) });
+            }
+        }
+
+        // Pozycje wierszy się zmieniły - UI musi przeczytać dane od nowa
+        DataService.clearCache();
+        return report;
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.MaintenanceService = MaintenanceService;
+}
@@ -0,0 +1,151 @@
+/**
+ * SIMPLIFY CRM - Schema Migrations
+ * =================================
+ * Wersjonowane migracje arkuszy. Aktualna wersja schematu jest zapisana
+ * w arkuszu Meta (klucz schemaVersion), każda wykonana migracja - pod kluczem migration:N.
+ *
+ * Zasady:
+ * - migracje wykonują się rosnąco, tylko te o wersji wyższej niż w arkuszu,
+ * - muszą być idempotentne (dwie karty mogą wystartować jednocześnie),
+ * - ostatnia wersja musi być równa DataService.SCHEMA_VERSION.
+ */
+
+import { CONFIG } from './config.js';
+import { DataService } from './data-service.js';
+import { SCHEMA, SchemaService } from './schema.js';
+import { CrmError, SchemaVersionError } from './errors.js';
+import { indexToColumn } from './storage-adapters.js';
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Kolumny version/updatedAt i deletedAt/deletedBy',
+        up: async (m) => {
+            await m.addColumns(CONFIG.SHEETS.COMPANIES, ['version', 'updatedAt', 'deletedAt', 'deletedBy']);
+            await m.addColumns(CONFIG.SHEETS.CONTACTS, ['version', 'updatedAt', 'deletedAt', 'deletedBy']);
+            await m.addColumns(CONFIG.SHEETS.ACTIVITIES, ['version', 'updatedAt', 'deletedAt', 'deletedBy']);
+            await m.addColumns(CONFIG.SHEETS.TAGS_COMPANIES, ['deletedAt', 'deletedBy']);
+            await m.addColumns(CONFIG.SHEETS.TAGS_CONTACTS, ['deletedAt', 'deletedBy']);
+        }
+    },
+    {
+        version: 2,
+        description: 'Uzupełnienie brakujących ID (zapisy adresowane po id)',
+        up: async (m) => {
+            await m.backfillIds(CONFIG.SHEETS.COMPANIES);
+            await m.backfillIds(CONFIG.SHEETS.CONTACTS);
+            await m.backfillIds(CONFIG.SHEETS.TAGS_COMPANIES);
+            await m.backfillIds(CONFIG.SHEETS.TAGS_CONTACTS);
+            await m.backfillIds(CONFIG.SHEETS.CUSTOM_FIELDS);
+        }
+    },
+    {
+        version: 3,
+        description: 'Aktywności cykliczne (reguła powtarzania i seria)',
+        up: async (m) => {
+            await m.addColumns(CONFIG.SHEETS.ACTIVITIES, ['recurrence', 'seriesId', 'occurrenceDate']);
+        }
+    },
+    {
+        version: 4,
+        description: 'Przypomnienia o aktywnościach',
+        up: async (m) => {
+            await m.addColumns(CONFIG.SHEETS.ACTIVITIES, ['reminders']);
+        }
+    }
+];
+
+export class MigrationService {
+
+    /**
+     * Uruchamia oczekujące migracje
+     * @returns {Promise<{from: number, to: number, applied: Array<{version: number, description: string}>}>}
+     */
+    static async migrate() {
+        const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+        if (latest !== DataService.SCHEMA_VERSION) {
+            console.error(`⚠️ Ostatnia migracja (${latest}) różni się od DataService.SCHEMA_VERSION (${DataService.SCHEMA_VERSION})`);
+        }
+
+        const from = await DataService.getSheetSchemaVersion(false);
+        if (from > DataService.SCHEMA_VERSION) {
+            throw new SchemaVersionError(from, DataService.SCHEMA_VERSION);
+        }
+
+        const pending = MIGRATIONS
+            .filter(migration => migration.version > from)
+            .sort((a, b) => a.version - b.version);
+
+        const applied = [];
+        for (const migration of pending) {
+            console.log(`⏳ Migracja ${migration.version}: ${migration.description}`);
+            await migration.up(this);
+            await DataService.saveMeta(`migration:${migration.version}`, migration.description);
+            await DataService.saveMeta('schemaVersion', migration.version);
+            applied.push({ version: migration.version, description: migration.description });
+            console.log(`✓ Migracja ${migration.version} zakończona`);
+        }
+
+        if (applied.length) {
+            DataService.clearCache();
+        }
+        return { from, to: applied.length ? applied[applied.length - 1].version : from, applied };
+    }
+
+    // ============= OPERACJE MIGRACJI =============
+
+    /**
+     * Dopisuje nagłówki nowych kolumn w miejscach wyznaczonych przez SCHEMA.
+     * Jeśli komórka nagłówka jest zajęta inną nazwą - przerywa (dane mogłyby się nadpisać).
+     */
+    static async addColumns(sheet, names) {
+        const columns = SCHEMA[sheet];
+        const header = (await DataService.retryRequest(() => DataService.storage.get(sheet, 'A1:ZZ1')))[0] || [];
+
+        for (const name of names) {
+            const index = columns.indexOf(name);
+            if (index === -1) {
+                throw new CrmError(`Kolumna ${name} nie występuje w schemacie arkusza ${sheet}`, { sheet, name });
+            }
+
+            const column = indexToColumn(index);
+            const actual = (header[index] || '').toString().trim();
+            if (SchemaService.normalize(actual) === SchemaService.normalize(name)) continue;
+            if (actual) {
+                throw new CrmError(`Migracja przerwana: ${sheet}!${column}1 zawiera "${actual}" zamiast ${name}`, { sheet, column, actual });
+            }
+
+            await DataService.retryRequest(() => DataService.storage.update(sheet, `${column}1:${column}1`, [[name]]));
+        }
+    }
+
+    /**
+     * Nadaje id wierszom, które mają dane, ale pustą kolumnę A.
+     * Jeden zapis kolumny A - null oznacza "bez zmian".
+     */
+    static async backfillIds(sheet) {
+        const rows = await DataService.retryRequest(() => DataService.storage.get(sheet, 'A2:ZZ'));
+        let count = 0;
+
+        const values = rows.map(row => {
+            const hasData = row.slice(1).some(cell => (cell ?? '').toString().trim() !== '');
+            if (!row[0] && hasData) {
+                count++;
+                return [DataService.generateId()];
+            }
+            return [null];
+        });
+
+        if (count) {
+            await DataService.retryRequest(() => DataService.storage.update(sheet, `A2:A${rows.length + 1}`, values));
+            console.log(`✓ ${sheet}: nadano ${count} brakujących ID`);
+        }
+        return count;
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.MIGRATIONS = MIGRATIONS;
+    window.MigrationService = MigrationService;
+}
@@ -0,0 +1,277 @@
+/**
+ * SIMPLIFY CRM - Offline Outbox
+ * ==============================
+ * Kolejka mutacji DataService zapisywana w IndexedDB, gdy nie ma sieci.
+ * - OutboxService.install() opakowuje metody z METHODS (jak withWriteGuard opakowuje adapter),
+ * - offline (lub przy błędzie sieci) wywołanie trafia do outboxa i kończy się sukcesem,
+ *   a obiekt encji dostaje wersję, jaką nadałby mu zapis, i trafia do listy w cache
+ *   (UI aktualizuje się od razu),
+ * - po powrocie sieci mutacje są odtwarzane po kolei, w kolejności zapisu,
+ * - mutacja odrzucona przy odtwarzaniu (np. konflikt wersji) usuwa swoją listę z cache -
+ *   następny odczyt pobiera stan arkusza, bez optymistycznej kopii.
+ *
+ * Dopóki outbox nie jest pusty, nowe mutacje też trafiają na jego koniec - kolejność jest zachowana.
+ * Wyjątek: w trakcie odtwarzania mutacji (direct > 0) wywołania idą prosto do DataService -
+ * wpis historii z saveCompany trafia do arkusza razem z rekordem, którego dotyczy.
+ */
+
+import { CONFIG } from './config.js';
+import { IDB } from './idb.js';
+import { DataService } from './data-service.js';
+import { NetworkError } from './errors.js';
+
+export class OutboxService {
+    static STORE = 'mutations';
+    static DB_VERSION = 1;
+
+    /**
+     * Metody DataService, które można odłożyć na później (argumenty muszą dać się zserializować)
+     */
+    static METHODS = [
+        'saveCompany', 'deleteCompany',
+        'saveContact', 'deleteContact',
+        'saveActivity', 'deleteActivity',
+        'saveDeal', 'deleteDeal',
+        'logCompanyHistory', 'logContactHistory',
+        'saveCompanyTag', 'deleteCompanyTag', 'assignTagToCompany', 'removeTagFromCompany',
+        'saveContactTag', 'deleteContactTag', 'assignTagToContact', 'removeTagFromContact',
+        'saveCustomFieldValues',
+        'saveUserPreferences'
+    ];
+
+    /**
+     * Skutki zapisu, które DataService ustawia na encji - odtwarzamy je lokalnie przy kolejkowaniu
+     */
+    static OPTIMISTIC = {
+        saveCompany: (entity, isUpdate) => this.bumpVersion(entity, isUpdate),
+        saveContact: (entity, isUpdate) => this.bumpVersion(entity, isUpdate),
+        saveActivity: (entity, isUpdate) => this.bumpVersion(entity, isUpdate),
+        saveDeal: (entity, isUpdate) => this.bumpVersion(entity, isUpdate)
+    };
+
+    /**
+     * Listy w cache DataService, które odłożona mutacja zmienia od razu
+     * (save* dostaje encję, delete* - jej id)
+     */
+    static CACHED = {
+        saveCompany: 'companies', deleteCompany: 'companies',
+        saveContact: 'contacts', deleteContact: 'contacts',
+        saveActivity: 'activities', deleteActivity: 'activities',
+        saveDeal: 'deals', deleteDeal: 'deals'
+    };
+
+    static originals = {};
+    static listeners = new Set();
+    static pending = 0;
+    static replaying = null;
+    static direct = 0;
+
+    static db() {
+        return IDB.open(CONFIG.STORAGE.OUTBOX_DB, this.DB_VERSION, (db) => {
+            if (!db.objectStoreNames.contains(this.STORE)) {
+                db.createObjectStore(this.STORE, { keyPath: 'seq', autoIncrement: true });
+            }
+        });
+    }
+
+    /**
+     * Podpina outbox pod DataService. Lokalny adapter (IndexedDB) nie potrzebuje sieci - pomijamy.
+     */
+    static async install() {
+        if (Object.keys(this.originals).length || !DataService.storage.requiresGapi || !IDB.isAvailable()) return;
+
+        this.METHODS.forEach(method => {
+            const original = DataService[method].bind(DataService);
+            this.originals[method] = original;
+            DataService[method] = (...args) => this.run(method, args);
+        });
+
+        window.addEventListener('online', () => this.replay());
+        window.addEventListener('offline', () => this.notify());
+
+        this.pending = (await this.list()).length;
+        this.notify();
+    }
+
+    static isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Wykonuje mutację od razu albo odkłada ją do outboxa
+     */
+    static async run(method, args) {
+        if (this.direct > 0) {
+            return this.originals[method](...args);
+        }
+
+        if (!this.isOnline() || this.pending > 0) {
+            const result = await this.enqueue(method, args);
+            if (this.isOnline()) this.replay();
+            return result;
+        }
+
+        try {
+            return await this.originals[method](...args);
+        } catch (error) {
+            if (!isNetworkError(error)) throw error;
+            console.warn(`⚠️ Brak sieci - ${method} trafia do kolejki offline`);
+            return this.enqueue(method, args);
+        }
+    }
+
+    static async enqueue(method, args) {
+        const cacheKey = this.CACHED[method];
+        const entity = cacheKey && args[0] && typeof args[0] === 'object' ? args[0] : null;
+        if (entity && !entity.id) {
+            // Odtworzony zapis i kopia w cache muszą mieć to samo id
+            entity.id = DataService.generateId();
+        }
+
+        const record = {
+            method,
+            args: JSON.parse(JSON.stringify(args)),
+            createdAt: new Date().toISOString()
+        };
+        await IDB.put(await this.db(), this.STORE, record);
+
+        this.pending++;
+        this.notify();
+
+        const optimistic = this.OPTIMISTIC[method];
+        const result = optimistic ? optimistic(...args) : undefined;
+        if (cacheKey) {
+            this.applyToCache(cacheKey, args[0]);
+        }
+        return result;
+    }
+
+    /**
+     * Wstawia kopię encji do listy w cache (albo usuwa z niej id przy delete*).
+     * Brak listy w cache = nic do zrobienia, pierwszy odczyt i tak pobierze arkusz.
+     */
+    static applyToCache(cacheKey, entityOrId) {
+        const cached = DataService.getCache(cacheKey);
+        if (!Array.isArray(cached)) return;
+
+        let list;
+        if (entityOrId && typeof entityOrId === 'object') {
+            const copy = { ...entityOrId };
+            const index = cached.findIndex(item => item.id === copy.id);
+            list = index === -1 ? [...cached, copy] : cached.map((item, i) => i === index ? copy : item);
+        } else {
+            list = cached.filter(item => item.id !== entityOrId);
+        }
+        DataService.setCache(cacheKey, list);
+    }
+
+    static async list() {
+        const records = await IDB.getAll(await this.db(), this.STORE);
+        return records.sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Odtwarza outbox w kolejności zapisu.
+     * Błąd sieci zatrzymuje odtwarzanie (spróbujemy przy następnym 'online'),
+     * każdy inny błąd (np. konflikt wersji) usuwa mutację z kolejki i jest zgłaszany słuchaczom.
+     */
+    static replay() {
+        if (this.replaying) return this.replaying;
+
+        this.replaying = (async () => {
+            let replayed = 0;
+            let stalled = false;
+            try {
+                // Mutacje dodane w trakcie odtwarzania też trafiają na koniec outboxa
+                while (!stalled && this.isOnline()) {
+                    const records = await this.list();
+                    if (!records.length) break;
+
+                    for (const record of records) {
+                        let failure = null;
+                        this.direct++;
+                        try {
+                            await this.originals[record.method](...record.args);
+                            replayed++;
+                        } catch (error) {
+                            if (isNetworkError(error)) {
+                                stalled = true;
+                                break;
+                            }
+                            console.error(`Nie udało się odtworzyć ${record.method}:`, error);
+                            failure = { record, error };
+                            // Wycofanie optymistycznej kopii
+                            if (this.CACHED[record.method]) {
+                                DataService.clearCache(this.CACHED[record.method]);
+                            }
+                        } finally {
+                            this.direct--;
+                        }
+
+                        await IDB.delete(await this.db(), this.STORE, record.seq);
+                        this.pending = Math.max(0, this.pending - 1);
+                        this.notify(failure);
+                    }
+                }
+            } finally {
+                this.pending = (await this.list()).length;
+                this.replaying = null;
+                this.notify();
+            }
+
+            if (replayed) {
+                // Dane w arkuszu zmieniły się poza bieżącym widokiem
+                DataService.clearCache();
+                console.log(`✓ Zsynchronizowano ${replayed} zmian z kolejki offline`);
+            }
+            return replayed;
+        })();
+
+        return this.replaying;
+    }
+
+    /**
+     * @param {Function} listener - ({pending, online, replaying, failure}) => void
+     * @returns {Function} Wyrejestrowanie
+     */
+    static onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    static notify(failure = null) {
+        const state = {
+            pending: this.pending,
+            online: this.isOnline(),
+            replaying: !!this.replaying,
+            failure
+        };
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (e) {
+                console.warn('Outbox listener error:', e);
+            }
+        });
+    }
+
+    static bumpVersion(entity, isUpdate) {
+        if (!entity) return undefined;
+        entity.version = isUpdate ? (entity.version || 0) + 1 : 1;
+        entity.updatedAt = new Date().toISOString();
+        return entity.id;
+    }
+}
+
+/**
+ * Błąd transportu (brak sieci), a nie odpowiedź serwera
+ */
+export function isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    return DataService.classifyError(error) instanceof NetworkError;
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.OutboxService = OutboxService;
+}
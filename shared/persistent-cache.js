@@ -0,0 +1,75 @@
+/**
+ * SIMPLIFY CRM - Persistent Cache
+ * ================================
+ * Trwała kopia cache DataService w IndexedDB (przetrwa przejście między stronami).
+ * Rekord: { key, value, timestamp }. Zapisy są "fire and forget" - błąd IndexedDB
+ * nie może zablokować odczytu danych z arkusza.
+ */
+
+import { CONFIG } from './config.js';
+import { IDB } from './idb.js';
+
+export class PersistentCache {
+    static STORE = 'entries';
+    static DB_VERSION = 1;
+
+    static db() {
+        return IDB.open(CONFIG.STORAGE.CACHE_DB, this.DB_VERSION, (db) => {
+            if (!db.objectStoreNames.contains(this.STORE)) {
+                db.createObjectStore(this.STORE, { keyPath: 'key' });
+            }
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<{key: string, value: *, timestamp: number}|null>} null, gdy brak lub starszy niż MAX_AGE
+     */
+    static async get(key) {
+        if (!IDB.isAvailable()) return null;
+        try {
+            const record = await IDB.get(await this.db(), this.STORE, key);
+            if (!record) return null;
+            if (Date.now() - record.timestamp > CONFIG.SESSION.PERSISTENT_CACHE_MAX_AGE) {
+                this.delete(key);
+                return null;
+            }
+            return record;
+        } catch (error) {
+            console.warn('Odczyt trwałego cache nie powiódł się:', error);
+            return null;
+        }
+    }
+
+    static async set(key, value, timestamp = Date.now()) {
+        if (!IDB.isAvailable()) return;
+        try {
+            await IDB.put(await this.db(), this.STORE, { key, value, timestamp });
+        } catch (error) {
+            console.warn('Zapis trwałego cache nie powiódł się:', error);
+        }
+    }
+
+    static async delete(key) {
+        if (!IDB.isAvailable()) return;
+        try {
+            await IDB.delete(await this.db(), this.STORE, key);
+        } catch (error) {
+            console.warn('Usunięcie wpisu trwałego cache nie powiodło się:', error);
+        }
+    }
+
+    static async clear() {
+        if (!IDB.isAvailable()) return;
+        try {
+            await IDB.clear(await this.db(), this.STORE);
+        } catch (error) {
+            console.warn('Czyszczenie trwałego cache nie powiodło się:', error);
+        }
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.PersistentCache = PersistentCache;
+}
@@ -0,0 +1,160 @@
+/**
+ * SIMPLIFY CRM - Recurrence UI helpers
+ * ====================================
+ * Pola reguły powtarzania w formularzach aktywności oraz pytanie
+ * "tylko to wystąpienie / to i przyszłe" przy edycji i usuwaniu serii.
+ *
+ * Korzysta z klas .modal / .modal-content / .form-group ze stylów strony.
+ */
+
+import { CONFIG } from './config.js';
+
+export class RecurrenceUI {
+  /**
+   * Wstawia pola reguły do kontenera i ustawia wartości
+   * @param {HTMLElement} containerEl
+   * @param {Object|null} rule - Reguła z ActivitiesService.normalizeRecurrence
+   * @param {string} idPrefix - Prefix dla ID inputów
+   */
+  static mount(containerEl, rule = null, idPrefix = 'rec_') {
+    const { FREQUENCIES, WEEKDAYS } = CONFIG.ACTIVITIES.RECURRENCE;
+    // Dni od poniedziałku, wartości jak Date.getDay()
+    const weekdays = [1, 2, 3, 4, 5, 6, 0];
+
+    containerEl.innerHTML = `
+      <div class="form-group">
+        <label for="${idPrefix}freq">Powtarzanie</label>
+        <select id="${idPrefix}freq" data-rec="freq">
+          <option value="">Nie powtarzaj</option>
+          ${Object.entries(FREQUENCIES).map(([freq, f]) => `<option value="${freq}">${this.escape(f.label)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="recurrence-details" data-rec="details">
+        <div class="form-group">
+          <label for="${idPrefix}interval">Co ile</label>
+          <div class="recurrence-inline">
+            <input id="${idPrefix}interval" type="number" min="1" value="1" data-rec="interval">
+            <span data-rec="unit"></span>
+          </div>
+        </div>
+        <div class="form-group" data-rec="weekdaysGroup">
+          <label>Dni tygodnia</label>
+          <div class="recurrence-weekdays">
+            ${weekdays.map(day => `
+              <label class="recurrence-weekday">
+                <input type="checkbox" value="${day}" data-rec="weekday">
+                <span>${WEEKDAYS[day]}</span>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="${idPrefix}end">Koniec</label>
+          <div class="recurrence-inline">
+            <select id="${idPrefix}end" data-rec="end">
+              <option value="">Bez końca</option>
+              <option value="until">W dniu</option>
+              <option value="count">Po liczbie wystąpień</option>
+            </select>
+            <input type="date" data-rec="until" aria-label="Data końca">
+            <input type="number" min="1" data-rec="count" aria-label="Liczba wystąpień">
+          </div>
+        </div>
+      </div>
+    `;
+
+    const field = (name) => containerEl.querySelector(`[data-rec="${name}"]`);
+    field('freq').value = (rule && rule.freq) || '';
+    field('interval').value = (rule && rule.interval) || 1;
+    containerEl.querySelectorAll('[data-rec="weekday"]').forEach(box => {
+      box.checked = !!(rule && rule.weekdays && rule.weekdays.includes(Number(box.value)));
+    });
+    field('end').value = rule && rule.until ? 'until' : (rule && rule.count ? 'count' : '');
+    field('until').value = (rule && rule.until) || '';
+    field('count').value = (rule && rule.count) || '';
+
+    const sync = () => {
+      const freq = field('freq').value;
+      field('details').style.display = freq ? '' : 'none';
+      field('unit').textContent = freq ? FREQUENCIES[freq].unit : '';
+      field('weekdaysGroup').style.display = freq === 'weekly' ? '' : 'none';
+      field('until').style.display = field('end').value === 'until' ? '' : 'none';
+      field('count').style.display = field('end').value === 'count' ? '' : 'none';
+    };
+    field('freq').addEventListener('change', sync);
+    field('end').addEventListener('change', sync);
+    sync();
+  }
+
+  /**
+   * Zbiera regułę z pól (bez walidacji - robi ją ActivitiesService)
+   * @param {HTMLElement} containerEl
+   * @returns {Object|null} null = bez powtarzania
+   */
+  static collect(containerEl) {
+    const field = (name) => containerEl.querySelector(`[data-rec="${name}"]`);
+    const freq = field('freq') ? field('freq').value : '';
+    if (!freq) return null;
+
+    const end = field('end').value;
+    return {
+      freq,
+      interval: field('interval').value,
+      weekdays: freq === 'weekly'
+        ? [...containerEl.querySelectorAll('[data-rec="weekday"]:checked')].map(box => Number(box.value))
+        : [],
+      until: end === 'until' ? field('until').value : '',
+      count: end === 'count' ? field('count').value : ''
+    };
+  }
+
+  /**
+   * Pyta, czego dotyczy zmiana wystąpienia serii
+   * @param {Object} options
+   * @param {string} options.title - Nagłówek dialogu
+   * @param {string} options.intro - Wyjaśnienie pod nagłówkiem
+   * @returns {Promise<'this'|'future'|null>} null = anulowano
+   */
+  static askScope({ title = 'Aktywność cykliczna', intro = 'To wystąpienie należy do serii.' } = {}) {
+    return new Promise(resolve => {
+      const modal = document.createElement('div');
+      modal.className = 'modal active recurrence-scope-modal';
+      modal.innerHTML = `
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>${this.escape(title)}</h2>
+          </div>
+          <p class="recurrence-scope-intro">${this.escape(intro)}</p>
+          <div class="modal-actions">
+            <button type="button" class="btn btn-secondary" data-scope="">Anuluj</button>
+            <button type="button" class="btn" data-scope="this">Tylko to wystąpienie</button>
+            <button type="button" class="btn btn-primary" data-scope="future">To i przyszłe</button>
+          </div>
+        </div>
+      `;
+
+      modal.querySelectorAll('[data-scope]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          modal.remove();
+          resolve(btn.dataset.scope || null);
+        });
+      });
+
+      document.body.appendChild(modal);
+    });
+  }
+
+  static escape(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+  window.RecurrenceUI = RecurrenceUI;
+}
@@ -0,0 +1,271 @@
+/**
+ * SIMPLIFY CRM - Reminder Service
+ * ================================
+ * Przypomnienia o zaplanowanych aktywnościach, dopóki otwarta jest dowolna strona CRM.
+ * Co CONFIG.REMINDERS.CHECK_INTERVAL sprawdza aktywności użytkownika (createdBy) i dla
+ * przypomnień, których czas minął, pokazuje powiadomienie przeglądarki (Notification API)
+ * oraz dopisuje wpis do centrum powiadomień w headerze.
+ *
+ * Stan (wysłane przypomnienia + lista powiadomień) jest w localStorage, wspólny dla kart:
+ * przypomnienie wysyła jedna karta, pozostałe odświeżają centrum przez zdarzenia
+ * EventBus powtarzane przez TabSync.
+ */
+
+import { CONFIG } from './config.js';
+import { AuthService } from './auth.js';
+import { DataService } from './data-service.js';
+import { ActivitiesService } from './activities-service.js';
+import { EventBus } from './event-bus.js';
+
+export class ReminderService {
+    static timer = null;
+    static checking = false;
+    static listeners = new Set();
+
+    /**
+     * Uruchamia sprawdzanie przypomnień (raz na stronę)
+     */
+    static install() {
+        if (this.timer || typeof window === 'undefined') return;
+
+        EventBus.on('reminder:fired', () => this.notify());
+        EventBus.on('notifications:updated', () => this.notify());
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.check();
+        });
+
+        this.timer = setInterval(() => this.check(), CONFIG.REMINDERS.CHECK_INTERVAL);
+        this.check();
+    }
+
+    // ============= STAN =============
+
+    static storageKey() {
+        return `${CONFIG.REMINDERS.STORAGE_KEY}_${AuthService.getUserEmail() || 'anon'}`;
+    }
+
+    /**
+     * @returns {{fired: Object<string, string>, notifications: Array<Object>}}
+     */
+    static load() {
+        try {
+            const state = JSON.parse(localStorage.getItem(this.storageKey()) || '{}');
+            return { fired: state.fired || {}, notifications: state.notifications || [] };
+        } catch (_) {
+            return { fired: {}, notifications: [] };
+        }
+    }
+
+    static save(state) {
+        // Znaczniki wysłanych przypomnień potrzebne są tylko do czasu aktywności
+        const cutoff = new Date(Date.now() - CONFIG.REMINDERS.FIRED_MAX_AGE).toISOString();
+        const fired = {};
+        Object.entries(state.fired).forEach(([key, at]) => {
+            if (at >= cutoff) fired[key] = at;
+        });
+
+        try {
+            localStorage.setItem(this.storageKey(), JSON.stringify({
+                fired,
+                notifications: state.notifications.slice(0, CONFIG.REMINDERS.MAX_NOTIFICATIONS)
+            }));
+        } catch (e) {
+            console.warn('Nie udało się zapisać stanu przypomnień:', e);
+        }
+    }
+
+    /**
+     * Klucz przypomnienia - zmiana terminu aktywności uzbraja przypomnienia ponownie
+     */
+    static reminderKey(activity, minutes) {
+        return `${activity.id}|${minutes}|${activity.date}`;
+    }
+
+    // ============= SPRAWDZANIE =============
+
+    /**
+     * Przypomnienia do wysłania teraz: po jednym na aktywność (najbliższe terminowi),
+     * razem z kluczami wszystkich jej zaległych przypomnień - np. po otwarciu aplikacji
+     * rano "1 dzień" i "1 godz." przed spotkaniem nie przychodzą jednocześnie.
+     * @returns {Array<{activity: Object, minutes: number, keys: Array<string>}>}
+     */
+    static dueReminders(activities, fired, now = Date.now()) {
+        const email = AuthService.getUserEmail() || '';
+        const due = [];
+
+        activities.forEach(activity => {
+            if (activity.status !== CONFIG.ACTIVITIES.STATUSES.PLANNED || !(activity.reminders || []).length) return;
+            if (activity.createdBy && activity.createdBy !== email) return;
+
+            const start = new Date(activity.date).getTime();
+            if (isNaN(start) || now > start + CONFIG.REMINDERS.LATE_LIMIT) return;
+
+            const passed = activity.reminders.filter(minutes => start - minutes * 60000 <= now);
+            const keys = passed.map(minutes => this.reminderKey(activity, minutes));
+            if (!keys.length || keys.every(key => fired[key])) return;
+
+            due.push({ activity, minutes: Math.min(...passed), keys });
+        });
+
+        return due;
+    }
+
+    static async check() {
+        if (this.checking || !AuthService.getUserEmail()) return;
+        this.checking = true;
+
+        try {
+            const activities = await DataService.loadActivities();
+            for (const { activity, minutes, keys } of this.dueReminders(activities, this.load().fired)) {
+                // Stan czytamy ponownie tuż przed wysłaniem - inna karta mogła już przypomnieć
+                const state = this.load();
+                if (keys.every(key => state.fired[key])) continue;
+
+                const firedAt = new Date().toISOString();
+                keys.forEach(key => { state.fired[key] = firedAt; });
+                const notification = this.buildNotification(activity, minutes, keys[keys.length - 1]);
+                state.notifications.unshift(notification);
+                this.save(state);
+
+                this.showBrowserNotification(notification);
+                EventBus.emit('reminder:fired', { notification });
+            }
+        } catch (error) {
+            console.warn('Sprawdzanie przypomnień nie powiodło się:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    static buildNotification(activity, minutes, key) {
+        const type = ActivitiesService.getActivityType(activity.type);
+        return {
+            id: DataService.generateId(),
+            key,
+            activityId: activity.id,
+            title: `${type ? type.icon : '📋'} ${activity.title}`,
+            date: activity.date,
+            minutes,
+            createdAt: new Date().toISOString(),
+            read: false
+        };
+    }
+
+    /**
+     * "za 15 min", "za 2 godz.", "zaczęło się 3 min temu"
+     */
+    static describeStart(date, now = Date.now()) {
+        const minutes = Math.round((new Date(date).getTime() - now) / 60000);
+        if (minutes < 0) return `zaczęło się ${-minutes} min temu`;
+        if (minutes === 0) return 'zaczyna się teraz';
+        if (minutes < 60) return `za ${minutes} min`;
+        if (minutes < 1440) return `za ${Math.round(minutes / 60)} godz.`;
+        return `za ${Math.round(minutes / 1440)} dni`;
+    }
+
+    // ============= NOTIFICATION API =============
+
+    /**
+     * @returns {'granted'|'denied'|'default'|'unsupported'}
+     */
+    static permission() {
+        return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    }
+
+    /**
+     * Prośba o zgodę - przeglądarki wymagają, by wywołać ją z kliknięcia użytkownika
+     */
+    static async requestPermission() {
+        if (this.permission() === 'unsupported') return 'unsupported';
+        const result = await Notification.requestPermission();
+        this.notify();
+        return result;
+    }
+
+    static showBrowserNotification(notification) {
+        if (this.permission() !== 'granted') return;
+
+        try {
+            const browserNotification = new Notification(notification.title, {
+                body: `${ActivitiesService.formatDate(notification.date)} (${this.describeStart(notification.date)})`,
+                tag: notification.key // ta sama aktywność z dwóch kart = jedno powiadomienie
+            });
+            browserNotification.onclick = () => {
+                window.focus();
+                browserNotification.close();
+                this.open(notification.id);
+            };
+        } catch (error) {
+            // np. Chrome na Androidzie pozwala tylko na powiadomienia z Service Workera
+            console.warn('Nie udało się pokazać powiadomienia przeglądarki:', error);
+        }
+    }
+
+    // ============= CENTRUM POWIADOMIEŃ =============
+
+    /**
+     * @returns {Array<{id, key, activityId, title, date, minutes, createdAt, read}>} Od najnowszych
+     */
+    static list() {
+        return this.load().notifications;
+    }
+
+    static unreadCount() {
+        return this.list().filter(n => !n.read).length;
+    }
+
+    /**
+     * @param {string|null} id - null = wszystkie
+     */
+    static markRead(id = null) {
+        const state = this.load();
+        state.notifications.forEach(n => {
+            if (!id || n.id === id) n.read = true;
+        });
+        this.save(state);
+        EventBus.emit('notifications:updated', {});
+    }
+
+    static clear() {
+        const state = this.load();
+        state.notifications = [];
+        this.save(state);
+        EventBus.emit('notifications:updated', {});
+    }
+
+    /**
+     * Oznacza jako przeczytane i otwiera aktywność na liście zadań
+     */
+    static open(id) {
+        const notification = this.list().find(n => n.id === id);
+        this.markRead(id);
+        if (notification) {
+            window.location.href = `${CONFIG.ROUTES.TASKS}?activity=${encodeURIComponent(notification.activityId)}`;
+        }
+    }
+
+    static onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    static notify() {
+        const state = {
+            notifications: this.list(),
+            unread: this.unreadCount(),
+            permission: this.permission()
+        };
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (e) {
+                console.warn('Błąd słuchacza przypomnień:', e);
+            }
+        });
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.ReminderService = ReminderService;
+}
@@ -0,0 +1,149 @@
+/**
+ * SIMPLIFY CRM - Reminder UI helpers
+ * ==================================
+ * Pola wyboru przypomnień w formularzach aktywności oraz centrum powiadomień
+ * (dzwonek w headerze z listą przypomnień z ReminderService).
+ */
+
+import { CONFIG } from './config.js';
+import { ActivitiesService } from './activities-service.js';
+import { ReminderService } from './reminder-service.js';
+import { EventBus } from './event-bus.js';
+
+export class ReminderUI {
+  /**
+   * Wstawia pola przypomnień (checkboxy z CONFIG.REMINDERS.OPTIONS)
+   * @param {HTMLElement} containerEl
+   * @param {Array<number>} selected - Minuty przed terminem
+   */
+  static mountFields(containerEl, selected = []) {
+    containerEl.innerHTML = `
+      <div class="form-group">
+        <label>Przypomnienie</label>
+        <div class="reminder-options">
+          ${CONFIG.REMINDERS.OPTIONS.map(option => `
+            <label class="reminder-option">
+              <input type="checkbox" value="${option.minutes}" data-reminder ${(selected || []).includes(option.minutes) ? 'checked' : ''}>
+              <span>${this.escape(option.label)} przed</span>
+            </label>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * @param {HTMLElement} containerEl
+   * @returns {Array<number>}
+   */
+  static collectFields(containerEl) {
+    return [...containerEl.querySelectorAll('[data-reminder]:checked')].map(box => Number(box.value));
+  }
+
+  /**
+   * Dzwonek z licznikiem nieprzeczytanych i rozwijaną listą (przed nazwą użytkownika)
+   */
+  static mountCenter(userEl) {
+    const container = userEl ? userEl.parentElement : document.querySelector('.app-header-right');
+    if (!container) return;
+
+    const center = document.createElement('div');
+    center.className = 'notification-center';
+    center.innerHTML = `
+      <button type="button" class="notification-bell" title="Powiadomienia" aria-haspopup="true" aria-expanded="false">
+        🔔<span class="notification-count" hidden></span>
+      </button>
+      <div class="notification-panel" hidden>
+        <div class="notification-panel-header">
+          <span class="notification-panel-title">Powiadomienia</span>
+          <button type="button" class="notification-link" data-action="readAll">Oznacz jako przeczytane</button>
+          <button type="button" class="notification-link" data-action="clear">Wyczyść</button>
+        </div>
+        <div class="notification-permission" hidden></div>
+        <ul class="notification-list"></ul>
+      </div>
+    `;
+    container.insertBefore(center, userEl || container.firstChild);
+
+    const bell = center.querySelector('.notification-bell');
+    const count = center.querySelector('.notification-count');
+    const panel = center.querySelector('.notification-panel');
+    const permission = center.querySelector('.notification-permission');
+    const list = center.querySelector('.notification-list');
+
+    const render = ({ notifications, unread, permission: state }) => {
+      count.hidden = unread === 0;
+      count.textContent = unread > 99 ? '99+' : String(unread);
+
+      permission.hidden = state === 'granted';
+      if (state === 'default') {
+        permission.innerHTML = 'Powiadomienia przeglądarki są wyłączone. <button type="button" class="notification-link" data-action="permission">Włącz</button>';
+      } else if (state === 'denied') {
+        permission.textContent = 'Powiadomienia przeglądarki są zablokowane w ustawieniach strony - przypomnienia pojawią się tylko tutaj.';
+      } else if (state === 'unsupported') {
+        permission.textContent = 'Ta przeglądarka nie obsługuje powiadomień - przypomnienia pojawią się tylko tutaj.';
+      }
+
+      list.innerHTML = notifications.length
+        ? notifications.map(n => `
+            <li class="notification-item ${n.read ? '' : 'unread'}" data-id="${this.escape(n.id)}">
+              <div class="notification-title">${this.escape(n.title)}</div>
+              <div class="notification-meta">
+                ${this.escape(ActivitiesService.formatDate(n.date))} · przypomnienie ${this.escape(ActivitiesService.reminderLabel(n.minutes))} przed
+              </div>
+            </li>
+          `).join('')
+        : '<li class="notification-empty">Brak powiadomień</li>';
+    };
+
+    const toggle = (open) => {
+      panel.hidden = !open;
+      bell.setAttribute('aria-expanded', String(open));
+    };
+
+    bell.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggle(panel.hidden);
+    });
+    panel.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const action = e.target.closest('[data-action]');
+      const item = e.target.closest('.notification-item');
+      if (action && action.dataset.action === 'readAll') ReminderService.markRead();
+      else if (action && action.dataset.action === 'clear') ReminderService.clear();
+      else if (action && action.dataset.action === 'permission') await ReminderService.requestPermission();
+      else if (item) ReminderService.open(item.dataset.id);
+    });
+    document.addEventListener('click', () => toggle(false));
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') toggle(false);
+    });
+
+    // Przypomnienie w widocznej karcie - krótki komunikat obok dzwonka
+    EventBus.on('reminder:fired', ({ notification }) => {
+      if (document.hidden || !notification) return;
+      const msg = document.createElement('div');
+      msg.className = 'status-message warning';
+      msg.textContent = `🔔 ${notification.title} - ${ReminderService.describeStart(notification.date)}`;
+      document.body.appendChild(msg);
+      setTimeout(() => msg.remove(), 6000);
+    });
+
+    ReminderService.onChange(render);
+    ReminderService.notify();
+  }
+
+  static escape(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+  window.ReminderUI = ReminderUI;
+}
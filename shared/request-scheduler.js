@@ -0,0 +1,192 @@
+/**
+ * SIMPLIFY CRM - Request Scheduler
+ * =================================
+ * Pilnuje limitów Google Sheets API (zapytania na minutę na użytkownika).
+ * - osobny token bucket dla odczytów i zapisów; stan w localStorage per email,
+ *   więc karty tego samego użytkownika dzielą limit,
+ * - kolejki priorytetowe: 'interactive' (akcje użytkownika) przed 'background'
+ *   (odświeżanie cache w tle) - token trafia do pierwszego czekającego zadania z wyższej kolejki,
+ * - odpowiedź 429 opróżnia bucket, żeby kolejne zapytania poczekały na odnowienie limitu.
+ *
+ * Używany przez WriteQueue - każde fizyczne żądanie (także ponowienie) pobiera token.
+ */
+
+import { CONFIG } from './config.js';
+import { AuthService } from './auth.js';
+
+export const LANES = ['interactive', 'background'];
+
+class TokenBucket {
+    constructor(name, capacity, perMinute) {
+        this.name = name;
+        this.capacity = capacity;
+        this.ratePerMs = perMinute / 60000;
+        this.state = { tokens: capacity, updatedAt: Date.now() };
+    }
+
+    storageKey() {
+        return `simplify_crm_quota_${this.name}_${AuthService.getUserEmail() || 'anon'}`;
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey());
+            if (raw) this.state = JSON.parse(raw);
+        } catch (_) {}
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey(), JSON.stringify(this.state));
+        } catch (_) {}
+    }
+
+    refill() {
+        this.load();
+        const now = Date.now();
+        const elapsed = Math.max(0, now - this.state.updatedAt);
+        this.state.tokens = Math.min(this.capacity, this.state.tokens + elapsed * this.ratePerMs);
+        this.state.updatedAt = now;
+    }
+
+    /**
+     * @returns {number} 0, gdy token pobrano; inaczej ms do pojawienia się tokenu
+     */
+    take() {
+        this.refill();
+        if (this.state.tokens >= 1) {
+            this.state.tokens -= 1;
+            this.save();
+            return 0;
+        }
+        this.save();
+        return Math.ceil((1 - this.state.tokens) / this.ratePerMs);
+    }
+
+    drain() {
+        this.refill();
+        this.state.tokens = 0;
+        this.save();
+    }
+}
+
+export class RequestScheduler {
+    constructor(quota = CONFIG.API.QUOTA) {
+        this.buckets = {
+            read: new TokenBucket('read', quota.BURST, quota.READS_PER_MINUTE),
+            write: new TokenBucket('write', quota.BURST, quota.WRITES_PER_MINUTE)
+        };
+        this.queues = { interactive: [], background: [] };
+        this.listeners = new Set();
+        this.timer = null;
+        this.throttled = false;
+        this.currentLane = 'interactive';
+    }
+
+    /**
+     * Kolejka dla żądań zleconych synchronicznie wewnątrz fn (np. loader wywołany przez odświeżanie w tle)
+     */
+    withLane(lane, fn) {
+        const previous = this.currentLane;
+        this.currentLane = lane;
+        try {
+            return fn();
+        } finally {
+            this.currentLane = previous;
+        }
+    }
+
+    /**
+     * @param {'read'|'write'} quota
+     * @param {'interactive'|'background'} lane
+     * @param {Function} fn - () => Promise, fizyczne żądanie
+     */
+    schedule(quota, lane, fn) {
+        return new Promise((resolve, reject) => {
+            this.queues[LANES.includes(lane) ? lane : 'interactive'].push({ quota, fn, resolve, reject });
+            this.pump();
+        });
+    }
+
+    pump() {
+        // Nowe zadanie może korzystać z innego limitu niż to, na które czekamy
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        let wait = Infinity;
+        const blocked = new Set();
+
+        for (const lane of LANES) {
+            const queue = this.queues[lane];
+            for (let i = 0; i < queue.length; i++) {
+                const task = queue[i];
+                if (blocked.has(task.quota)) continue;
+
+                const delay = this.buckets[task.quota].take();
+                if (delay > 0) {
+                    // Niższa kolejka nie może wyprzedzić czekającego zadania o ten sam limit
+                    blocked.add(task.quota);
+                    wait = Math.min(wait, delay);
+                    continue;
+                }
+
+                queue.splice(i, 1);
+                i--;
+                this.run(task);
+            }
+        }
+
+        const throttled = wait !== Infinity;
+        if (throttled) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.pump();
+            }, wait);
+        }
+        if (throttled || this.throttled) {
+            this.throttled = throttled;
+            this.notify(throttled ? wait : 0);
+        }
+    }
+
+    async run(task) {
+        try {
+            task.resolve(await task.fn());
+        } catch (error) {
+            const status = error && (error.status ?? (error.result && error.result.error && error.result.error.code));
+            if (status === 429) {
+                this.buckets[task.quota].drain();
+            }
+            task.reject(error);
+        }
+    }
+
+    queued() {
+        return LANES.reduce((sum, lane) => sum + this.queues[lane].length, 0);
+    }
+
+    /**
+     * @param {Function} listener - ({throttled, queued, waitMs}) => void
+     * @returns {Function} Wyrejestrowanie
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(waitMs) {
+        const state = { throttled: this.throttled, queued: this.queued(), waitMs };
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (e) {
+                console.warn('Scheduler listener error:', e);
+            }
+        });
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.RequestScheduler = RequestScheduler;
+}
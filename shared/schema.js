@@ -0,0 +1,153 @@
+/**
+ * SIMPLIFY CRM - Schema Registry
+ * ===============================
+ * Opis kolumn każdego arkusza z CONFIG.SHEETS (wiersz 1 = nagłówki).
+ * SchemaService przy starcie aplikacji:
+ * - tworzy brakujące zakładki,
+ * - zapisuje brakujące nagłówki (pusty wiersz 1 lub nowe kolumny na końcu),
+ * - raportuje nagłówki niezgodne z rejestrem (bez nadpisywania).
+ */
+
+import { CONFIG } from './config.js';
+import { DataService } from './data-service.js';
+import { indexToColumn } from './storage-adapters.js';
+
+/**
+ * Kolumny w kolejności A, B, C...
+ * Kolejność musi odpowiadać mapowaniu wierszy w DataService.
+ */
+export const SCHEMA = {
+    [CONFIG.SHEETS.COMPANIES]: [
+        'id', 'name', 'industry', 'notes', 'website', 'phone', 'city', 'country', 'domain',
+        'version', 'updatedAt', 'deletedAt', 'deletedBy'
+    ],
+    [CONFIG.SHEETS.CONTACTS]: [
+        'id', 'companyId', 'name', 'position', 'email', 'phone',
+        'version', 'updatedAt', 'deletedAt', 'deletedBy'
+    ],
+    [CONFIG.SHEETS.HISTORY_COMPANIES]: ['id', 'companyId', 'type', 'timestamp', 'user', 'content', 'meta'],
+    [CONFIG.SHEETS.HISTORY_CONTACTS]: ['id', 'contactId', 'type', 'timestamp', 'user', 'content', 'meta'],
+    [CONFIG.SHEETS.TAGS_COMPANIES]: ['id', 'name', 'color', 'description', 'createdBy', 'createdAt', 'deletedAt', 'deletedBy'],
+    [CONFIG.SHEETS.TAGS_CONTACTS]: ['id', 'name', 'color', 'description', 'createdBy', 'createdAt', 'deletedAt', 'deletedBy'],
+    [CONFIG.SHEETS.COMPANY_TAGS_RELATIONS]: ['id', 'companyId', 'tagId', 'assignedBy', 'assignedAt'],
+    [CONFIG.SHEETS.CONTACT_TAGS_RELATIONS]: ['id', 'contactId', 'tagId', 'assignedBy', 'assignedAt'],
+    [CONFIG.SHEETS.USER_PREFERENCES]: ['email', 'displayName', 'createdAt', 'updatedAt'],
+    [CONFIG.SHEETS.ACTIVITIES]: [
+        'id', 'type', 'title', 'date', 'notes', 'companyId', 'contactId', 'status', 'createdBy', 'createdAt',
+        'version', 'updatedAt', 'deletedAt', 'deletedBy', 'recurrence', 'seriesId', 'occurrenceDate',
+        'reminders'
+    ],
+    [CONFIG.SHEETS.CUSTOM_FIELDS]: [
+        'id', 'entityType', 'key', 'name', 'type', 'required', 'enabled', 'order', 'optionsJson', 'createdAt', 'updatedAt'
+    ],
+    [CONFIG.SHEETS.CUSTOM_FIELD_VALUES]: ['id', 'entityType', 'entityId', 'valuesJson', 'updatedAt', 'updatedBy'],
+    [CONFIG.SHEETS.DEALS]: [
+        'id', 'name', 'companyId', 'contactIds', 'value', 'currency', 'expectedCloseDate', 'owner', 'stageId', 'notes', 'createdAt',
+        'version', 'updatedAt', 'deletedAt', 'deletedBy'
+    ],
+    [CONFIG.SHEETS.PIPELINE_STAGES]: ['id', 'name', 'order', 'color', 'kind', 'createdAt', 'updatedAt'],
+    [CONFIG.SHEETS.VERSIONS]: ['id', 'entityType', 'entityId', 'version', 'timestamp', 'user', 'snapshotJson'],
+    [CONFIG.SHEETS.META]: ['key', 'value', 'updatedAt', 'updatedBy']
+};
+
+export class SchemaService {
+    static SESSION_KEY = 'simplify_crm_schema_checked';
+
+    /**
+     * Porównanie nagłówków odporne na wielkość liter, spacje i podkreślniki
+     */
+    static normalize(name) {
+        return (name || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Uruchamiane przy starcie strony - raz na sesję przeglądarki,
+     * żeby nie zużywać limitów API przy każdym przejściu między modułami
+     * @returns {Promise<Object|null>} Raport lub null, jeśli już sprawdzono
+     */
+    static async bootstrap() {
+        try {
+            if (sessionStorage.getItem(this.SESSION_KEY)) return null;
+        } catch (_) {}
+
+        const report = await this.ensureSchema();
+        this.logReport(report);
+
+        try {
+            sessionStorage.setItem(this.SESSION_KEY, new Date().toISOString());
+        } catch (_) {}
+        return report;
+    }
+
+    /**
+     * Tworzy brakujące arkusze i nagłówki, zbiera niezgodności
+     * @returns {Promise<{created: string[], headersWritten: Array, mismatches: Array, errors: Array}>}
+     */
+    static async ensureSchema() {
+        const storage = DataService.storage;
+        const report = { created: [], headersWritten: [], mismatches: [], errors: [] };
+
+        const existing = await DataService.retryRequest(() => storage.listSheets());
+        const titles = new Set(existing.map(s => s.title));
+
+        for (const [sheet, columns] of Object.entries(SCHEMA)) {
+            try {
+                if (!titles.has(sheet)) {
+                    await DataService.retryRequest(() => storage.createSheet(sheet));
+                    report.created.push(sheet);
+                }
+
+                const lastColumn = indexToColumn(columns.length - 1);
+                const rows = await DataService.retryRequest(() => storage.get(sheet, 'A1:ZZ1'));
+                const header = rows[0] || [];
+
+                // Brakujące nagłówki dopisujemy tylko w pustych komórkach
+                const missing = columns
+                    .map((name, i) => ({ name, i }))
+                    .filter(({ i }) => !(header[i] || '').toString().trim());
+
+                if (missing.length) {
+                    const values = [columns.map((name, i) => missing.some(m => m.i === i) ? name : undefined)];
+                    await DataService.retryRequest(() => storage.update(sheet, `A1:${lastColumn}1`, values));
+                    report.headersWritten.push({ sheet, columns: missing.map(m => m.name) });
+                }
+
+                columns.forEach((name, i) => {
+                    const actual = (header[i] || '').toString().trim();
+                    if (actual && this.normalize(actual) !== this.normalize(name)) {
+                        report.mismatches.push({ sheet, column: indexToColumn(i), expected: name, actual });
+                    }
+                });
+
+                header.slice(columns.length).forEach((actual, offset) => {
+                    if ((actual || '').toString().trim()) {
+                        report.mismatches.push({ sheet, column: indexToColumn(columns.length + offset), expected: '', actual });
+                    }
+                });
+            } catch (error) {
+                console.warn(`Schemat arkusza ${sheet} nie został sprawdzony:`, error);
+                report.errors.push({ sheet, error: error.message || String(error) });
+            }
+        }
+
+        if (report.created.length || report.headersWritten.length) {
+            DataService.clearCache();
+        }
+        return report;
+    }
+
+    static logReport(report) {
+        report.created.forEach(sheet => console.log(`✓ Utworzono arkusz ${sheet}`));
+        report.headersWritten.forEach(h => console.log(`✓ ${h.sheet}: dopisano nagłówki ${h.columns.join(', ')}`));
+        report.mismatches.forEach(m => console.warn(
+            `⚠️ ${m.sheet}!${m.column}1: nagłówek "${m.actual}"` + (m.expected ? `, oczekiwano "${m.expected}"` : ' - kolumna spoza schematu')
+        ));
+        report.errors.forEach(e => console.warn(`⚠️ ${e.sheet}: ${e.error}`));
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.SCHEMA = SCHEMA;
+    window.SchemaService = SchemaService;
+}
@@ -0,0 +1,388 @@
+/**
+ * SIMPLIFY CRM - Storage Adapters
+ * ================================
+ * Wymienne backendy danych dla DataService.
+ * Każdy adapter operuje na zakresach A1 w obrębie jednego arkusza:
+ * - get(sheet, range)            -> Promise<Array<Array<string>>>
+ * - append(sheet, range, values) -> Promise<void>
+ * - update(sheet, range, values) -> Promise<void>
+ * - clear(sheet, range)          -> Promise<void>
+ * - listSheets()                 -> Promise<Array<{ title, sheetId }>>
+ * - createSheet(title)           -> Promise<void>
+ * - deleteRows(sheet, ranges)    -> Promise<void>, ranges: [{ start, end }] (1-based, włącznie)
+ * - batchGet(ranges)             -> Promise<Array<Array<Array<string>>>>, ranges: [{ sheet, range }]
+ * - batchUpdate(data)            -> Promise<void>, data: [{ sheet, range, values }]
+ * - batchClear(ranges)           -> Promise<void>, ranges: [{ sheet, range }]
+ *
+ * Zakres podajemy bez nazwy arkusza, np. 'A2:I', 'A5:I5', 'A:F'.
+ */
+
+import { CONFIG } from './config.js';
+import { IDB } from './idb.js';
+
+/**
+ * Google Sheets (domyślny backend produkcyjny)
+ */
+export class SheetsStorageAdapter {
+    constructor(spreadsheetId = CONFIG.SHEET_ID) {
+        this.name = 'sheets';
+        this.spreadsheetId = spreadsheetId;
+        this.requiresGapi = true;
+    }
+
+    async get(sheet, range) {
+        const response = await gapi.client.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: `${sheet}!${range}`,
+        });
+        return response.result.values || [];
+    }
+
+    async append(sheet, range, values) {
+        await gapi.client.sheets.spreadsheets.values.append({
+            spreadsheetId: this.spreadsheetId,
+            range: `${sheet}!${range}`,
+            valueInputOption: 'USER_ENTERED',
+            resource: { values }
+        });
+    }
+
+    async update(sheet, range, values) {
+        await gapi.client.sheets.spreadsheets.values.update({
+            spreadsheetId: this.spreadsheetId,
+            range: `${sheet}!${range}`,
+            valueInputOption: 'USER_ENTERED',
+            resource: { values }
+        });
+    }
+
+    async clear(sheet, range) {
+        await gapi.client.sheets.spreadsheets.values.clear({
+            spreadsheetId: this.spreadsheetId,
+            range: `${sheet}!${range}`
+        });
+    }
+
+    async batchGet(ranges) {
+        const response = await gapi.client.sheets.spreadsheets.values.batchGet({
+            spreadsheetId: this.spreadsheetId,
+            ranges: ranges.map(r => `${r.sheet}!${r.range}`)
+        });
+        const valueRanges = response.result.valueRanges || [];
+        return ranges.map((_, i) => (valueRanges[i] && valueRanges[i].values) || []);
+    }
+
+    async batchUpdate(data) {
+        await gapi.client.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            resource: {
+                valueInputOption: 'USER_ENTERED',
+                data: data.map(d => ({ range: `${d.sheet}!${d.range}`, values: d.values }))
+            }
+        });
+    }
+
+    async batchClear(ranges) {
+        await gapi.client.sheets.spreadsheets.values.batchClear({
+            spreadsheetId: this.spreadsheetId,
+            resource: { ranges: ranges.map(r => `${r.sheet}!${r.range}`) }
+        });
+    }
+
+    async listSheets() {
+        const response = await gapi.client.sheets.spreadsheets.get({
+            spreadsheetId: this.spreadsheetId,
+            fields: 'sheets.properties'
+        });
+        return (response.result.sheets || []).map(s => ({
+            title: s.properties.title,
+            sheetId: s.properties.sheetId
+        }));
+    }
+
+    async createSheet(title) {
+        await gapi.client.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+    }
+
+    /**
+     * Fizycznie usuwa wiersze (przesuwa kolejne w górę) jednym batchUpdate.
+     * Zakresy usuwamy od końca, żeby wcześniejsze indeksy pozostały poprawne.
+     */
+    async deleteRows(sheet, ranges) {
+        if (!ranges.length) return;
+
+        const sheets = await this.listSheets();
+        const target = sheets.find(s => s.title === sheet);
+        if (!target) throw new Error(`Arkusz ${sheet} nie istnieje`);
+
+        const requests = [...ranges]
+            .sort((a, b) => b.start - a.start)
+            .map(r => ({
+                deleteDimension: {
+                    range: {
+                        sheetId: target.sheetId,
+                        dimension: 'ROWS',
+                        startIndex: r.start - 1,
+                        endIndex: r.end
+                    }
+                }
+            }));
+
+        await gapi.client.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            resource: { requests }
+        });
+    }
+}
+
+/**
+ * Lokalny backend w IndexedDB (praca offline, dane sandboxowe)
+ * Każdy arkusz to jeden rekord { name, rows }, gdzie rows[0] to wiersz nagłówka.
+ */
+export class IndexedDBStorageAdapter {
+    static STORE = 'sheets';
+    static DB_VERSION = 1;
+
+    constructor(dbName = CONFIG.STORAGE.IDB_NAME) {
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.requiresGapi = false;
+    }
+
+    db() {
+        return IDB.open(this.dbName, IndexedDBStorageAdapter.DB_VERSION, (db) => {
+            if (!db.objectStoreNames.contains(IndexedDBStorageAdapter.STORE)) {
+                db.createObjectStore(IndexedDBStorageAdapter.STORE, { keyPath: 'name' });
+            }
+        });
+    }
+
+    async readSheet(sheet) {
+        const record = await IDB.get(await this.db(), IndexedDBStorageAdapter.STORE, sheet);
+        return record ? record.rows : [];
+    }
+
+    /**
+     * Zmiana arkusza w jednej transakcji (odczyt + zapis) - równoległe zapisy
+     * do tego samego arkusza wykonują się po kolei i nie nadpisują się nawzajem
+     * @param {Function} mutate - (rows) => rows, synchronicznie
+     */
+    async modifySheet(sheet, mutate) {
+        await IDB.update(await this.db(), IndexedDBStorageAdapter.STORE, sheet, (record) => ({
+            name: sheet,
+            rows: mutate(record ? record.rows : [])
+        }));
+    }
+
+    async get(sheet, range) {
+        const rows = await this.readSheet(sheet);
+        const r = parseA1Range(range);
+        const last = r.endRow === null ? rows.length : Math.min(r.endRow, rows.length);
+
+        const result = [];
+        for (let i = r.startRow - 1; i < last; i++) {
+            const row = (rows[i] || []).slice(r.startCol, r.endCol === null ? undefined : r.endCol + 1);
+            result.push(trimTrailingEmpty(row));
+        }
+
+        // Google Sheets nie zwraca pustych wierszy na końcu zakresu
+        while (result.length && result[result.length - 1].length === 0) {
+            result.pop();
+        }
+        return result;
+    }
+
+    async append(sheet, range, values) {
+        const r = parseA1Range(range);
+
+        await this.modifySheet(sheet, (rows) => {
+            let lastFilled = rows.length - 1;
+            while (lastFilled >= 0 && isEmptyRow(rows[lastFilled])) {
+                lastFilled--;
+            }
+
+            let target = Math.max(lastFilled + 1, r.startRow - 1);
+            values.forEach(valueRow => {
+                rows[target] = writeCells(rows[target] || [], r.startCol, valueRow);
+                target++;
+            });
+            return fillHoles(rows);
+        });
+    }
+
+    async update(sheet, range, values) {
+        const r = parseA1Range(range);
+
+        await this.modifySheet(sheet, (rows) => {
+            values.forEach((valueRow, offset) => {
+                const index = r.startRow - 1 + offset;
+                rows[index] = writeCells(rows[index] || [], r.startCol, valueRow);
+            });
+            return fillHoles(rows);
+        });
+    }
+
+    async clear(sheet, range) {
+        const r = parseA1Range(range);
+
+        await this.modifySheet(sheet, (rows) => {
+            const last = r.endRow === null ? rows.length : Math.min(r.endRow, rows.length);
+            for (let i = r.startRow - 1; i < last; i++) {
+                const row = rows[i] || [];
+                const end = r.endCol === null ? row.length - 1 : r.endCol;
+                for (let c = r.startCol; c <= end && c < row.length; c++) {
+                    row[c] = '';
+                }
+                rows[i] = row;
+            }
+            return fillHoles(rows);
+        });
+    }
+
+    // Lokalnie nie ma kosztu per-request - batch to kolejne wywołania w tej samej kolejności
+
+    async batchGet(ranges) {
+        const results = [];
+        for (const r of ranges) {
+            results.push(await this.get(r.sheet, r.range));
+        }
+        return results;
+    }
+
+    async batchUpdate(data) {
+        for (const d of data) {
+            await this.update(d.sheet, d.range, d.values);
+        }
+    }
+
+    async batchClear(ranges) {
+        for (const r of ranges) {
+            await this.clear(r.sheet, r.range);
+        }
+    }
+
+    async listSheets() {
+        const records = await IDB.getAll(await this.db(), IndexedDBStorageAdapter.STORE);
+        return records.map(record => ({ title: record.name, sheetId: record.name }));
+    }
+
+    async createSheet(title) {
+        // Istniejący arkusz zostaje bez zmian
+        await this.modifySheet(title, rows => rows);
+    }
+
+    async deleteRows(sheet, ranges) {
+        await this.modifySheet(sheet, (rows) => {
+            [...ranges]
+                .sort((a, b) => b.start - a.start)
+                .forEach(r => rows.splice(r.start - 1, r.end - r.start + 1));
+            return rows;
+        });
+    }
+
+    /**
+     * Usuwa wszystkie lokalne dane (reset sandboxa)
+     */
+    async reset() {
+        await IDB.clear(await this.db(), IndexedDBStorageAdapter.STORE);
+    }
+}
+
+/**
+ * Tworzy adapter na podstawie nazwy ('sheets' | 'indexeddb')
+ * @param {string} name
+ * @returns {SheetsStorageAdapter|IndexedDBStorageAdapter}
+ */
+export function createStorageAdapter(name) {
+    if (name === 'indexeddb') {
+        return new IndexedDBStorageAdapter();
+    }
+    return new SheetsStorageAdapter();
+}
+
+// ============= A1 HELPERS =============
+
+export function columnToIndex(letters) {
+    let index = 0;
+    for (const ch of letters.toUpperCase()) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+export function indexToColumn(index) {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Parsuje zakres A1 bez nazwy arkusza ('A2:I', 'A5:I5', 'A:F')
+ * Wiersze są 1-based, kolumny 0-based; null oznacza brak ograniczenia.
+ */
+export function parseA1Range(range) {
+    const [from, to = from] = range.split(':');
+    const parse = (ref) => {
+        const match = /^([A-Z]*)(\d*)$/i.exec(ref.trim());
+        if (!match) throw new Error(`Nieprawidłowy zakres: ${range}`);
+        return {
+            col: match[1] ? columnToIndex(match[1]) : null,
+            row: match[2] ? parseInt(match[2], 10) : null
+        };
+    };
+
+    const start = parse(from);
+    const end = parse(to);
+    return {
+        startRow: start.row || 1,
+        endRow: end.row,
+        startCol: start.col || 0,
+        endCol: end.col
+    };
+}
+
+function isEmptyRow(row) {
+    return !row || row.every(cell => cell === '' || cell === null || cell === undefined);
+}
+
+function trimTrailingEmpty(row) {
+    const copy = row.map(cell => (cell === null || cell === undefined) ? '' : String(cell));
+    while (copy.length && copy[copy.length - 1] === '') {
+        copy.pop();
+    }
+    return copy;
+}
+
+function writeCells(row, startCol, valueRow) {
+    const copy = [...row];
+    valueRow.forEach((value, offset) => {
+        // null/undefined w Sheets API oznacza "nie zmieniaj komórki"
+        if (value === undefined || value === null) return;
+        copy[startCol + offset] = String(value);
+    });
+    for (let i = 0; i < copy.length; i++) {
+        if (copy[i] === undefined) copy[i] = '';
+    }
+    return copy;
+}
+
+function fillHoles(rows) {
+    for (let i = 0; i < rows.length; i++) {
+        if (!rows[i]) rows[i] = [];
+    }
+    return rows;
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.SheetsStorageAdapter = SheetsStorageAdapter;
+    window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+}
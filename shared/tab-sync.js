@@ -0,0 +1,144 @@
+/**
+ * SIMPLIFY CRM - Cross-Tab Sync
+ * ==============================
+ * Synchronizacja kart tej samej aplikacji przez BroadcastChannel:
+ * - DataService.clearCache w jednej karcie unieważnia ten sam klucz w pozostałych;
+ *   klucz, z którego karta korzystała, jest od razu pobierany ponownie (w tle)
+ *   i trafia do słuchaczy DataService.onCacheUpdate - widoki odświeżają się jak przy revalidacji,
+ * - zdarzenia EventBus są powtarzane w pozostałych kartach,
+ * - zapis pól własnych nie czyści indeksu wartości - pozostałe karty podmieniają w nim jeden wpis,
+ * - wylogowanie w jednej karcie wylogowuje wszystkie.
+ *
+ * Komunikaty odebrane z innej karty nie są rozsyłane dalej.
+ */
+
+import { CONFIG } from './config.js';
+import { AuthService } from './auth.js';
+import { DataService } from './data-service.js';
+import { EventBus } from './event-bus.js';
+
+export class TabSync {
+
+    /**
+     * Klucze cache, które po zmianie w innej karcie pobieramy ponownie
+     */
+    static REFRESHERS = {
+        companies: () => DataService.loadCompanies(false),
+        contacts: () => DataService.loadContacts(false),
+        activities: () => DataService.loadActivities(false),
+        tags_companies: () => DataService.loadCompanyTags(false),
+        tags_contacts: () => DataService.loadContactTags(false),
+        company_tag_relations: () => DataService.loadCompanyTagRelations(null, false),
+        contact_tag_relations: () => DataService.loadContactTagRelations(null, false),
+        history_companies: () => DataService.loadCompanyHistory(null, false),
+        history_contacts: () => DataService.loadContactHistory(null, false),
+        customFields: () => DataService.loadCustomFields(false),
+        customFieldValues: () => DataService.loadCustomFieldValuesIndex(false),
+        versions: () => DataService.loadAllVersions(false),
+        deals: () => DataService.loadDeals(false),
+        pipeline_stages: () => DataService.loadPipelineStages(false)
+    };
+
+    static channel = null;
+    static receiving = false;
+    static refreshing = new Map();
+
+    static install() {
+        if (this.channel || typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel(CONFIG.SYNC.CHANNEL);
+        this.channel.onmessage = (event) => this.receive(event.data);
+
+        const clearCache = DataService.clearCache.bind(DataService);
+        DataService.clearCache = (key = null) => {
+            const result = clearCache(key);
+            if (!this.receiving) this.post({ type: 'cache:clear', key });
+            return result;
+        };
+        this.clearCache = clearCache;
+
+        EventBus.on('*', (payload, type) => {
+            if (!this.receiving) this.post({ type: 'event', event: type, payload });
+        });
+
+        const logout = AuthService.logout.bind(AuthService);
+        AuthService.logout = (...args) => {
+            this.post({ type: 'logout' });
+            return logout(...args);
+        };
+    }
+
+    static post(message) {
+        try {
+            this.channel.postMessage({ ...message, sender: AuthService.getUserEmail() || '' });
+        } catch (error) {
+            // Payload, którego nie da się sklonować, nie może zablokować zapisu
+            console.warn('Nie udało się rozesłać zmiany do innych kart:', error);
+        }
+    }
+
+    static receive(message) {
+        if (!message || !message.type) return;
+        // Inny użytkownik w tej samej przeglądarce (po przelogowaniu) - jego zmiany nas nie dotyczą
+        if (message.sender && message.sender !== (AuthService.getUserEmail() || '')) return;
+
+        this.receiving = true;
+        try {
+            if (message.type === 'cache:clear') {
+                this.applyCacheClear(message.key);
+            } else if (message.type === 'event') {
+                if (message.event === 'customFields:updated') this.applyCustomFieldValues(message.payload);
+                EventBus.emit(message.event, message.payload);
+            } else if (message.type === 'logout') {
+                // Token odwołała już karta, która się wylogowała
+                AuthService.clearSession();
+                AuthService.redirectToLogin();
+            }
+        } catch (error) {
+            console.warn('Błąd obsługi komunikatu z innej karty:', error);
+        } finally {
+            this.receiving = false;
+        }
+    }
+
+    static applyCacheClear(key) {
+        const keys = key ? [key] : [...DataService.cache.keys()];
+        const used = keys.filter(k => DataService.cache.has(k) && this.REFRESHERS[k]);
+        this.clearCache(key);
+        used.forEach(k => this.refresh(k));
+    }
+
+    /**
+     * Wartości pól własnych zapisane w innej karcie - podmieniamy wpis w indeksie;
+     * gdy karta go nie zna (nowy rekord), pobieramy indeks ponownie
+     */
+    static applyCustomFieldValues({ entityType, entityId, values } = {}) {
+        const index = DataService.updateCachedCustomFieldValues(entityType, entityId, { values: values || {} });
+        if (index) {
+            DataService.notifyCacheUpdate('customFieldValues', index);
+        } else {
+            this.applyCacheClear('customFieldValues');
+        }
+    }
+
+    static refresh(key) {
+        if (this.refreshing.has(key) || !DataService.cacheListeners.size) return;
+
+        const task = (async () => {
+            try {
+                const fresh = await DataService.inBackground(this.REFRESHERS[key]);
+                DataService.notifyCacheUpdate(key, fresh);
+            } catch (error) {
+                console.warn(`Odświeżenie "${key}" po zmianie w innej karcie nie powiodło się:`, error);
+            } finally {
+                this.refreshing.delete(key);
+            }
+        })();
+        this.refreshing.set(key, task);
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.TabSync = TabSync;
+}
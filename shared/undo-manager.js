@@ -0,0 +1,207 @@
+/**
+ * SIMPLIFY CRM - Undo Manager
+ * ============================
+ * Historia cofania operacji destrukcyjnych w obrębie sesji przeglądarki.
+ * - UndoManager.install() opakowuje metody DataService z RECIPES (jak OutboxService),
+ * - przed wywołaniem przepis zbiera stan potrzebny do odwrócenia operacji,
+ *   po udanym wywołaniu na stos trafia krok { label, method, args } - też wywołanie DataService,
+ * - stos żyje w sessionStorage, więc przetrwa przejście między modułami,
+ * - wystąpienia serii utworzone po zmianie statusu (ukończenie planuje następne) są dopisywane
+ *   do tego kroku (created) i przy cofnięciu usuwane trwale - termin wraca do puli serii.
+ *
+ * Cofnięcie nie trafia na stos (nie ma "ponów"). Toast "Cofnij" montuje app-shell.js.
+ */
+
+import { CONFIG } from './config.js';
+import { DataService } from './data-service.js';
+
+export class UndoManager {
+
+    /**
+     * Przepisy odwrotności: prepare(args) zbiera stan przed wywołaniem (może zwrócić null = nie zapisuj kroku),
+     * inverse(args, prepared) zwraca krok cofający
+     */
+    static RECIPES = {
+        deleteCompany: {
+            inverse: ([id]) => ({ label: 'Usunięto firmę', method: 'restoreFromTrash', args: ['company', id] })
+        },
+        deleteContact: {
+            inverse: ([id]) => ({ label: 'Usunięto kontakt', method: 'restoreFromTrash', args: ['contact', id] })
+        },
+        deleteActivity: {
+            inverse: ([id]) => ({ label: 'Usunięto aktywność', method: 'restoreFromTrash', args: ['activity', id] })
+        },
+        deleteDeal: {
+            inverse: ([id]) => ({ label: 'Usunięto deal', method: 'restoreFromTrash', args: ['deal', id] })
+        },
+        deleteCompanyTag: {
+            inverse: ([id]) => ({ label: 'Usunięto etykietę', method: 'restoreFromTrash', args: ['companyTag', id] })
+        },
+        deleteContactTag: {
+            inverse: ([id]) => ({ label: 'Usunięto etykietę', method: 'restoreFromTrash', args: ['contactTag', id] })
+        },
+        removeTagFromCompany: {
+            prepare: async ([relationId]) => (await DataService.loadCompanyTagRelations()).find(r => r.id === relationId) || null,
+            inverse: (args, relation) => ({ label: 'Odpięto etykietę', method: 'assignTagToCompany', args: [relation.companyId, relation.tagId] })
+        },
+        removeTagFromContact: {
+            prepare: async ([relationId]) => (await DataService.loadContactTagRelations()).find(r => r.id === relationId) || null,
+            inverse: (args, relation) => ({ label: 'Odpięto etykietę', method: 'assignTagToContact', args: [relation.contactId, relation.tagId] })
+        },
+        saveActivity: {
+            // Tylko zmiana statusu (ukończenie / anulowanie) - zwykła edycja ma swoje Wersje i historię
+            prepare: async ([activity, isUpdate]) => {
+                if (!isUpdate || !activity) return null;
+                const before = (await DataService.loadActivities()).find(a => a.id === activity.id);
+                return before && before.status !== activity.status ? { ...before } : null;
+            },
+            inverse: ([activity], before) => ({
+                label: activity.status === CONFIG.ACTIVITIES.STATUSES.COMPLETED ? 'Ukończono aktywność' : 'Zmieniono status aktywności',
+                method: 'saveActivity',
+                // Wersja po zapisie - cofnięcie to kolejny zapis tej samej aktywności
+                args: [{ ...before, version: activity.version }, true],
+                seriesId: before.seriesId || ''
+            }),
+            // Nowe wystąpienie serii należy do ostatniego kroku, jeśli ten zmienił status w tej samej serii
+            followUp: ([activity, isUpdate]) => !isUpdate && activity && activity.seriesId
+                ? { seriesId: activity.seriesId, id: activity.id }
+                : null
+        }
+    };
+
+    static originals = {};
+    static listeners = new Set();
+    static undoing = false;
+
+    static install() {
+        if (Object.keys(this.originals).length) return;
+
+        Object.keys(this.RECIPES).forEach(method => {
+            const original = DataService[method].bind(DataService);
+            this.originals[method] = original;
+            DataService[method] = (...args) => this.run(method, args);
+        });
+    }
+
+    static async run(method, args) {
+        const original = this.originals[method];
+        if (this.undoing) return original(...args);
+
+        const recipe = this.RECIPES[method];
+        let prepared;
+        if (recipe.prepare) {
+            try {
+                prepared = await recipe.prepare(args);
+            } catch (error) {
+                console.warn(`Cofanie ${method} niedostępne:`, error);
+                prepared = null;
+            }
+            if (!prepared) {
+                const result = await original(...args);
+                if (recipe.followUp) this.attach(recipe.followUp(args));
+                return result;
+            }
+        }
+
+        const result = await original(...args);
+        this.record(recipe.inverse(args, prepared));
+        return result;
+    }
+
+    static record(step) {
+        const entry = {
+            id: DataService.generateId(),
+            createdAt: new Date().toISOString(),
+            ...step
+        };
+        const stack = [...this.list(), entry].slice(-CONFIG.UNDO.MAX_STEPS);
+        this.save(stack);
+        this.notify({ action: 'recorded', entry });
+        return entry;
+    }
+
+    /**
+     * Dopisuje rekord utworzony jako skutek ostatniego kroku (np. następne wystąpienie serii)
+     * @param {{seriesId: string, id: string}|null} created
+     */
+    static attach(created) {
+        if (!created || !created.id) return;
+
+        const stack = this.list();
+        const entry = stack[stack.length - 1];
+        if (!entry || !entry.seriesId || entry.seriesId !== created.seriesId) return;
+
+        entry.created = [...(entry.created || []), created.id];
+        this.save(stack);
+    }
+
+    /**
+     * @returns {Array<{id, label, method, args, createdAt, seriesId?, created?}>} Kroki od najstarszego
+     */
+    static list() {
+        try {
+            return JSON.parse(sessionStorage.getItem(CONFIG.UNDO.SESSION_KEY) || '[]');
+        } catch (_) {
+            return [];
+        }
+    }
+
+    static save(stack) {
+        try {
+            sessionStorage.setItem(CONFIG.UNDO.SESSION_KEY, JSON.stringify(stack));
+        } catch (_) {}
+    }
+
+    /**
+     * Cofa wskazany krok (domyślnie ostatni). Krok znika ze stosu dopiero po udanym cofnięciu.
+     * @returns {Promise<Object|null>} Cofnięty krok lub null, gdy stos jest pusty
+     */
+    static async undo(entryId = null) {
+        const stack = this.list();
+        const entry = entryId ? stack.find(e => e.id === entryId) : stack[stack.length - 1];
+        if (!entry) return null;
+
+        this.undoing = true;
+        let pending;
+        try {
+            // Flaga działa tylko na synchroniczny początek wywołania - tam wrapper decyduje o zapisie kroku
+            pending = DataService[entry.method](...entry.args);
+        } finally {
+            this.undoing = false;
+        }
+        await pending;
+
+        // Trwale, nie do kosza - wystąpienie w koszu nadal zajmowałoby swój termin w serii
+        for (const id of entry.created || []) {
+            await DataService.purgeFromTrash('activity', id);
+        }
+
+        this.save(this.list().filter(e => e.id !== entry.id));
+        this.notify({ action: 'undone', entry });
+        return entry;
+    }
+
+    /**
+     * @param {Function} listener - ({action: 'recorded'|'undone', entry}) => void
+     * @returns {Function} Wyrejestrowanie
+     */
+    static onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    static notify(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (e) {
+                console.warn('Undo listener error:', e);
+            }
+        });
+    }
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.UndoManager = UndoManager;
+}
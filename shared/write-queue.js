@@ -0,0 +1,207 @@
+/**
+ * SIMPLIFY CRM - Write Queue
+ * ===========================
+ * Kolejka operacji na adapterze danych, opróżniana raz na tick (setTimeout 0).
+ * Operacje zebrane w jednym ticku są łączone:
+ * - update  -> values.batchUpdate
+ * - clear   -> values.batchClear
+ * - append  -> jeden values.append na arkusz (wiersze sklejone w kolejności)
+ * - get     -> values.batchGet
+ *
+ * Kolejność jest zachowana: łączymy tylko kolejne operacje tego samego rodzaju.
+ * Cały batch ma jedną politykę ponowień; błąd 400 (np. brak arkusza) rozbija batch
+ * na pojedyncze wywołania, żeby jedna zła operacja nie blokowała pozostałych.
+ *
+ * Z RequestSchedulerem każde fizyczne żądanie (także ponowienie) pobiera token limitu.
+ * Batch idzie kolejką 'interactive', jeśli zawiera choć jedną operację z tej kolejki.
+ */
+
+export class WriteQueue {
+    /**
+     * @param {Object} adapter - Adapter z batchGet/batchUpdate/batchClear
+     * @param {Function} retry - (fn) => Promise, polityka ponowień dla całego batcha
+     * @param {RequestScheduler|null} scheduler - Limity zapytań (null = bez limitów, np. IndexedDB)
+     */
+    constructor(adapter, retry, scheduler = null) {
+        this.adapter = adapter;
+        this.retry = retry;
+        this.scheduler = scheduler;
+        this.name = adapter.name;
+        this.requiresGapi = adapter.requiresGapi;
+        this.pending = [];
+        this.flushing = null;
+        this.scheduled = false;
+    }
+
+    get(sheet, range) {
+        return this.enqueue('get', sheet, range);
+    }
+
+    append(sheet, range, values) {
+        return this.enqueue('append', sheet, range, values);
+    }
+
+    update(sheet, range, values) {
+        return this.enqueue('update', sheet, range, values);
+    }
+
+    clear(sheet, range) {
+        return this.enqueue('clear', sheet, range);
+    }
+
+    // Operacje strukturalne nie są łączone - czekają na opróżnienie kolejki
+
+    async listSheets() {
+        await this.idle();
+        return this.send('read', this.lane(), () => this.adapter.listSheets());
+    }
+
+    async createSheet(title) {
+        await this.idle();
+        return this.send('write', this.lane(), () => this.adapter.createSheet(title));
+    }
+
+    async deleteRows(sheet, ranges) {
+        await this.idle();
+        return this.send('write', this.lane(), () => this.adapter.deleteRows(sheet, ranges));
+    }
+
+    enqueue(kind, sheet, range, values) {
+        const lane = this.lane();
+        return new Promise((resolve, reject) => {
+            this.pending.push({ kind, sheet, range, values, lane, resolve, reject });
+            if (!this.scheduled) {
+                this.scheduled = true;
+                setTimeout(() => this.flush(), 0);
+            }
+        });
+    }
+
+    /**
+     * Czeka, aż wszystkie zaplanowane operacje zostaną wykonane
+     */
+    async idle() {
+        while (this.scheduled || this.flushing) {
+            await (this.flushing || new Promise(resolve => setTimeout(resolve, 0)));
+        }
+    }
+
+    async flush() {
+        if (this.flushing) {
+            await this.flushing;
+        }
+
+        const batch = this.pending;
+        this.pending = [];
+        this.scheduled = false;
+
+        this.flushing = (async () => {
+            for (const segment of this.segments(batch)) {
+                await this.runSegment(segment);
+            }
+        })();
+
+        try {
+            await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    /**
+     * Dzieli batch na kolejne grupy operacji tego samego rodzaju
+     */
+    segments(batch) {
+        const result = [];
+        batch.forEach(op => {
+            const last = result[result.length - 1];
+            if (last && last.kind === op.kind) {
+                last.ops.push(op);
+            } else {
+                result.push({ kind: op.kind, ops: [op] });
+            }
+        });
+        return result;
+    }
+
+    async runSegment({ kind, ops }) {
+        if (kind === 'append') {
+            // Jeden append na arkusz/zakres
+            const groups = new Map();
+            ops.forEach(op => {
+                const key = `${op.sheet}!${op.range}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(op);
+            });
+            for (const group of groups.values()) {
+                await this.execute(group, () => this.adapter.append(group[0].sheet, group[0].range, group.flatMap(op => op.values)));
+            }
+            return;
+        }
+
+        const call = {
+            get: () => this.adapter.batchGet(ops.map(({ sheet, range }) => ({ sheet, range }))),
+            update: () => this.adapter.batchUpdate(ops.map(({ sheet, range, values }) => ({ sheet, range, values }))),
+            clear: () => this.adapter.batchClear(ops.map(({ sheet, range }) => ({ sheet, range })))
+        }[kind];
+
+        await this.execute(ops, call, kind === 'get');
+    }
+
+    async execute(ops, call, perOpResults = false) {
+        const quota = ops[0].kind === 'get' ? 'read' : 'write';
+        const lane = ops.some(op => op.lane === 'interactive') ? 'interactive' : 'background';
+        try {
+            const result = await this.retry(() => this.send(quota, lane, call));
+            ops.forEach((op, i) => op.resolve(perOpResults ? result[i] : undefined));
+        } catch (error) {
+            if (ops.length > 1 && isBadRequest(error)) {
+                await this.executeIndividually(ops);
+                return;
+            }
+            markRetried(error);
+            ops.forEach(op => op.reject(error));
+        }
+    }
+
+    async executeIndividually(ops) {
+        for (const op of ops) {
+            try {
+                const args = op.kind === 'get' || op.kind === 'clear'
+                    ? [op.sheet, op.range]
+                    : [op.sheet, op.range, op.values];
+                const quota = op.kind === 'get' ? 'read' : 'write';
+                op.resolve(await this.send(quota, op.lane, () => this.adapter[op.kind](...args)));
+            } catch (error) {
+                markRetried(error);
+                op.reject(error);
+            }
+        }
+    }
+
+    /**
+     * Kolejka bieżącego wywołania - ustalana synchronicznie, w chwili zlecenia operacji
+     */
+    lane() {
+        return this.scheduler ? this.scheduler.currentLane : 'interactive';
+    }
+
+    send(quota, lane, call) {
+        return this.scheduler ? this.scheduler.schedule(quota, lane, call) : call();
+    }
+}
+
+// Zewnętrzny retryRequest nie powinien ponawiać błędu, który przeszedł już politykę batcha
+function markRetried(error) {
+    if (error && typeof error === 'object') error.retried = true;
+}
+
+// Błędy są już sklasyfikowane przez politykę ponowień (RequestError ma status 400)
+function isBadRequest(error) {
+    return !!error && error.status === 400;
+}
+
+// Export dla kompatybilności bez ES6 modules
+if (typeof window !== 'undefined') {
+    window.WriteQueue = WriteQueue;
+}
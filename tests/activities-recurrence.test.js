@@ -0,0 +1,87 @@
+/**
+ * SIMPLIFY CRM - Testy serii aktywności
+ * =====================================
+ * Uruchomienie: node --test tests/
+ * Arkusze w pamięci (MemoryStorageAdapter) - ten sam zapis i odczyt wierszy co w Sheets,
+ * łącznie z kolumną recurrence w JSON.
+ */
+
+import './helpers/setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../shared/config.js';
+import { SCHEMA } from '../shared/schema.js';
+import { DataService } from '../shared/data-service.js';
+import { ActivitiesService } from '../shared/activities-service.js';
+import { MemoryStorageAdapter } from './helpers/memory-storage.js';
+
+const HORIZON_DAYS = CONFIG.ACTIVITIES.RECURRENCE.HORIZON_DAYS;
+
+const tomorrow = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    date.setHours(10, 0, 0, 0);
+    return date.toISOString();
+};
+
+const activities = async () => (await DataService.loadActivities(false))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+const planned = async (seriesId) => (await activities())
+    .filter(a => !seriesId || a.seriesId === seriesId);
+
+beforeEach(() => {
+    CONFIG.ACTIVITIES.RECURRENCE.HORIZON_DAYS = HORIZON_DAYS;
+    DataService.setStorageAdapter(new MemoryStorageAdapter({
+        [CONFIG.SHEETS.ACTIVITIES]: [SCHEMA[CONFIG.SHEETS.ACTIVITIES]]
+    }));
+});
+
+test('edycja "tylko to wystąpienie" pierwszego wiersza nie zmienia nowych wystąpień', async () => {
+    CONFIG.ACTIVITIES.RECURRENCE.HORIZON_DAYS = 2;
+    const first = await ActivitiesService.createActivity({
+        type: 'MEETING',
+        title: 'Standup',
+        date: tomorrow(),
+        notes: 'Sala 1',
+        companyId: 'company-1',
+        recurrence: { freq: 'daily', interval: 1 },
+        reminders: [15]
+    });
+
+    await ActivitiesService.updateActivity(first.id, { title: 'Standup przeniesiony', notes: 'Sala 2', reminders: [] }, 'this');
+
+    // Horyzont przesuwa się z czasem - materializeUpcoming dopisuje kolejne wystąpienia
+    const before = (await activities()).length;
+    CONFIG.ACTIVITIES.RECURRENCE.HORIZON_DAYS = 6;
+    const created = await ActivitiesService.materializeUpcoming();
+
+    assert.ok(created.length > 0);
+    assert.equal((await activities()).length, before + created.length);
+    created.forEach(occurrence => {
+        assert.equal(occurrence.title, 'Standup');
+        assert.equal(occurrence.notes, 'Sala 1');
+        assert.deepEqual(occurrence.reminders, [15]);
+    });
+    assert.equal((await activities()).find(a => a.id === first.id).title, 'Standup przeniesiony');
+});
+
+test('"to i przyszłe" w serii z limitem count nie przekracza limitu', async () => {
+    const first = await ActivitiesService.createActivity({
+        type: 'TASK',
+        title: 'Raport',
+        date: tomorrow(),
+        companyId: 'company-1',
+        recurrence: { freq: 'daily', interval: 1, count: 5 }
+    });
+    assert.equal((await planned(first.seriesId)).length, 5);
+
+    const third = (await planned(first.seriesId))[2];
+    const updated = await ActivitiesService.updateActivity(third.id, { title: 'Raport tygodniowy' }, 'future');
+
+    assert.equal(updated.recurrence.count, 3);
+    assert.equal((await planned(first.seriesId)).length, 2);
+    assert.equal((await planned(updated.seriesId)).length, 3);
+    assert.equal((await planned()).length, 5);
+});
@@ -0,0 +1,43 @@
+/**
+ * SIMPLIFY CRM - Adapter w pamięci (testy)
+ * =========================================
+ * Ta sama semantyka zakresów A1 co IndexedDBStorageAdapter,
+ * ale arkusze trzymamy w Map zamiast w IndexedDB.
+ */
+
+import { IndexedDBStorageAdapter } from '../../shared/storage-adapters.js';
+
+export class MemoryStorageAdapter extends IndexedDBStorageAdapter {
+    constructor(sheets = {}) {
+        super();
+        this.name = 'memory';
+        this.sheets = new Map(Object.entries(sheets).map(([name, rows]) => [name, clone(rows)]));
+    }
+
+    async readSheet(sheet) {
+        return clone(this.sheets.get(sheet) || []);
+    }
+
+    async modifySheet(sheet, mutate) {
+        this.sheets.set(sheet, clone(mutate(clone(this.sheets.get(sheet) || []))));
+    }
+
+    async listSheets() {
+        return [...this.sheets.keys()].map(title => ({ title, sheetId: title }));
+    }
+
+    async reset() {
+        this.sheets.clear();
+    }
+
+    /**
+     * Surowe wiersze arkusza (do asercji)
+     */
+    rows(sheet) {
+        return clone(this.sheets.get(sheet) || []);
+    }
+}
+
+function clone(rows) {
+    return JSON.parse(JSON.stringify(rows));
+}
@@ -0,0 +1,37 @@
+/**
+ * SIMPLIFY CRM - Środowisko testów
+ * =================================
+ * Minimalne zamienniki API przeglądarki dla node --test.
+ * Importować jako pierwszy moduł w pliku testu.
+ */
+
+class MemoryWebStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+globalThis.localStorage = globalThis.localStorage || new MemoryWebStorage();
+globalThis.sessionStorage = globalThis.sessionStorage || new MemoryWebStorage();
+
+// Logi serwisów (✓ ..., ⚠️ Retry ..., oczekiwane błędy) zaśmiecałyby wyjście TAP -
+// wynik testu niosą asercje
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
@@ -0,0 +1,98 @@
+/**
+ * SIMPLIFY CRM - Testy skanu spójności
+ * =====================================
+ * Uruchomienie: node --test tests/
+ */
+
+import './helpers/setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../shared/config.js';
+import { SCHEMA } from '../shared/schema.js';
+import { DataService } from '../shared/data-service.js';
+import { IntegrityService } from '../shared/integrity-service.js';
+import { MemoryStorageAdapter } from './helpers/memory-storage.js';
+
+const S = CONFIG.SHEETS;
+const TRASHED = { deletedAt: '2024-01-01T00:00:00.000Z', deletedBy: 'test@example.com' };
+let storage;
+
+/**
+ * Arkusz z nagłówkiem ze SCHEMA; wiersze podajemy jako obiekty kolumna -> wartość
+ */
+function sheet(name, records) {
+    const columns = SCHEMA[name];
+    return [columns, ...records.map(record => columns.map(column => record[column] ?? ''))];
+}
+
+const column = (name, row, field) => row[SCHEMA[name].indexOf(field)] || '';
+const ids = (issues) => issues.map(issue => issue.id).sort();
+
+beforeEach(() => {
+    storage = new MemoryStorageAdapter({
+        [S.COMPANIES]: sheet(S.COMPANIES, [
+            { id: 'company-1', name: 'Acme' },
+            { id: 'company-2', name: 'W koszu', ...TRASHED }
+        ]),
+        [S.CONTACTS]: sheet(S.CONTACTS, [
+            { id: 'contact-1', companyId: 'company-1', name: 'Jan' },
+            { id: 'contact-2', companyId: 'company-gone', name: 'Anna' }
+        ]),
+        [S.TAGS_COMPANIES]: sheet(S.TAGS_COMPANIES, [
+            { id: 'tag-1', name: 'VIP' },
+            { id: 'tag-2', name: 'Stara', ...TRASHED }
+        ]),
+        [S.COMPANY_TAGS_RELATIONS]: sheet(S.COMPANY_TAGS_RELATIONS, [
+            { id: 'rel-1', companyId: 'company-1', tagId: 'tag-1' },
+            { id: 'rel-2', companyId: 'company-1', tagId: 'tag-2' },
+            { id: 'rel-3', companyId: 'company-2', tagId: 'tag-1' }
+        ]),
+        [S.ACTIVITIES]: sheet(S.ACTIVITIES, [
+            { id: 'act-1', title: 'Jedno odwołanie', companyId: 'company-gone', contactId: 'contact-1' },
+            { id: 'act-2', title: 'Jedyny rodzic', companyId: 'company-gone' },
+            { id: 'act-3', title: 'Oba odwołania', companyId: 'company-gone', contactId: 'contact-gone' },
+            { id: 'act-4', title: 'Firma w koszu', companyId: 'company-2' }
+        ])
+    });
+    DataService.setStorageAdapter(storage);
+});
+
+test('skan: rekordy w koszu istnieją, etykiety w koszu - nie', async () => {
+    const { categories } = await IntegrityService.scan();
+
+    assert.deepEqual(ids(categories.orphanContactCompany), ['contact-2']);
+    assert.deepEqual(ids(categories.orphanTagRelation), ['rel-2']);
+    assert.deepEqual(ids(categories.activityOrphanRef), ['act-1']);
+    assert.deepEqual(ids(categories.activityWithoutParent), ['act-2', 'act-3']);
+});
+
+test('poprawka odwołań nie zostawia aktywności bez rodzica', async () => {
+    const { categories } = await IntegrityService.scan();
+
+    const refs = await IntegrityService.fix('activityOrphanRef', categories.activityOrphanRef);
+    const parents = await IntegrityService.fix('activityWithoutParent', categories.activityWithoutParent);
+    assert.deepEqual([refs.fixed, parents.fixed], [1, 2]);
+
+    const rows = storage.rows(S.ACTIVITIES).slice(1);
+    const act = (id) => rows.find(row => row[0] === id);
+    assert.equal(column(S.ACTIVITIES, act('act-1'), 'companyId'), '');
+    assert.equal(column(S.ACTIVITIES, act('act-1'), 'contactId'), 'contact-1');
+    assert.ok(column(S.ACTIVITIES, act('act-2'), 'deletedAt'));
+    assert.ok(column(S.ACTIVITIES, act('act-3'), 'deletedAt'));
+    assert.equal(column(S.ACTIVITIES, act('act-4'), 'deletedAt'), '');
+
+    const rescan = await IntegrityService.scan();
+    assert.equal(rescan.categories.activityOrphanRef.length + rescan.categories.activityWithoutParent.length, 0);
+});
+
+test('wiersz zmieniony po skanie jest pomijany', async () => {
+    const { categories } = await IntegrityService.scan();
+    await storage.update(S.CONTACTS, 'C3:C3', [['Anna (zmieniona)']]);
+
+    const result = await IntegrityService.fix('orphanContactCompany', categories.orphanContactCompany);
+
+    assert.equal(result.fixed, 0);
+    assert.equal(result.skipped.length, 1);
+    assert.equal(column(S.CONTACTS, storage.rows(S.CONTACTS)[2], 'companyId'), 'company-gone');
+});
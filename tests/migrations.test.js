@@ -0,0 +1,81 @@
+/**
+ * SIMPLIFY CRM - Testy migracji schematu
+ * =======================================
+ * Uruchomienie: node --test tests/
+ */
+
+import './helpers/setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../shared/config.js';
+import { DataService } from '../shared/data-service.js';
+import { MigrationService } from '../shared/migrations.js';
+import { SchemaVersionError } from '../shared/errors.js';
+import { MemoryStorageAdapter } from './helpers/memory-storage.js';
+
+const META = CONFIG.SHEETS.META;
+let storage;
+
+beforeEach(() => {
+    // Arkusz sprzed wersjonowania: bez kolumn version/updatedAt i z wierszem bez id
+    storage = new MemoryStorageAdapter({
+        [CONFIG.SHEETS.COMPANIES]: [
+            ['id', 'name', 'industry', 'notes', 'website', 'phone', 'city', 'country', 'domain'],
+            ['company-1', 'Acme'],
+            ['', 'Bez id']
+        ]
+    });
+    DataService.setStorageAdapter(storage);
+});
+
+test('migracje podnoszą arkusz do SCHEMA_VERSION i nie wykonują się drugi raz', async () => {
+    const result = await MigrationService.migrate();
+
+    assert.equal(result.from, 0);
+    assert.equal(result.to, DataService.SCHEMA_VERSION);
+    assert.equal(await DataService.getSheetSchemaVersion(false), DataService.SCHEMA_VERSION);
+
+    const companies = storage.rows(CONFIG.SHEETS.COMPANIES);
+    assert.ok(companies[0].includes('version'));
+    assert.ok(companies[2][0], 'wiersz bez id dostał id');
+
+    const again = await MigrationService.migrate();
+    assert.deepEqual(again.applied, []);
+});
+
+test('zdublowany klucz Meta: odczyt bierze najnowszy wpis, zapis nadpisuje wszystkie kopie', async () => {
+    storage = new MemoryStorageAdapter({
+        [META]: [
+            ['key', 'value', 'updatedAt', 'updatedBy'],
+            ['schemaVersion', '0', '2024-01-02T00:00:00.000Z', 'a@example.com'],
+            ['schemaVersion', '1', '2024-01-02T00:00:05.000Z', 'b@example.com']
+        ]
+    });
+    DataService.setStorageAdapter(storage);
+
+    assert.equal(await DataService.getSheetSchemaVersion(false), 1);
+
+    await DataService.saveMeta('schemaVersion', DataService.SCHEMA_VERSION);
+
+    const values = storage.rows(META).filter(row => row[0] === 'schemaVersion').map(row => row[1]);
+    assert.deepEqual(values, [String(DataService.SCHEMA_VERSION), String(DataService.SCHEMA_VERSION)]);
+    assert.equal(await DataService.getSheetSchemaVersion(false), DataService.SCHEMA_VERSION);
+});
+
+test('arkusz w nowszej wersji schematu blokuje zapis', async () => {
+    storage = new MemoryStorageAdapter({
+        [META]: [
+            ['key', 'value', 'updatedAt', 'updatedBy'],
+            ['schemaVersion', String(DataService.SCHEMA_VERSION + 1), new Date().toISOString(), '']
+        ]
+    });
+    DataService.setStorageAdapter(storage);
+
+    await assert.rejects(
+        DataService.storage.update(CONFIG.SHEETS.COMPANIES, 'A2:B2', [['company-2', 'Nowa']]),
+        SchemaVersionError
+    );
+    await assert.rejects(MigrationService.migrate(), SchemaVersionError);
+    assert.deepEqual(storage.rows(CONFIG.SHEETS.COMPANIES), []);
+});
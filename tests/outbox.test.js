@@ -0,0 +1,127 @@
+/**
+ * SIMPLIFY CRM - Testy kolejki offline
+ * =====================================
+ * Uruchomienie: node --test tests/
+ * IndexedDB outboxa zastępuje Map w pamięci, brak sieci - navigator.onLine = false.
+ */
+
+import './helpers/setup.js';
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../shared/config.js';
+import { IDB } from '../shared/idb.js';
+import { DataService } from '../shared/data-service.js';
+import { OutboxService } from '../shared/outbox.js';
+import { ConflictError } from '../shared/errors.js';
+import { MemoryStorageAdapter } from './helpers/memory-storage.js';
+
+const COMPANIES = CONFIG.SHEETS.COMPANIES;
+const HISTORY = CONFIG.SHEETS.HISTORY_COMPANIES;
+const HEADER = ['id', 'name', 'industry', 'notes', 'website', 'phone', 'city', 'country', 'domain', 'version', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+let storage;
+let failures = [];
+const stores = new Map();
+let seq = 0;
+
+function setOnline(onLine) {
+    Object.defineProperty(globalThis, 'navigator', { value: { onLine }, configurable: true, writable: true });
+}
+
+function useStorage(companies) {
+    storage = new MemoryStorageAdapter({ [COMPANIES]: [HEADER, ...companies] });
+    storage.requiresGapi = true;
+    DataService.setStorageAdapter(storage);
+}
+
+before(async () => {
+    // Magazyny IndexedDB w pamięci
+    const store = (name) => stores.get(name) || stores.set(name, new Map()).get(name);
+    IDB.isAvailable = () => true;
+    IDB.open = async (name) => name;
+    IDB.put = async (db, name, record) => {
+        if (record.seq === undefined) record.seq = ++seq;
+        store(`${db}/${name}`).set(record.seq, JSON.parse(JSON.stringify(record)));
+        return record.seq;
+    };
+    IDB.getAll = async (db, name) => [...store(`${db}/${name}`).values()];
+    IDB.delete = async (db, name, key) => {
+        store(`${db}/${name}`).delete(key);
+    };
+    globalThis.window = globalThis.window || new EventTarget();
+
+    // Mutacja wołająca inną mutację z METHODS - jak zapis z wpisem historii
+    const saveCompany = DataService.saveCompany;
+    DataService.saveCompany = async function (company, isUpdate = false) {
+        const id = await saveCompany.call(this, company, isUpdate);
+        await this.logCompanyHistory(id, 'event', isUpdate ? 'Edycja' : 'Utworzenie');
+        return id;
+    };
+
+    setOnline(true);
+    useStorage([]);
+    await OutboxService.install();
+    OutboxService.onChange(state => state.failure && failures.push(state.failure));
+});
+
+beforeEach(() => {
+    failures = [];
+    setOnline(true);
+});
+
+test('offline: zapis trafia do outboxa i od razu do listy w cache, po powrocie sieci do arkusza', async () => {
+    useStorage([['company-1', 'Acme', '', '', '', '', '', '', '', '1']]);
+    await DataService.loadCompanies();
+
+    setOnline(false);
+    const company = { name: 'Nowa firma' };
+    const id = await DataService.saveCompany(company, false);
+
+    assert.ok(id);
+    assert.equal(company.id, id);
+    assert.equal(OutboxService.pending, 1);
+    assert.deepEqual((await DataService.loadCompanies()).map(c => [c.id, c.version]), [['company-1', 1], [id, 1]]);
+    assert.equal(storage.rows(COMPANIES).length, 2);
+
+    setOnline(true);
+    assert.equal(await OutboxService.replay(), 1);
+
+    assert.equal(OutboxService.pending, 0);
+    assert.deepEqual(storage.rows(COMPANIES)[2].slice(0, 2), [id, 'Nowa firma']);
+    // Wywołanie zagnieżdżone w odtwarzanej mutacji poszło od razu, a nie na koniec outboxa
+    assert.equal(storage.rows(HISTORY)[0][1], id);
+    assert.equal((await OutboxService.list()).length, 0);
+});
+
+test('mutacja odrzucona przy odtwarzaniu wycofuje optymistyczną kopię z cache', async () => {
+    useStorage([['company-1', 'Acme', '', '', '', '', '', '', '', '2']]);
+    const [stale] = await DataService.loadCompanies();
+    stale.version = 1;
+    DataService.setCache('companies', [stale]);
+
+    setOnline(false);
+    await DataService.saveCompany({ ...stale, name: 'Acme (offline)' }, true);
+    assert.equal((await DataService.loadCompanies())[0].name, 'Acme (offline)');
+
+    setOnline(true);
+    assert.equal(await OutboxService.replay(), 0);
+
+    assert.equal(failures.length, 1);
+    assert.ok(failures[0].error instanceof ConflictError);
+    const [company] = await DataService.loadCompanies();
+    assert.deepEqual([company.name, company.version], ['Acme', 2]);
+});
+
+test('delete offline usuwa rekord z listy w cache', async () => {
+    useStorage([['company-1', 'Acme', '', '', '', '', '', '', '', '1']]);
+    await DataService.loadCompanies();
+
+    setOnline(false);
+    await DataService.deleteCompany('company-1');
+    assert.deepEqual(await DataService.loadCompanies(), []);
+
+    setOnline(true);
+    await OutboxService.replay();
+    assert.ok(storage.rows(COMPANIES)[1][11], 'deletedAt ustawione w arkuszu');
+});
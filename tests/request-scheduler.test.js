@@ -0,0 +1,69 @@
+/**
+ * SIMPLIFY CRM - Testy limitów zapytań
+ * =====================================
+ * Uruchomienie: node --test tests/
+ */
+
+import './helpers/setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../shared/config.js';
+import { DataService } from '../shared/data-service.js';
+import { RequestScheduler } from '../shared/request-scheduler.js';
+import { MemoryStorageAdapter } from './helpers/memory-storage.js';
+
+// 1 token na start, kolejny co 10 ms
+const QUOTA = { BURST: 1, READS_PER_MINUTE: 6000, WRITES_PER_MINUTE: 6000 };
+
+beforeEach(() => {
+    // Stan bucketów jest w localStorage (wspólny dla kart) - każdy test zaczyna z pełnym limitem
+    localStorage.clear();
+});
+
+test('token trafia najpierw do kolejki interactive', async () => {
+    const scheduler = new RequestScheduler(QUOTA);
+    const order = [];
+    const task = (name) => async () => order.push(name);
+
+    await Promise.all([
+        scheduler.schedule('read', 'background', task('background-1')),
+        scheduler.schedule('read', 'background', task('background-2')),
+        scheduler.schedule('read', 'interactive', task('interactive'))
+    ]);
+
+    assert.deepEqual(order, ['background-1', 'interactive', 'background-2']);
+});
+
+test('odpowiedź 429 opróżnia bucket', async () => {
+    const scheduler = new RequestScheduler(QUOTA);
+    const states = [];
+    scheduler.onChange(state => states.push(state));
+
+    await scheduler.schedule('write', 'interactive', async () => 'ok');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await assert.rejects(scheduler.schedule('write', 'interactive', async () => {
+        throw Object.assign(new Error('Quota exceeded'), { status: 429 });
+    }));
+
+    assert.equal(await scheduler.schedule('write', 'interactive', async () => 'po odczekaniu'), 'po odczekaniu');
+    assert.ok(states.some(state => state.throttled), 'kolejne żądanie czekało na odnowienie limitu');
+});
+
+test('zapis zlecony w inBackground trafia do kolejki background mimo sprawdzenia schematu', async () => {
+    const storage = new MemoryStorageAdapter({ [CONFIG.SHEETS.COMPANIES]: [['id', 'name']] });
+    storage.requiresGapi = true;
+    DataService.setStorageAdapter(storage);
+
+    const lanes = [];
+    const schedule = DataService.scheduler.schedule.bind(DataService.scheduler);
+    DataService.scheduler.schedule = (quota, lane, fn) => {
+        lanes.push(`${quota}:${lane}`);
+        return schedule(quota, lane, fn);
+    };
+
+    await DataService.inBackground(() => DataService.storage.update(CONFIG.SHEETS.COMPANIES, 'A2:B2', [['company-1', 'Acme']]));
+
+    assert.deepEqual(lanes, ['read:background', 'write:background']);
+    assert.deepEqual(storage.rows(CONFIG.SHEETS.COMPANIES)[1], ['company-1', 'Acme']);
+});
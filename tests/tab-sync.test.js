@@ -0,0 +1,97 @@
+/**
+ * SIMPLIFY CRM - Testy synchronizacji kart
+ * =========================================
+ * Uruchomienie: node --test tests/
+ * Druga karta to osobny BroadcastChannel na tym samym kanale.
+ */
+
+import './helpers/setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../shared/config.js';
+import { SCHEMA } from '../shared/schema.js';
+import { DataService } from '../shared/data-service.js';
+import { EventBus } from '../shared/event-bus.js';
+import { TabSync } from '../shared/tab-sync.js';
+import { MemoryStorageAdapter } from './helpers/memory-storage.js';
+
+const S = CONFIG.SHEETS;
+let otherTab;
+let received = [];
+let updates = [];
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+before(() => {
+    TabSync.install();
+    otherTab = new BroadcastChannel(CONFIG.SYNC.CHANNEL);
+    otherTab.onmessage = (event) => received.push(event.data);
+    DataService.onCacheUpdate((key, value) => updates.push({ key, value }));
+});
+
+after(() => {
+    otherTab.close();
+    TabSync.channel.close();
+});
+
+beforeEach(async () => {
+    DataService.setStorageAdapter(new MemoryStorageAdapter({
+        [S.COMPANIES]: [SCHEMA[S.COMPANIES], ['company-1', 'Acme (z arkusza)']]
+    }));
+    // setStorageAdapter czyści cache - ten komunikat też dociera do drugiej karty
+    await tick();
+    received = [];
+    updates = [];
+});
+
+test('czyszczenie cache jest rozsyłane do innych kart', async () => {
+    DataService.clearCache('companies');
+    await tick();
+
+    assert.deepEqual(received.map(m => [m.type, m.key]), [['cache:clear', 'companies']]);
+});
+
+test('zmiana z innej karty: używany klucz jest pobierany ponownie i trafia do widoków', async () => {
+    DataService.setCache('companies', [{ id: 'company-1', name: 'Acme (stare)' }]);
+
+    otherTab.postMessage({ type: 'cache:clear', key: 'companies', sender: '' });
+    await tick();
+
+    assert.deepEqual(updates.map(u => [u.key, u.value.map(c => c.name)]), [['companies', ['Acme (z arkusza)']]]);
+    assert.deepEqual(received, [], 'komunikat z innej karty nie jest rozsyłany dalej');
+});
+
+test('pola własne z innej karty podmieniają jeden wpis w indeksie', async () => {
+    DataService.setCache('customFieldValues', {
+        'company:company-1': { id: 'cfv-1', row: 2, values: { size: 'S' } },
+        'company:company-2': { id: 'cfv-2', row: 3, values: { size: 'L' } }
+    });
+    const events = [];
+    const off = EventBus.on('customFields:updated', payload => events.push(payload));
+
+    otherTab.postMessage({
+        type: 'event',
+        event: 'customFields:updated',
+        payload: { entityType: 'company', entityId: 'company-1', values: { size: 'M' } },
+        sender: ''
+    });
+    await tick();
+    off();
+
+    const index = DataService.getCache('customFieldValues');
+    assert.deepEqual(index['company:company-1'], { id: 'cfv-1', row: 2, values: { size: 'M' } });
+    assert.deepEqual(index['company:company-2'].values, { size: 'L' });
+    assert.deepEqual(updates.map(u => u.key), ['customFieldValues']);
+    assert.equal(events.length, 1);
+});
+
+test('komunikaty innego użytkownika są ignorowane', async () => {
+    DataService.setCache('companies', [{ id: 'company-1', name: 'Acme (stare)' }]);
+
+    otherTab.postMessage({ type: 'cache:clear', key: 'companies', sender: 'ktos.inny@example.com' });
+    await tick();
+
+    assert.equal(DataService.getCache('companies')[0].name, 'Acme (stare)');
+    assert.deepEqual(updates, []);
+});
@@ -0,0 +1,102 @@
+/**
+ * SIMPLIFY CRM - Testy cofania operacji
+ * ======================================
+ * Uruchomienie: node --test tests/
+ */
+
+import './helpers/setup.js';
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../shared/config.js';
+import { SCHEMA } from '../shared/schema.js';
+import { DataService } from '../shared/data-service.js';
+import { ActivitiesService } from '../shared/activities-service.js';
+import { UndoManager } from '../shared/undo-manager.js';
+import { MemoryStorageAdapter } from './helpers/memory-storage.js';
+
+const S = CONFIG.SHEETS;
+let storage;
+
+function sheet(name, records) {
+    const columns = SCHEMA[name];
+    return [columns, ...records.map(record => columns.map(column => record[column] ?? ''))];
+}
+
+before(() => {
+    UndoManager.install();
+});
+
+beforeEach(() => {
+    sessionStorage.clear();
+    storage = new MemoryStorageAdapter({
+        [S.COMPANIES]: sheet(S.COMPANIES, [{ id: 'company-1', name: 'Acme', version: 1 }]),
+        [S.ACTIVITIES]: sheet(S.ACTIVITIES, [
+            { id: 'act-1', type: 'task', title: 'Telefon', companyId: 'company-1', status: 'planned', version: 1 }
+        ])
+    });
+    DataService.setStorageAdapter(storage);
+});
+
+test('usunięcie firmy: cofnięcie przywraca ją z kosza', async () => {
+    await DataService.deleteCompany('company-1');
+    assert.deepEqual(await DataService.loadCompanies(false), []);
+    assert.deepEqual(UndoManager.list().map(e => e.label), ['Usunięto firmę']);
+
+    await UndoManager.undo();
+
+    assert.deepEqual((await DataService.loadCompanies(false)).map(c => c.id), ['company-1']);
+    assert.deepEqual(UndoManager.list(), []);
+});
+
+test('zmiana statusu aktywności: cofnięcie przywraca poprzedni status, zwykła edycja nie trafia na stos', async () => {
+    const [activity] = await DataService.loadActivities(false);
+
+    await DataService.saveActivity({ ...activity, title: 'Telefon do klienta' }, true);
+    assert.deepEqual(UndoManager.list(), []);
+
+    const [edited] = await DataService.loadActivities(false);
+    await DataService.saveActivity({ ...edited, status: CONFIG.ACTIVITIES.STATUSES.COMPLETED }, true);
+    assert.deepEqual(UndoManager.list().map(e => e.label), ['Ukończono aktywność']);
+
+    await UndoManager.undo();
+
+    const [restored] = await DataService.loadActivities(false);
+    assert.equal(restored.status, 'planned');
+    assert.equal(restored.title, 'Telefon do klienta');
+    assert.deepEqual(UndoManager.list(), [], 'cofnięcie nie trafia na stos');
+});
+
+test('cofnięcie ukończenia wystąpienia serii usuwa zaplanowane po nim następne', async () => {
+    const horizon = CONFIG.ACTIVITIES.RECURRENCE.HORIZON_DAYS;
+    // Bez horyzontu seria ma tylko pierwsze wystąpienie - następne powstaje przy ukończeniu
+    CONFIG.ACTIVITIES.RECURRENCE.HORIZON_DAYS = 0;
+    try {
+        const date = new Date();
+        date.setDate(date.getDate() + 1);
+        date.setHours(10, 0, 0, 0);
+        const first = await ActivitiesService.createActivity({
+            type: 'TASK', title: 'Raport', date: date.toISOString(), companyId: 'company-1',
+            recurrence: { freq: 'daily', interval: 1 }
+        });
+        const series = async () => (await DataService.loadActivitySeries())[first.seriesId]
+            .filter(a => !a.deletedAt)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        assert.equal((await series()).length, 1);
+
+        await ActivitiesService.completeActivity(first.id);
+        const [, next] = await series();
+        assert.ok(next, 'ukończenie zaplanowało następne wystąpienie');
+        assert.deepEqual(UndoManager.list().map(e => e.created), [[next.id]]);
+
+        await UndoManager.undo();
+        const after = await series();
+        assert.deepEqual(after.map(a => [a.id, a.status]), [[first.id, 'planned']]);
+
+        // Termin wrócił do puli - ponowne ukończenie planuje ten sam dzień
+        await ActivitiesService.completeActivity(first.id);
+        assert.equal((await series())[1].date, next.date);
+    } finally {
+        CONFIG.ACTIVITIES.RECURRENCE.HORIZON_DAYS = horizon;
+    }
+});
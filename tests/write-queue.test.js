@@ -0,0 +1,88 @@
+/**
+ * SIMPLIFY CRM - Testy kolejki zapisów
+ * =====================================
+ * Uruchomienie: node --test tests/
+ */
+
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WriteQueue } from '../shared/write-queue.js';
+
+/**
+ * Adapter zapisujący wywołania; failOn(call) może rzucić błąd dla wybranego wywołania
+ */
+function recordingAdapter(failOn = () => null) {
+    const calls = [];
+    const run = (call, result) => {
+        calls.push(call);
+        const error = failOn(call);
+        if (error) throw error;
+        return result;
+    };
+    return {
+        name: 'recording',
+        requiresGapi: false,
+        calls,
+        get: async (sheet, range) => run({ method: 'get', sheet, range }, [[`${sheet}!${range}`]]),
+        append: async (sheet, range, values) => run({ method: 'append', sheet, range, values }),
+        update: async (sheet, range, values) => run({ method: 'update', sheet, range, values }),
+        clear: async (sheet, range) => run({ method: 'clear', sheet, range }),
+        batchGet: async (requests) => run({ method: 'batchGet', requests }, requests.map(r => [[`${r.sheet}!${r.range}`]])),
+        batchUpdate: async (requests) => run({ method: 'batchUpdate', requests }),
+        batchClear: async (requests) => run({ method: 'batchClear', requests })
+    };
+}
+
+const direct = (fn) => fn();
+
+test('operacje z jednego ticku łączą się w batch, z zachowaniem kolejności rodzajów', async () => {
+    const adapter = recordingAdapter();
+    const queue = new WriteQueue(adapter, direct);
+
+    const results = await Promise.all([
+        queue.update('Firmy', 'A2:B2', [['1', 'A']]),
+        queue.update('Firmy', 'A3:B3', [['2', 'B']]),
+        queue.append('Kontakty', 'A:C', [['c1']]),
+        queue.append('Kontakty', 'A:C', [['c2']]),
+        queue.get('Firmy', 'A2:B'),
+        queue.get('Kontakty', 'A2:C')
+    ]);
+
+    assert.deepEqual(adapter.calls.map(c => c.method), ['batchUpdate', 'append', 'batchGet']);
+    assert.equal(adapter.calls[0].requests.length, 2);
+    assert.deepEqual(adapter.calls[1].values, [['c1'], ['c2']]);
+    assert.deepEqual(results[4], [['Firmy!A2:B']]);
+    assert.deepEqual(results[5], [['Kontakty!A2:C']]);
+});
+
+test('błąd 400 rozbija batch - pozostałe operacje przechodzą', async () => {
+    const badRequest = Object.assign(new Error('Unable to parse range'), { status: 400 });
+    const adapter = recordingAdapter(call =>
+        call.method === 'batchUpdate' || call.sheet === 'Brak' ? badRequest : null
+    );
+    const queue = new WriteQueue(adapter, direct);
+
+    const [ok, failed] = await Promise.allSettled([
+        queue.update('Firmy', 'A2:B2', [['1', 'A']]),
+        queue.update('Brak', 'A2:B2', [['2', 'B']])
+    ]);
+
+    assert.equal(ok.status, 'fulfilled');
+    assert.equal(failed.status, 'rejected');
+    assert.equal(failed.reason.retried, true);
+    assert.deepEqual(adapter.calls.map(c => c.method), ['batchUpdate', 'update', 'update']);
+});
+
+test('operacje strukturalne czekają na opróżnienie kolejki', async () => {
+    const adapter = recordingAdapter();
+    adapter.deleteRows = async (sheet, ranges) => adapter.calls.push({ method: 'deleteRows', sheet, ranges });
+    const queue = new WriteQueue(adapter, direct);
+
+    const update = queue.update('Firmy', 'A2:B2', [['1', 'A']]);
+    await queue.deleteRows('Firmy', [{ start: 3, end: 3 }]);
+    await update;
+
+    assert.deepEqual(adapter.calls.map(c => c.method), ['batchUpdate', 'deleteRows']);
+});